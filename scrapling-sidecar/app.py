@@ -23,6 +23,36 @@ def _get_fetcher():
     return _fetcher
 
 
+def _fetch_page(url, timeout, user_agent=None, headless=False):
+    """Fetch one URL; returns the JSON payload shared by /fetch and /fetch-batch.
+
+    Headless mode renders the page in StealthyFetcher's browser (timeout in
+    milliseconds, headers via extra_headers); otherwise the plain HTTP
+    Fetcher is used.
+    """
+    if headless:
+        from scrapling.fetchers import StealthyFetcher  # noqa: WPS433
+        kwargs = {"url": url, "headless": True, "network_idle": True, "timeout": timeout * 1000}
+        if user_agent:
+            kwargs["extra_headers"] = {"User-Agent": user_agent}
+        page = StealthyFetcher.fetch(**kwargs)
+        fetcher_name = "StealthyFetcher"
+    else:
+        kwargs = {"url": url, "timeout": timeout}
+        if user_agent:
+            kwargs["headers"] = {"User-Agent": user_agent}
+        page = _get_fetcher().get(**kwargs)
+        fetcher_name = "Fetcher"
+
+    return {
+        "html": page.text if hasattr(page, "text") else str(page),
+        "status": page.status if hasattr(page, "status") else 200,
+        "headers": dict(page.headers) if hasattr(page, "headers") else {},
+        "url": str(page.url) if hasattr(page, "url") else url,
+        "fetcher": fetcher_name,
+    }
+
+
 # ---------------------------------------------------------------------------
 # Health
 # ---------------------------------------------------------------------------
@@ -45,6 +75,7 @@ def health():
 #   status     – HTTP status code
 #   headers    – dict of response headers
 #   url        – final URL after redirects
+#   fetcher    – "Fetcher" or "StealthyFetcher"
 #   elapsed_ms – fetch duration in milliseconds
 # ---------------------------------------------------------------------------
 @app.route("/fetch", methods=["POST"])
@@ -62,27 +93,9 @@ def fetch_url():
     start = time.time()
 
     try:
-        if headless:
-            from scrapling.fetchers import StealthyFetcher  # noqa: WPS433
-            fetcher = StealthyFetcher
-        else:
-            fetcher = _get_fetcher()
-
-        kwargs = {"url": url, "timeout": timeout}
-        if user_agent:
-            kwargs["headers"] = {"User-Agent": user_agent}
-
-        page = fetcher.get(**kwargs)
-
-        elapsed_ms = round((time.time() - start) * 1000)
-
-        return jsonify({
-            "html": page.text if hasattr(page, "text") else str(page),
-            "status": page.status if hasattr(page, "status") else 200,
-            "headers": dict(page.headers) if hasattr(page, "headers") else {},
-            "url": str(page.url) if hasattr(page, "url") else url,
-            "elapsed_ms": elapsed_ms,
-        })
+        result = _fetch_page(url, timeout, user_agent, headless)
+        result["elapsed_ms"] = round((time.time() - start) * 1000)
+        return jsonify(result)
 
     except Exception as exc:
         elapsed_ms = round((time.time() - start) * 1000)
@@ -100,9 +113,12 @@ def fetch_url():
 #   urls       (required)  – list of URL strings (max 20)
 #   timeout    (optional)  – per-URL timeout, default 20
 #   user_agent (optional)
+#   headless   (optional)  – if true, render each URL with StealthyFetcher
 #
 # Response (JSON):
-#   results    – list of {url, html, status, headers, elapsed_ms} | {url, error}
+#   results    – in request order, list of
+#                {requested_url, url, html, status, headers, fetcher, elapsed_ms}
+#                | {requested_url, url, error, fetcher, elapsed_ms}
 # ---------------------------------------------------------------------------
 @app.route("/fetch-batch", methods=["POST"])
 def fetch_batch():
@@ -115,29 +131,23 @@ def fetch_batch():
     urls = urls[:20]  # cap at 20
     timeout = min(int(body.get("timeout", 20)), 60)
     user_agent = body.get("user_agent")
-    fetcher = _get_fetcher()
+    headless = body.get("headless", False)
 
     results = []
     for url in urls:
         start = time.time()
         try:
-            kwargs = {"url": url, "timeout": timeout}
-            if user_agent:
-                kwargs["headers"] = {"User-Agent": user_agent}
-            page = fetcher.get(**kwargs)
-            elapsed_ms = round((time.time() - start) * 1000)
-            results.append({
-                "url": str(page.url) if hasattr(page, "url") else url,
-                "html": page.text if hasattr(page, "text") else str(page),
-                "status": page.status if hasattr(page, "status") else 200,
-                "headers": dict(page.headers) if hasattr(page, "headers") else {},
-                "elapsed_ms": elapsed_ms,
-            })
+            result = _fetch_page(url, timeout, user_agent, headless)
+            result["requested_url"] = url
+            result["elapsed_ms"] = round((time.time() - start) * 1000)
+            results.append(result)
         except Exception as exc:
             elapsed_ms = round((time.time() - start) * 1000)
             results.append({
+                "requested_url": url,
                 "url": url,
                 "error": str(exc),
+                "fetcher": "StealthyFetcher" if headless else "Fetcher",
                 "elapsed_ms": elapsed_ms,
             })
 
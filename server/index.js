@@ -6,6 +6,9 @@ import { seoIntelligenceRouter } from './routes/seo-intelligence.js';
 import { seoCrawlerRouter } from './routes/seo-site-crawler.js';
 import { newsSeoRouter } from './routes/news-seo.js';
 import { unifiedAuditRouter } from './routes/unified-audit.js';
+import { robotsTesterRouter } from './routes/robots-tester.js';
+import { harRouter } from './routes/har.js';
+import { fixturesMode, fixturesDir } from './lib/http-fixtures.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -68,6 +71,8 @@ app.use('/api/seo-intelligence', seoIntelligenceRouter);
 app.use('/api/seo-site-crawler', seoCrawlerRouter);
 app.use('/api/news-seo', newsSeoRouter);
 app.use('/api/unified-audit', unifiedAuditRouter);
+app.use('/api/robots-tester', robotsTesterRouter);
+app.use('/api/har', harRouter);
 
 // Phase 1: DB-backed audit routes (loaded from compiled backend)
 try {
@@ -109,4 +114,5 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on http://0.0.0.0:${PORT}`);
   console.log(`Health check: http://0.0.0.0:${PORT}/health`);
   console.log(`NODE_ENV: ${process.env.NODE_ENV}`);
+  if (fixturesMode()) console.log(`HTTP fixtures: ${fixturesMode()} (${fixturesDir()})`);
 });
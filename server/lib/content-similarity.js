@@ -0,0 +1,195 @@
+/**
+ * Content similarity — main-content extraction, word shingles and MinHash
+ * signatures for near-duplicate detection.
+ *
+ * A page's signature is compact so the crawler can keep one per page
+ * instead of the HTML: 128 MinHash values plus a bottom-k sketch (the
+ * smallest shingle hashes). LSH banding on the MinHash values keeps the
+ * comparison close to linear for large crawls by only scoring pairs that
+ * share at least one band; candidate pairs are then scored on the
+ * sketches, which is the exact shingle Jaccard for pages with up to
+ * SKETCH_SIZE shingles and a close estimate above that. Scores near the
+ * threshold are therefore stable, unlike a 64-hash MinHash estimate.
+ */
+
+const SHINGLE_SIZE = 5;           // words per shingle
+const NUM_HASHES = 128;
+const BANDS = 32;                 // LSH: 32 bands × 4 rows
+const ROWS = NUM_HASHES / BANDS;
+const SKETCH_SIZE = 1000;         // shingle hashes kept per page
+const MIN_WORDS = 50;             // shorter pages give meaningless scores
+const PREVIEW_LENGTH = 120;
+
+const BOILERPLATE_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'nav', 'header', 'footer', 'aside', 'form'];
+
+// Fixed per-hash seeds so signatures from different runs are comparable
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => fmix32(0x9e3779b9 + i * 0x85ebca6b));
+
+// ── Hashing ─────────────────────────────────────────────────────
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** MurmurHash3 finalizer — cheap, well-mixed 32-bit permutation. */
+function fmix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// ── Content extraction ──────────────────────────────────────────
+
+function stripTags(html) {
+  return html
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&#?\w+;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Main content text of a page: the largest <article>, else <main> /
+ * role="main", else the body without navigation and other boilerplate.
+ */
+export function extractMainContent(html) {
+  let doc = html.replace(/<!--[\s\S]*?-->/g, ' ');
+  for (const tag of ['script', 'style', 'noscript', 'template', 'svg']) {
+    doc = doc.replace(new RegExp(`<${tag}[^>]*>[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+  }
+
+  const articles = [...doc.matchAll(/<article[^>]*>([\s\S]*?)<\/article>/gi)].map(m => m[1]);
+  if (articles.length > 0) {
+    return stripTags(articles.sort((a, b) => b.length - a.length)[0]);
+  }
+
+  const main =
+    doc.match(/<main[^>]*>([\s\S]*?)<\/main>/i) ||
+    doc.match(/<(\w+)[^>]*role=["']main["'][^>]*>([\s\S]*?)<\/\1>/i);
+  if (main) return stripTags(main[main.length - 1]);
+
+  const body = (doc.match(/<body[^>]*>([\s\S]*?)<\/body>/i) || [null, doc])[1];
+  let content = body;
+  for (const tag of BOILERPLATE_TAGS) {
+    content = content.replace(new RegExp(`<${tag}[^>]*>[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+  }
+  return stripTags(content);
+}
+
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// ── Signatures ──────────────────────────────────────────────────
+
+/**
+ * MinHash signature of a page's main content.
+ *
+ * @returns {{ minhash: number[]|null, sketch: number[]|null, hash: string, words: number, preview: string }}
+ *          minhash and sketch are null when the content is too short to
+ *          compare; hash identifies the exact main-content text.
+ */
+export function contentSignature(html) {
+  const text = extractMainContent(html);
+  const words = tokenize(text);
+  const result = {
+    minhash: null,
+    sketch: null,
+    hash: fnv1a(words.join(' ')).toString(16),
+    words: words.length,
+    preview: text.substring(0, PREVIEW_LENGTH),
+  };
+  if (words.length < MIN_WORDS) return result;
+
+  const minhash = new Array(NUM_HASHES).fill(0xffffffff);
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const base = fnv1a(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    shingles.add(fmix32(base));
+    for (let k = 0; k < NUM_HASHES; k++) {
+      const h = fmix32(base ^ SEEDS[k]);
+      if (h < minhash[k]) minhash[k] = h;
+    }
+  }
+  result.minhash = minhash;
+  result.sketch = [...shingles].sort((a, b) => a - b).slice(0, SKETCH_SIZE);
+  return result;
+}
+
+/** Estimated Jaccard similarity of two shingle sets from their MinHash values (0..1). */
+export function signatureSimilarity(a, b) {
+  let same = 0;
+  for (let k = 0; k < a.length; k++) {
+    if (a[k] === b[k]) same++;
+  }
+  return same / a.length;
+}
+
+/**
+ * Jaccard similarity of two shingle sets from their bottom-k sketches
+ * (sorted ascending): the share of the SKETCH_SIZE smallest hashes of the
+ * union found in both. Exact when both sets fit in a sketch.
+ */
+export function sketchSimilarity(a, b) {
+  let i = 0, j = 0, union = 0, both = 0;
+  while (union < SKETCH_SIZE && (i < a.length || j < b.length)) {
+    if (j >= b.length || (i < a.length && a[i] < b[j])) i++;
+    else if (i >= a.length || b[j] < a[i]) j++;
+    else { both++; i++; j++; }
+    union++;
+  }
+  return union > 0 ? both / union : 0;
+}
+
+/** Candidate pairs are scored on the sketches; older signatures only have MinHash values. */
+function pairSimilarity(a, b) {
+  if (a.sketch && b.sketch) return sketchSimilarity(a.sketch, b.sketch);
+  return a.minhash.length === b.minhash.length ? signatureSimilarity(a.minhash, b.minhash) : 0;
+}
+
+/**
+ * Find all pairs of items whose signatures are at least `threshold`
+ * similar.
+ *
+ * @param {Array<{ id: string, minhash: number[], sketch?: number[] }>} items
+ * @param {number} threshold – 0..1
+ * @returns {Array<{ a: string, b: string, similarity: number }>}
+ */
+export function findSimilarPairs(items, threshold) {
+  const buckets = new Map(); // band key -> item indexes
+  items.forEach((item, idx) => {
+    for (let band = 0; band < BANDS; band++) {
+      const key = `${band}:${item.minhash.slice(band * ROWS, band * ROWS + ROWS).join(',')}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(idx);
+    }
+  });
+
+  const compared = new Set();
+  const pairs = [];
+  for (const members of buckets.values()) {
+    if (members.length < 2) continue;
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const key = members[i] * items.length + members[j];
+        if (compared.has(key)) continue;
+        compared.add(key);
+        const similarity = pairSimilarity(items[members[i]], items[members[j]]);
+        if (similarity >= threshold) {
+          pairs.push({ a: items[members[i]].id, b: items[members[j]].id, similarity });
+        }
+      }
+    }
+  }
+  return pairs;
+}
@@ -0,0 +1,141 @@
+/**
+ * Crawl checkpoint store — persists in-progress crawl state to local
+ * files so a crawl interrupted by a restart can be resumed.
+ *
+ * Two files per crawl id in CRAWL_CHECKPOINT_DIR (default:
+ * ./.crawl-checkpoints):
+ *   - `<id>.json`          queue, visited set and counters, rewritten on
+ *                          every checkpoint (temp file + rename, so a crash
+ *                          mid-write never leaves a truncated checkpoint)
+ *   - `<id>.pages.ndjson`  one crawled page per line; each checkpoint only
+ *                          appends the pages finished since the last one
+ * The JSON file records how many bytes of the page file belong to it, so
+ * pages appended by a checkpoint that never completed are ignored.
+ */
+
+import { appendFile, mkdir, readFile, readdir, rename, stat, truncate, unlink, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+
+const CHECKPOINT_DIR = resolve(process.env.CRAWL_CHECKPOINT_DIR || '.crawl-checkpoints');
+const CHECKPOINT_VERSION = 2;
+
+// Crawl ids are UUIDs; anything else must not reach the filesystem.
+const VALID_ID = /^[a-zA-Z0-9-]{1,64}$/;
+
+function checkpointPath(id) {
+  if (!VALID_ID.test(id)) throw new Error(`Invalid crawl id: ${id}`);
+  return join(CHECKPOINT_DIR, `${id}.json`);
+}
+
+function pagesPath(id) {
+  return checkpointPath(id).replace(/\.json$/, '.pages.ndjson');
+}
+
+/**
+ * Write a checkpoint for a crawl.
+ *
+ * @param {string} id
+ * @param {object} checkpoint
+ * @param {object} checkpoint.config
+ * @param {string} checkpoint.status
+ * @param {object} checkpoint.state     – crawl state without its pages
+ * @param {Array}  [checkpoint.pages]   – pages finished since the last checkpoint
+ * @param {number} [checkpoint.pagesFrom] – number of pages saved before them;
+ *                                          0 starts a new page file
+ */
+export async function saveCheckpoint(id, { config, status, state, pages = [], pagesFrom = 0 }) {
+  const file = checkpointPath(id);
+  const pagesFile = pagesPath(id);
+  await mkdir(CHECKPOINT_DIR, { recursive: true });
+
+  const lines = pages.map(page => `${JSON.stringify(page)}\n`).join('');
+  if (pagesFrom === 0) await writeFile(pagesFile, lines, 'utf-8');
+  else if (lines) await appendFile(pagesFile, lines, 'utf-8');
+  const { size } = await stat(pagesFile);
+
+  const payload = JSON.stringify({
+    version: CHECKPOINT_VERSION,
+    id,
+    status,
+    saved_at: new Date().toISOString(),
+    config,
+    state: { ...state, pages_saved: pagesFrom + pages.length },
+    pages_bytes: size,
+  });
+
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, payload, 'utf-8');
+  await rename(tmp, file);
+}
+
+/** The checkpoint file without its pages, or null. */
+async function readCheckpoint(id) {
+  try {
+    const data = JSON.parse(await readFile(checkpointPath(id), 'utf-8'));
+    return data.version === CHECKPOINT_VERSION ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load a checkpoint with its pages (`state.pages`). Returns null if none
+ * exists or it is unreadable. Pages written after the last complete
+ * checkpoint are cut from the page file, so the resumed crawl appends
+ * right after the pages it starts from.
+ */
+export async function loadCheckpoint(id) {
+  const data = await readCheckpoint(id);
+  if (!data) return null;
+  try {
+    const pagesFile = pagesPath(id);
+    const content = await readFile(pagesFile);
+    if (content.length < data.pages_bytes) return null;
+    const pages = content.subarray(0, data.pages_bytes).toString('utf-8')
+      .split('\n').filter(Boolean).map(line => JSON.parse(line));
+    if (pages.length !== data.state.pages_saved) return null;
+    if (content.length > data.pages_bytes) await truncate(pagesFile, data.pages_bytes);
+    data.state.pages = pages;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+export async function deleteCheckpoint(id) {
+  for (const file of [checkpointPath(id), pagesPath(id)]) {
+    try {
+      await unlink(file);
+    } catch { /* already gone */ }
+  }
+}
+
+/**
+ * Summaries of all stored checkpoints, newest first.
+ */
+export async function listCheckpoints() {
+  let files;
+  try {
+    files = await readdir(CHECKPOINT_DIR);
+  } catch {
+    return [];
+  }
+
+  const summaries = [];
+  for (const file of files) {
+    if (!file.endsWith('.json')) continue;
+    const data = await readCheckpoint(file.slice(0, -5));
+    if (!data) continue;
+    summaries.push({
+      crawl_id: data.id,
+      status: data.status,
+      start_url: data.config?.startUrl || null,
+      saved_at: data.saved_at,
+      pages_crawled: data.state?.pages_saved || 0,
+      queue_size: (data.state?.queue?.length || 0) + (data.state?.seed_queue?.length || 0),
+      max_pages: data.config?.maxPages || null,
+    });
+  }
+
+  return summaries.sort((a, b) => (a.saved_at < b.saved_at ? 1 : -1));
+}
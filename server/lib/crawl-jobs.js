@@ -0,0 +1,151 @@
+/**
+ * In-memory registry for asynchronous crawl jobs.
+ *
+ * A job wraps a single crawl run so the HTTP request that starts it can
+ * return immediately. Progress is broadcast through an EventEmitter that
+ * the SSE endpoint subscribes to; the final result stays in memory until
+ * the job expires.
+ *
+ * Job lifecycle: queued → running → completed | failed | cancelled
+ */
+
+import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;  // keep finished jobs for 1 h
+const MAX_JOBS = 100;                          // hard cap on retained jobs
+
+const jobs = new Map(); // id -> job
+
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+}
+
+/**
+ * Drop expired finished jobs, then the oldest finished ones if we are
+ * still over the cap. Running jobs are never evicted.
+ */
+function pruneJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (isFinished(job) && now - job.finishedAt > FINISHED_JOB_TTL_MS) jobs.delete(id);
+  }
+  if (jobs.size <= MAX_JOBS) return;
+  const finished = [...jobs.values()]
+    .filter(isFinished)
+    .sort((a, b) => a.finishedAt - b.finishedAt);
+  for (const job of finished) {
+    if (jobs.size <= MAX_JOBS) break;
+    jobs.delete(job.id);
+  }
+}
+
+function setStatus(job, status) {
+  job.status = status;
+  job.events.emit('status', status);
+}
+
+async function runJob(job, runner) {
+  setStatus(job, 'running');
+  job.startedAt = Date.now();
+
+  try {
+    job.result = await runner({
+      id: job.id,
+      signal: job.controller.signal,
+      onPage(page) {
+        job.events.emit('page', page);
+      },
+      onProgress(progress) {
+        job.progress = { ...job.progress, ...progress };
+        job.events.emit('progress', job.progress);
+      },
+    });
+    setStatus(job, job.controller.signal.aborted ? 'cancelled' : 'completed');
+  } catch (err) {
+    job.error = err.message || 'Crawl failed';
+    setStatus(job, 'failed');
+  } finally {
+    job.finishedAt = Date.now();
+    job.events.emit('done', describeCrawlJob(job));
+    job.events.removeAllListeners();
+  }
+}
+
+/**
+ * Register a job and start it on the next tick.
+ *
+ * @param {object}   config  – normalized crawl config (stored for status output)
+ * @param {Function} runner  – async ({ id, signal, onPage, onProgress }) => result
+ * @param {object}   [opts]
+ * @param {string}   [opts.id] – reuse an existing crawl id (resuming from a checkpoint)
+ * @returns {object} the job record
+ */
+export function createCrawlJob(config, runner, opts = {}) {
+  pruneJobs();
+
+  const job = {
+    id: opts.id || randomUUID(),
+    status: 'queued',
+    config,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    progress: {
+      pages_crawled: 0,
+      queue_size: 0,
+      errors: 0,
+      blocked: 0,
+      duplicates: 0,
+      redirects: 0,
+      max_pages: config.maxPages,
+    },
+    result: null,
+    error: null,
+    events: new EventEmitter(),
+    controller: new AbortController(),
+  };
+  // Every SSE client adds listeners; don't warn for a handful of viewers.
+  job.events.setMaxListeners(50);
+
+  jobs.set(job.id, job);
+  setImmediate(() => runJob(job, runner));
+  return job;
+}
+
+export function getCrawlJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Request cancellation. The crawl stops after its current batch and the
+ * partial result is kept on the job. Returns false if already finished.
+ */
+export function cancelCrawlJob(id) {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return false;
+  job.controller.abort();
+  return true;
+}
+
+export function isCrawlJobFinished(job) {
+  return isFinished(job);
+}
+
+/**
+ * JSON-safe view of a job. The (potentially large) result is only
+ * included when asked for.
+ */
+export function describeCrawlJob(job, { includeResult = false } = {}) {
+  return {
+    job_id: job.id,
+    status: job.status,
+    start_url: job.config.startUrl,
+    created_at: new Date(job.createdAt).toISOString(),
+    started_at: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finished_at: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    progress: job.progress,
+    error: job.error,
+    ...(includeResult ? { result: job.result } : {}),
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * Crawl scope — which discovered URLs a crawl follows.
+ *
+ *   - origin: scheme + host + port of the start URL (default)
+ *   - domain: any host under the start URL's registrable domain
+ *             (www., m., bare domain), either scheme
+ *   - hosts:  an explicit host list, either scheme
+ *
+ * An optional path prefix (e.g. `/sports/`) narrows any of the above.
+ */
+
+export const SCOPE_MODES = ['origin', 'domain', 'hosts'];
+
+// Multi-label public suffixes common enough to matter for a heuristic;
+// anything else is treated as a single-label TLD.
+const MULTI_LABEL_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'net.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+  'co.nz', 'org.nz', 'govt.nz', 'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'co.kr', 'or.kr',
+  'com.br', 'net.br', 'org.br', 'gov.br', 'com.mx', 'com.ar', 'com.co', 'com.pe',
+  'co.in', 'net.in', 'org.in', 'gov.in', 'ac.in', 'com.cn', 'net.cn', 'org.cn', 'gov.cn',
+  'com.hk', 'com.tw', 'com.sg', 'com.my', 'co.id', 'co.th', 'com.ph', 'com.vn', 'com.pk',
+  'co.za', 'org.za', 'com.ng', 'co.ke', 'com.eg', 'gov.eg', 'com.sa', 'gov.sa', 'net.sa',
+  'org.sa', 'com.qa', 'com.kw', 'com.bh', 'com.om', 'co.ae', 'gov.ae', 'com.jo', 'com.lb',
+  'co.ma', 'com.tn', 'com.dz', 'co.il', 'org.il', 'com.tr', 'gov.tr', 'org.tr',
+  'com.ua', 'com.ru', 'com.pl', 'co.at', 'or.at', 'com.es', 'com.pt', 'com.gr', 'com.cy',
+]);
+
+/**
+ * Registrable domain of a hostname (`news.bbc.co.uk` -> `bbc.co.uk`).
+ * IP addresses and single-label hosts are returned unchanged.
+ */
+export function registrableDomain(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  if (/^[\d.]+$/.test(host) || host.includes(':') || !host.includes('.')) return host;
+  const labels = host.split('.');
+  const lastTwo = labels.slice(-2).join('.');
+  const suffixLabels = MULTI_LABEL_SUFFIXES.has(lastTwo) ? 2 : 1;
+  return labels.slice(-(suffixLabels + 1)).join('.');
+}
+
+function normalizePrefix(prefix) {
+  if (!prefix) return null;
+  let p = String(prefix).trim();
+  if (!p.startsWith('/')) p = `/${p}`;
+  return p;
+}
+
+/**
+ * @param {string} startUrl
+ * @param {object} [opts]
+ * @param {string}   [opts.mode]        – one of SCOPE_MODES
+ * @param {string[]} [opts.hosts]       – hosts for mode 'hosts' (the start host is always included)
+ * @param {string}   [opts.pathPrefix]  – only paths starting with this
+ * @returns {{ mode: string, inScope: (url: string) => boolean, describe: () => object }}
+ */
+export function createCrawlScope(startUrl, opts = {}) {
+  const start = new URL(startUrl);
+  const mode = SCOPE_MODES.includes(opts.mode) ? opts.mode : 'origin';
+  const pathPrefix = normalizePrefix(opts.pathPrefix);
+  const domain = registrableDomain(start.hostname);
+  const hosts = new Set([start.host, ...(opts.hosts || []).map(h => String(h).trim().toLowerCase()).filter(Boolean)]);
+
+  const hostInScope = (url) => {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+    switch (mode) {
+      case 'domain':
+        return url.hostname === domain || url.hostname.endsWith(`.${domain}`);
+      case 'hosts':
+        return hosts.has(url.host) || hosts.has(url.hostname);
+      default:
+        return url.origin === start.origin;
+    }
+  };
+
+  return {
+    mode,
+    inScope(rawUrl) {
+      let url;
+      try { url = new URL(rawUrl); } catch { return false; }
+      if (!hostInScope(url)) return false;
+      return !pathPrefix || url.pathname.startsWith(pathPrefix);
+    },
+    describe() {
+      return {
+        mode,
+        ...(mode === 'origin' ? { origin: start.origin } : {}),
+        ...(mode === 'domain' ? { domain } : {}),
+        ...(mode === 'hosts' ? { hosts: [...hosts] } : {}),
+        path_prefix: pathPrefix,
+      };
+    },
+  };
+}
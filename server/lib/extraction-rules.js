@@ -0,0 +1,224 @@
+/**
+ * Custom extraction rules — named, site-specific values pulled from every
+ * crawled page (author, section, paywall flag, ad slot count, GA id…).
+ *
+ * A rule is one of:
+ *   { name: 'author',   type: 'css',    selector: '.byline a[rel=author]' }
+ *   { name: 'author',   type: 'css',    selector: 'meta[name=author]', attribute: 'content' }
+ *   { name: 'ga_id',    type: 'regex',  pattern: "G-[A-Z0-9]{6,}" }
+ *   { name: 'section',  type: 'jsonld', path: 'articleSection', schema_type: 'NewsArticle' }
+ * plus an `output`: first (value or null, default), all (array),
+ * count (number) or exists (boolean).
+ *
+ * Regex rules return the first capture group when the pattern has one.
+ * JSON-LD paths are dot-separated property names with optional `[n]`
+ * indexes; arrays along the path are flattened.
+ */
+
+import { parseHtml, parseSelector, selectAll, textContent } from './html-select.js';
+import { extractStructuredData } from './technical-checks.js';
+
+export const EXTRACTION_TYPES = ['css', 'regex', 'jsonld'];
+export const EXTRACTION_OUTPUTS = ['first', 'all', 'count', 'exists'];
+
+const MAX_RULES = 25;
+const MAX_VALUES = 100;        // values kept per rule and page for output 'all'
+const MAX_VALUE_LENGTH = 500;
+const REGEX_FLAGS = /^[imsu]*$/;
+
+function parseJsonLdPath(path) {
+  return String(path).split('.').map((segment) => {
+    const m = segment.match(/^([^[\]]+)(?:\[(\d+)\])?$/);
+    if (!m) throw new SyntaxError(`Invalid JSON-LD path "${path}"`);
+    return { key: m[1], index: m[2] === undefined ? null : Number(m[2]) };
+  });
+}
+
+/**
+ * Validate extraction rules from a request body.
+ *
+ * @returns {{ rules: Array<object>, error?: string }}
+ *          rules are plain (checkpoint-safe) objects with camelCase keys
+ */
+export function parseExtractionRules(raw) {
+  if (raw === undefined || raw === null) return { rules: [] };
+  if (!Array.isArray(raw)) return { rules: [], error: 'extraction_rules must be an array' };
+  if (raw.length > MAX_RULES) return { rules: [], error: `At most ${MAX_RULES} extraction rules are allowed` };
+
+  const rules = [];
+  const names = new Set();
+  for (const [i, r] of raw.entries()) {
+    const label = `extraction_rules[${i}]`;
+    if (!r || typeof r !== 'object') return { rules: [], error: `${label} must be an object` };
+
+    const name = String(r.name || '').trim();
+    if (!/^[A-Za-z0-9_]{1,50}$/.test(name)) {
+      return { rules: [], error: `${label}.name must be 1-50 letters, digits or underscores` };
+    }
+    if (names.has(name)) return { rules: [], error: `Duplicate extraction rule name: ${name}` };
+    names.add(name);
+
+    const type = r.type || 'css';
+    if (!EXTRACTION_TYPES.includes(type)) {
+      return { rules: [], error: `${label}.type must be one of ${EXTRACTION_TYPES.join(', ')}` };
+    }
+    const output = r.output || 'first';
+    if (!EXTRACTION_OUTPUTS.includes(output)) {
+      return { rules: [], error: `${label}.output must be one of ${EXTRACTION_OUTPUTS.join(', ')}` };
+    }
+
+    const rule = { name, type, output };
+    try {
+      if (type === 'css') {
+        rule.selector = String(r.selector || '');
+        parseSelector(rule.selector);
+        if (r.attribute) rule.attribute = String(r.attribute).toLowerCase();
+      } else if (type === 'regex') {
+        rule.pattern = String(r.pattern || '');
+        rule.flags = String(r.flags || '');
+        if (!rule.pattern) throw new SyntaxError('pattern is required');
+        if (!REGEX_FLAGS.test(rule.flags)) throw new SyntaxError('flags may only contain i, m, s, u');
+        new RegExp(rule.pattern, rule.flags);
+      } else {
+        rule.path = String(r.path || '');
+        if (!rule.path) throw new SyntaxError('path is required');
+        parseJsonLdPath(rule.path);
+        if (r.schema_type) rule.schemaType = String(r.schema_type);
+      }
+    } catch (e) {
+      return { rules: [], error: `${label}: ${e.message}` };
+    }
+    rules.push(rule);
+  }
+  return { rules };
+}
+
+/** JSON-LD nodes (arrays and @graph flattened), optionally of one @type. */
+function jsonLdNodes(data, schemaType) {
+  const nodes = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== 'object') return;
+    if (node['@graph']) visit(node['@graph']);
+    if (!schemaType || [].concat(node['@type'] || []).includes(schemaType)) nodes.push(node);
+  };
+  visit(data);
+  return nodes;
+}
+
+function resolvePath(nodes, segments) {
+  let values = nodes;
+  for (const { key, index } of segments) {
+    const next = [];
+    for (const value of values) {
+      if (!value || typeof value !== 'object') continue;
+      const child = value[key];
+      if (child === undefined || child === null) continue;
+      if (index !== null) {
+        const picked = [].concat(child)[index];
+        if (picked !== undefined) next.push(picked);
+      } else {
+        next.push(...[].concat(child));
+      }
+    }
+    values = next;
+  }
+  return values;
+}
+
+function shapeOutput(values, output) {
+  switch (output) {
+    case 'count': return values.length;
+    case 'exists': return values.length > 0;
+    case 'all': return values.slice(0, MAX_VALUES);
+    default: return values.length > 0 ? values[0] : null;
+  }
+}
+
+function trimValue(value) {
+  return typeof value === 'string' && value.length > MAX_VALUE_LENGTH ? value.substring(0, MAX_VALUE_LENGTH) : value;
+}
+
+/**
+ * Build an extractor for validated rules.
+ *
+ * @param {Array<object>} rules – parseExtractionRules() output
+ * @returns {(html: string) => object} page HTML -> { [rule name]: value }
+ */
+export function createExtractor(rules) {
+  const compiled = rules.map((rule) => {
+    if (rule.type === 'css') return { ...rule, selectorList: parseSelector(rule.selector) };
+    if (rule.type === 'regex') return { ...rule, regex: new RegExp(rule.pattern, `${rule.flags}g`) };
+    return { ...rule, segments: parseJsonLdPath(rule.path) };
+  });
+  const needsTree = compiled.some(r => r.type === 'css');
+  const needsJsonLd = compiled.some(r => r.type === 'jsonld');
+
+  return (html) => {
+    const tree = needsTree ? parseHtml(html) : null;
+    const jsonLd = needsJsonLd ? extractStructuredData(html).data : [];
+    const extracted = {};
+
+    for (const rule of compiled) {
+      let values = [];
+      if (rule.type === 'css') {
+        const elements = selectAll(tree, rule.selectorList);
+        values = rule.attribute
+          ? elements.filter(el => rule.attribute in el.attrs).map(el => el.attrs[rule.attribute].trim())
+          : elements.map(el => textContent(el));
+      } else if (rule.type === 'regex') {
+        for (const m of html.matchAll(rule.regex)) {
+          values.push(m.length > 1 ? (m[1] ?? '') : m[0]);
+          if (values.length >= MAX_VALUES && rule.output !== 'count') break;
+        }
+      } else {
+        values = resolvePath(jsonLdNodes(jsonLd, rule.schemaType), rule.segments);
+      }
+      extracted[rule.name] = shapeOutput(values.map(trimValue), rule.output);
+    }
+    return extracted;
+  };
+}
+
+// ── Result filtering ────────────────────────────────────────────
+
+/**
+ * Parse a filter on extracted values:
+ *   `name` (present / truthy), `!name`, `name=v`, `name!=v`,
+ *   `name~v` (contains, case-insensitive), `name>n`, `>=`, `<`, `<=`
+ */
+export function parseExtractionFilter(expression) {
+  const m = String(expression).trim().match(/^(!)?([A-Za-z0-9_]+)\s*(?:(!=|>=|<=|=|~|>|<)\s*(.*))?$/);
+  if (!m) throw new SyntaxError(`Invalid filter "${expression}"`);
+  const [, negate, name, op, value] = m;
+  if (negate && op) throw new SyntaxError(`Invalid filter "${expression}": "!" only applies to a bare name`);
+  return { name, op: op || (negate ? 'absent' : 'present'), value: value ?? null };
+}
+
+function isPresent(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== false && value !== 0 && value !== '';
+}
+
+/** Whether a page's extracted values pass every filter. */
+export function matchesExtractionFilters(page, filters) {
+  const extracted = page.extracted || {};
+  return filters.every(({ name, op, value }) => {
+    const actual = extracted[name];
+    const items = [].concat(actual ?? []).map(v => (typeof v === 'object' ? JSON.stringify(v) : String(v)).toLowerCase());
+    const expected = String(value ?? '').toLowerCase();
+    const number = Array.isArray(actual) ? actual.length : Number(actual);
+    switch (op) {
+      case 'present': return isPresent(actual);
+      case 'absent': return !isPresent(actual);
+      case '=': return items.includes(expected);
+      case '!=': return !items.includes(expected);
+      case '~': return items.some(v => v.includes(expected));
+      case '>': return number > Number(value);
+      case '>=': return number >= Number(value);
+      case '<': return number < Number(value);
+      case '<=': return number <= Number(value);
+      default: return false;
+    }
+  });
+}
@@ -0,0 +1,212 @@
+/**
+ * Crawl link graph export — GraphML, GEXF, Graphviz DOT and CSV node /
+ * edge lists for Gephi, networkx, igraph and spreadsheets.
+ *
+ * Nodes are the crawled URLs plus link targets that were never fetched
+ * (status `not_crawled`, or `external` when outside the crawl scope).
+ * Edges are internal links, redirects and — when the crawl recorded
+ * them — off-scope links.
+ */
+
+export const GRAPH_FORMATS = {
+  graphml: { contentType: 'application/graphml+xml; charset=utf-8', extension: 'graphml' },
+  gexf: { contentType: 'application/gexf+xml; charset=utf-8', extension: 'gexf' },
+  dot: { contentType: 'text/vnd.graphviz; charset=utf-8', extension: 'dot' },
+  'csv-nodes': { contentType: 'text/csv; charset=utf-8', extension: 'nodes.csv' },
+  'csv-edges': { contentType: 'text/csv; charset=utf-8', extension: 'edges.csv' },
+};
+
+// Node attributes, in export order
+const NODE_ATTRIBUTES = [
+  { name: 'url', type: 'string' },
+  { name: 'depth', type: 'int' },
+  { name: 'status', type: 'string' },
+  { name: 'http_status', type: 'int' },
+  { name: 'incoming', type: 'int' },
+  { name: 'outgoing', type: 'int' },
+  { name: 'section', type: 'string' },
+];
+
+function sectionOf(url) {
+  try {
+    const first = new URL(url).pathname.split('/').filter(Boolean)[0];
+    return first ? `/${first}/` : '/';
+  } catch {
+    return '/';
+  }
+}
+
+/**
+ * Build the node and edge lists from crawler page records.
+ *
+ * @returns {{ nodes: Array<object>, edges: Array<{ source: string, target: string, type: string }> }}
+ *          node ids are `n<index>`; edges reference node ids
+ */
+export function buildLinkGraph(pages) {
+  const nodes = new Map(); // url -> node
+  const addNode = (url, page = null, status = 'not_crawled') => {
+    if (nodes.has(url)) return nodes.get(url);
+    const node = {
+      id: `n${nodes.size}`,
+      url,
+      depth: page?.depth ?? null,
+      status: page?.status || status,
+      http_status: page?.http_status ?? null,
+      incoming: 0,
+      outgoing: 0,
+      section: sectionOf(url),
+    };
+    nodes.set(url, node);
+    return node;
+  };
+
+  for (const page of pages) {
+    if (page.url) addNode(page.url, page);
+  }
+
+  const edges = [];
+  const addEdge = (from, to, type) => {
+    const source = nodes.get(from);
+    const target = addNode(to, null, type === 'external' ? 'external' : 'not_crawled');
+    source.outgoing++;
+    target.incoming++;
+    edges.push({ source: source.id, target: target.id, type });
+  };
+
+  for (const page of pages) {
+    if (!page.url) continue;
+    for (const link of page.internal_links || []) {
+      if (link !== page.url) addEdge(page.url, link, 'link');
+    }
+    if (page.status === 'redirect' && page.final_url) addEdge(page.url, page.final_url, 'redirect');
+    for (const link of page.external_links || []) addEdge(page.url, link, 'external');
+  }
+
+  return { nodes: [...nodes.values()], edges };
+}
+
+// ── Serializers ─────────────────────────────────────────────────
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function dotString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function toGraphml({ nodes, edges }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...NODE_ATTRIBUTES.map((a, i) => `  <key id="d${i}" for="node" attr.name="${a.name}" attr.type="${a.type}"/>`),
+    `  <key id="e0" for="edge" attr.name="type" attr.type="string"/>`,
+    '  <graph id="crawl" edgedefault="directed">',
+  ];
+  for (const node of nodes) {
+    const data = NODE_ATTRIBUTES
+      .map((a, i) => (node[a.name] === null ? '' : `<data key="d${i}">${xmlEscape(node[a.name])}</data>`))
+      .join('');
+    lines.push(`    <node id="${node.id}">${data}</node>`);
+  }
+  edges.forEach((edge, i) => {
+    lines.push(`    <edge id="e${i}" source="${edge.source}" target="${edge.target}"><data key="e0">${edge.type}</data></edge>`);
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+function toGexf({ nodes, edges }) {
+  const attributes = NODE_ATTRIBUTES.filter(a => a.name !== 'url');
+  const gexfType = (type) => (type === 'int' ? 'integer' : type);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    '  <meta><creator>SEO Site Crawler</creator></meta>',
+    '  <graph defaultedgetype="directed">',
+    '    <attributes class="node">',
+    ...attributes.map((a, i) => `      <attribute id="${i}" title="${a.name}" type="${gexfType(a.type)}"/>`),
+    '    </attributes>',
+    '    <attributes class="edge">',
+    '      <attribute id="0" title="type" type="string"/>',
+    '    </attributes>',
+    '    <nodes>',
+  ];
+  for (const node of nodes) {
+    const values = attributes
+      .map((a, i) => (node[a.name] === null ? '' : `<attvalue for="${i}" value="${xmlEscape(node[a.name])}"/>`))
+      .join('');
+    lines.push(`      <node id="${node.id}" label="${xmlEscape(node.url)}"><attvalues>${values}</attvalues></node>`);
+  }
+  lines.push('    </nodes>', '    <edges>');
+  edges.forEach((edge, i) => {
+    lines.push(`      <edge id="e${i}" source="${edge.source}" target="${edge.target}"><attvalues><attvalue for="0" value="${edge.type}"/></attvalues></edge>`);
+  });
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n') + '\n';
+}
+
+function toDot({ nodes, edges }) {
+  const lines = ['digraph crawl {'];
+  for (const node of nodes) {
+    const attrs = NODE_ATTRIBUTES
+      .filter(a => node[a.name] !== null)
+      .map(a => `${a.name}=${dotString(node[a.name])}`);
+    lines.push(`  ${node.id} [label=${dotString(node.url)}, ${attrs.join(', ')}];`);
+  }
+  for (const edge of edges) {
+    const attrs = { redirect: ' [type="redirect", style=dashed]', external: ' [type="external", style=dotted]' }[edge.type] || '';
+    lines.push(`  ${edge.source} -> ${edge.target}${attrs};`);
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function toCsvNodes({ nodes }) {
+  const lines = [['id', ...NODE_ATTRIBUTES.map(a => a.name)].join(',')];
+  for (const node of nodes) {
+    lines.push([node.id, ...NODE_ATTRIBUTES.map(a => node[a.name])].map(csvField).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function toCsvEdges({ nodes, edges }) {
+  const urls = new Map(nodes.map(n => [n.id, n.url]));
+  const lines = ['source,target,source_url,target_url,type'];
+  for (const edge of edges) {
+    lines.push([edge.source, edge.target, urls.get(edge.source), urls.get(edge.target), edge.type].map(csvField).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+const SERIALIZERS = {
+  graphml: toGraphml,
+  gexf: toGexf,
+  dot: toDot,
+  'csv-nodes': toCsvNodes,
+  'csv-edges': toCsvEdges,
+};
+
+/**
+ * Serialize crawler page records as a link graph.
+ *
+ * @param {Array}  pages
+ * @param {string} format – one of GRAPH_FORMATS
+ * @returns {{ body: string, contentType: string, extension: string }}
+ */
+export function exportLinkGraph(pages, format) {
+  if (!SERIALIZERS[format]) {
+    throw new Error(`Unsupported graph format: ${format} (use ${Object.keys(GRAPH_FORMATS).join(', ')})`);
+  }
+  return { body: SERIALIZERS[format](buildLinkGraph(pages)), ...GRAPH_FORMATS[format] };
+}
@@ -0,0 +1,161 @@
+/**
+ * HAR 1.2 export of the outbound requests recorded by an HTTP context
+ * (http-client.js) during an audit or crawl, for attaching to tickets and
+ * opening in browser devtools.
+ *
+ * Recordings are kept in memory and downloaded from GET /api/har/:id.
+ * Each redirect hop and retry is its own entry; responses served from the
+ * audit cache are included with `_fromCache: "memory"`, pages rendered by
+ * the Scrapling sidecar with `_fetcher` (their timings are the browser's
+ * total). Bodies are not recorded, only their sizes. Credential headers
+ * are masked.
+ *
+ * A resumed crawl appends its requests to the recording of the original
+ * run, as long as that is still in memory (not across server restarts).
+ */
+
+import { randomUUID } from 'node:crypto';
+import { getRecordedRequests, getRequestLog } from './http-client.js';
+
+const RECORDING_TTL_MS = 60 * 60 * 1000;  // keep recordings for 1 h
+const MAX_RECORDINGS = 100;
+const MASKED_HEADERS = new Set(['authorization', 'cookie', 'proxy-authorization', 'set-cookie']);
+const CREATOR = { name: 'technical-onpage', version: '1.0.0' };
+
+const recordings = new Map(); // id -> { id, title, contexts, savedAt }
+
+function pruneRecordings() {
+  const now = Date.now();
+  for (const [id, rec] of recordings) {
+    if (now - rec.savedAt > RECORDING_TTL_MS) recordings.delete(id);
+  }
+  const oldest = [...recordings.values()].sort((a, b) => a.savedAt - b.savedAt);
+  while (recordings.size > MAX_RECORDINGS) recordings.delete(oldest.shift().id);
+}
+
+/**
+ * Keep a context's requests for download. A running crawl can be saved
+ * up front: the HAR reflects the requests made so far.
+ *
+ * @param {object} context – createHttpContext() result
+ * @param {object} [opts]
+ * @param {string} [opts.id]      – recording id (e.g. the crawl job id)
+ * @param {string} [opts.title]   – HAR page title, e.g. "unified-audit https://…"
+ * @param {boolean}[opts.append]  – add to an existing recording with this id
+ *                                  (a resumed crawl) instead of replacing it
+ * @returns {string} recording id
+ */
+export function saveHarRecording(context, { id = randomUUID(), title = '', append = false } = {}) {
+  pruneRecordings();
+  const existing = append ? recordings.get(id) : null;
+  if (existing) {
+    existing.contexts.push(context);
+    existing.savedAt = Date.now();
+    return id;
+  }
+  recordings.set(id, { id, title, contexts: [context], savedAt: Date.now() });
+  return id;
+}
+
+export function getHarRecording(id) {
+  return recordings.get(id) || null;
+}
+
+/** Download path of a recording, for linking from responses. */
+export function harDownloadPath(id) {
+  return `/api/har/${encodeURIComponent(id)}`;
+}
+
+/**
+ * The `request_log` and `har_url` fields every audit response carries:
+ * the context's request log and a download link for its requests.
+ */
+export function auditRecording(context, title) {
+  return {
+    request_log: getRequestLog(context),
+    har_url: harDownloadPath(saveHarRecording(context, { title })),
+  };
+}
+
+function harHeaders(pairs) {
+  return pairs.map(([name, value]) => ({ name, value: MASKED_HEADERS.has(name.toLowerCase()) ? 'REDACTED' : value }));
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function harEntry(request, exchange) {
+  const contentType = exchange.response_headers.find(([name]) => name === 'content-type');
+  const contentLength = exchange.response_headers.find(([name]) => name === 'content-length');
+  const encoded = exchange.response_headers.some(([name]) => name === 'content-encoding');
+  const wait = Math.max(0, exchange.wait_ms);
+  const receive = Math.max(0, exchange.receive_ms);
+
+  return {
+    pageref: 'page_1',
+    startedDateTime: new Date(exchange.started_at).toISOString(),
+    time: wait + receive,
+    request: {
+      method: exchange.method,
+      url: exchange.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: harHeaders(exchange.request_headers),
+      queryString: queryString(exchange.url),
+      headersSize: -1,
+      bodySize: 0,
+    },
+    response: {
+      status: exchange.status,
+      statusText: exchange.status_text,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: harHeaders(exchange.response_headers),
+      content: {
+        size: Math.max(0, exchange.body_size),
+        mimeType: contentType ? contentType[1] : 'x-unknown',
+      },
+      redirectURL: exchange.redirect_url,
+      headersSize: -1,
+      // Bytes on the wire are only known from Content-Length; bodies are counted decoded
+      bodySize: exchange.from_cache ? 0 : contentLength ? Number(contentLength[1]) : encoded ? -1 : exchange.body_size,
+    },
+    cache: {},
+    timings: { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait, receive },
+    _module: request.module,
+    ...(request.via ? { _fetcher: request.via } : {}),
+    ...(exchange.from_cache ? { _fromCache: exchange.from_cache } : {}),
+    ...(exchange.error ? { _error: exchange.error } : {}),
+  };
+}
+
+/**
+ * HAR 1.2 document for a recording.
+ */
+export function buildHar(recording) {
+  const requests = recording.contexts.flatMap(getRecordedRequests);
+  const entries = requests
+    .flatMap(request => request._exchanges.map(exchange => harEntry(request, exchange)))
+    .sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+  const truncated = recording.contexts.reduce((sum, context) => sum + context.logged, 0) - requests.length;
+
+  return {
+    log: {
+      version: '1.2',
+      creator: CREATOR,
+      pages: [{
+        startedDateTime: new Date(recording.contexts[0].startedAt).toISOString(),
+        id: 'page_1',
+        title: recording.title,
+        pageTimings: { onContentLoad: -1, onLoad: -1 },
+      }],
+      entries,
+      ...(truncated > 0 ? { comment: `${truncated} later request(s) not recorded` } : {}),
+    },
+  };
+}
@@ -0,0 +1,386 @@
+/**
+ * Minimal HTML tree + CSS selector engine (no dependencies) for crawl
+ * extraction rules.
+ *
+ * Parsing is forgiving the way browsers are: unclosed elements close with
+ * their parent, stray end tags are ignored and <p>, <li>, <td>… close
+ * their open sibling. Supported selectors:
+ *   - type, `*`, `#id`, `.class`
+ *   - `[attr]`, `[attr=v]`, `~=`, `|=`, `^=`, `$=`, `*=` (optional ` i` flag)
+ *   - `:first-child`, `:last-child`, `:only-child`, `:empty`,
+ *     `:nth-child(n|odd|even)`, `:not(<compound>)`
+ *   - descendant, `>`, `+` and `~` combinators; comma-separated lists
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript']);
+
+// Opening one of these closes the current element while it is in the set
+const IMPLIED_END = {
+  p: new Set(['p']),
+  li: new Set(['li']),
+  option: new Set(['option']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  tr: new Set(['tr', 'td', 'th']),
+  td: new Set(['td', 'th']),
+  th: new Set(['td', 'th']),
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  for (const m of source.matchAll(/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    const name = m[1].toLowerCase();
+    if (!(name in attrs)) attrs[name] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+  }
+  return attrs;
+}
+
+/**
+ * Parse an HTML document into a tree of
+ * `{ type: 'element', name, attrs, children, parent }` and
+ * `{ type: 'text', text, parent }` nodes under a root node.
+ */
+export function parseHtml(html) {
+  const root = { type: 'root', name: '#root', attrs: {}, children: [], parent: null };
+  const source = String(html || '');
+  const startTag = /<([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+  const endTag = /<\/([a-zA-Z][^\s/>]*)[^>]*>/y;
+  let current = root;
+  let i = 0;
+
+  const addText = (text, raw = false) => {
+    if (text) current.children.push({ type: 'text', text: raw ? text : decodeEntities(text), parent: current });
+  };
+
+  while (i < source.length) {
+    const lt = source.indexOf('<', i);
+    if (lt === -1) {
+      addText(source.slice(i));
+      break;
+    }
+    addText(source.slice(i, lt));
+
+    if (source.startsWith('<!--', lt)) {
+      const end = source.indexOf('-->', lt + 4);
+      i = end === -1 ? source.length : end + 3;
+      continue;
+    }
+    if (source[lt + 1] === '!' || source[lt + 1] === '?') {
+      const end = source.indexOf('>', lt);
+      i = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    endTag.lastIndex = lt;
+    const end = endTag.exec(source);
+    if (end) {
+      const name = end[1].toLowerCase();
+      for (let node = current; node.type === 'element'; node = node.parent) {
+        if (node.name === name) {
+          current = node.parent;
+          break;
+        }
+      }
+      i = endTag.lastIndex;
+      continue;
+    }
+
+    startTag.lastIndex = lt;
+    const start = startTag.exec(source);
+    if (!start) {
+      addText('<');
+      i = lt + 1;
+      continue;
+    }
+    i = startTag.lastIndex;
+
+    const name = start[1].toLowerCase();
+    const closes = IMPLIED_END[name];
+    while (closes && current.type === 'element' && closes.has(current.name)) current = current.parent;
+
+    const element = { type: 'element', name, attrs: parseAttributes(start[2]), children: [], parent: current };
+    current.children.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(name)) {
+      const close = new RegExp(`</${name}\\s*>`, 'ig');
+      close.lastIndex = i;
+      const m = close.exec(source);
+      const content = source.slice(i, m ? m.index : source.length);
+      if (content) {
+        const raw = name === 'script' || name === 'style';
+        element.children.push({ type: 'text', text: raw ? content : decodeEntities(content), parent: element });
+      }
+      i = m ? close.lastIndex : source.length;
+      continue;
+    }
+
+    if (!VOID_ELEMENTS.has(name) && !/\/\s*$/.test(start[2])) current = element;
+  }
+
+  return root;
+}
+
+// ── Selectors ───────────────────────────────────────────────────
+
+/**
+ * Parse a selector list. Throws a SyntaxError naming the problem.
+ *
+ * @returns {Array<Array<{ combinator: string|null, compound: object }>>}
+ */
+export function parseSelector(selector) {
+  const src = String(selector || '').trim();
+  const identRe = /-?(?:[_a-zA-Z\u00a0-\uffff]|\\.)(?:[\w\u00a0-\uffff-]|\\.)*/y;
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new SyntaxError(`Invalid selector "${src}": ${message}`);
+  };
+  const skipSpace = () => {
+    const start = pos;
+    while (pos < src.length && /\s/.test(src[pos])) pos++;
+    return pos > start;
+  };
+  const ident = () => {
+    identRe.lastIndex = pos;
+    const m = identRe.exec(src);
+    if (!m) fail(`expected a name at position ${pos}`);
+    pos = identRe.lastIndex;
+    return m[0].replace(/\\(.)/g, '$1');
+  };
+
+  const attribute = () => {
+    skipSpace();
+    const attr = { name: ident().toLowerCase(), op: null, value: null, ci: false };
+    skipSpace();
+    const op = /[~|^$*]?=/y;
+    op.lastIndex = pos;
+    const m = op.exec(src);
+    if (m) {
+      attr.op = m[0];
+      pos = op.lastIndex;
+      skipSpace();
+      const quote = src[pos];
+      if (quote === '"' || quote === "'") {
+        const close = src.indexOf(quote, pos + 1);
+        if (close === -1) fail('unterminated string');
+        attr.value = src.slice(pos + 1, close);
+        pos = close + 1;
+      } else {
+        attr.value = ident();
+      }
+      skipSpace();
+      if (src[pos] === 'i' || src[pos] === 'I') {
+        attr.ci = true;
+        pos++;
+        skipSpace();
+      }
+    }
+    if (src[pos] !== ']') fail('expected "]"');
+    pos++;
+    return attr;
+  };
+
+  const pseudo = () => {
+    const name = ident().toLowerCase();
+    if (['first-child', 'last-child', 'only-child', 'empty'].includes(name)) return { name };
+    if (name !== 'not' && name !== 'nth-child') fail(`unsupported pseudo-class :${name}`);
+    if (src[pos] !== '(') fail(`:${name} needs an argument`);
+    pos++;
+    skipSpace();
+    let arg;
+    if (name === 'not') {
+      arg = compound();
+    } else {
+      const m = /odd|even|\d+/y;
+      m.lastIndex = pos;
+      const found = m.exec(src);
+      if (!found) fail(':nth-child() takes a number, odd or even');
+      arg = found[0];
+      pos = m.lastIndex;
+    }
+    skipSpace();
+    if (src[pos] !== ')') fail('expected ")"');
+    pos++;
+    return { name, arg };
+  };
+
+  function compound() {
+    const c = { tag: null, id: null, classes: [], attrs: [], pseudos: [] };
+    let empty = true;
+    if (src[pos] === '*') {
+      pos++;
+      empty = false;
+    } else if (/[a-zA-Z]/.test(src[pos] || '')) {
+      c.tag = ident().toLowerCase();
+      empty = false;
+    }
+    for (;;) {
+      const ch = src[pos];
+      if (ch === '#') { pos++; c.id = ident(); }
+      else if (ch === '.') { pos++; c.classes.push(ident()); }
+      else if (ch === '[') { pos++; c.attrs.push(attribute()); }
+      else if (ch === ':') { pos++; c.pseudos.push(pseudo()); }
+      else break;
+      empty = false;
+    }
+    if (empty) fail(pos < src.length ? `unexpected "${src[pos]}" at position ${pos}` : 'unexpected end');
+    return c;
+  }
+
+  if (!src) fail('empty selector');
+  const list = [];
+  let complex = [];
+  let combinator = null;
+  while (pos < src.length) {
+    complex.push({ combinator, compound: compound() });
+    const spaced = skipSpace();
+    if (pos >= src.length) break;
+    const ch = src[pos];
+    if (ch === ',') {
+      pos++;
+      skipSpace();
+      if (pos >= src.length) fail('trailing ","');
+      list.push(complex);
+      complex = [];
+      combinator = null;
+    } else if (ch === '>' || ch === '+' || ch === '~') {
+      pos++;
+      skipSpace();
+      if (pos >= src.length) fail(`nothing after "${ch}"`);
+      combinator = ch;
+    } else if (spaced) {
+      combinator = ' ';
+    } else {
+      fail(`unexpected "${ch}" at position ${pos}`);
+    }
+  }
+  list.push(complex);
+  return list;
+}
+
+function elementChildren(node) {
+  return node.children.filter(c => c.type === 'element');
+}
+
+function previousElement(el) {
+  const siblings = el.parent.children;
+  for (let i = siblings.indexOf(el) - 1; i >= 0; i--) {
+    if (siblings[i].type === 'element') return siblings[i];
+  }
+  return null;
+}
+
+function matchesAttribute(el, { name, op, value, ci }) {
+  if (!(name in el.attrs)) return false;
+  if (!op) return true;
+  const actual = ci ? el.attrs[name].toLowerCase() : el.attrs[name];
+  const expected = ci ? value.toLowerCase() : value;
+  switch (op) {
+    case '=': return actual === expected;
+    case '~=': return actual.split(/\s+/).includes(expected);
+    case '|=': return actual === expected || actual.startsWith(`${expected}-`);
+    case '^=': return expected !== '' && actual.startsWith(expected);
+    case '$=': return expected !== '' && actual.endsWith(expected);
+    case '*=': return expected !== '' && actual.includes(expected);
+    default: return false;
+  }
+}
+
+function matchesPseudo(el, { name, arg }) {
+  const siblings = el.parent ? elementChildren(el.parent) : [el];
+  switch (name) {
+    case 'first-child': return siblings[0] === el;
+    case 'last-child': return siblings[siblings.length - 1] === el;
+    case 'only-child': return siblings.length === 1;
+    case 'empty': return el.children.length === 0;
+    case 'not': return !matchesCompound(el, arg);
+    case 'nth-child': {
+      const n = siblings.indexOf(el) + 1;
+      if (arg === 'odd') return n % 2 === 1;
+      if (arg === 'even') return n % 2 === 0;
+      return n === Number(arg);
+    }
+    default: return false;
+  }
+}
+
+function matchesCompound(el, c) {
+  if (c.tag && el.name !== c.tag) return false;
+  if (c.id && el.attrs.id !== c.id) return false;
+  if (c.classes.length > 0) {
+    const classes = (el.attrs.class || '').split(/\s+/);
+    if (!c.classes.every(cls => classes.includes(cls))) return false;
+  }
+  return c.attrs.every(a => matchesAttribute(el, a)) && c.pseudos.every(p => matchesPseudo(el, p));
+}
+
+function matchesComplex(el, complex, index = complex.length - 1) {
+  const { combinator, compound } = complex[index];
+  if (!matchesCompound(el, compound)) return false;
+  if (index === 0) return true;
+
+  switch (combinator) {
+    case '>':
+      return el.parent?.type === 'element' && matchesComplex(el.parent, complex, index - 1);
+    case '+': {
+      const prev = previousElement(el);
+      return !!prev && matchesComplex(prev, complex, index - 1);
+    }
+    case '~':
+      for (let s = previousElement(el); s; s = previousElement(s)) {
+        if (matchesComplex(s, complex, index - 1)) return true;
+      }
+      return false;
+    default:
+      for (let p = el.parent; p?.type === 'element'; p = p.parent) {
+        if (matchesComplex(p, complex, index - 1)) return true;
+      }
+      return false;
+  }
+}
+
+/**
+ * All elements under `root` matching a selector, in document order.
+ *
+ * @param {object}        root     – node from parseHtml()
+ * @param {string|Array}  selector – selector text or parseSelector() output
+ */
+export function selectAll(root, selector) {
+  const list = typeof selector === 'string' ? parseSelector(selector) : selector;
+  const matches = [];
+  const visit = (node) => {
+    for (const child of node.children) {
+      if (child.type !== 'element') continue;
+      if (list.some(complex => matchesComplex(child, complex))) matches.push(child);
+      visit(child);
+    }
+  };
+  visit(root);
+  return matches;
+}
+
+/** Text content of a node with whitespace collapsed (script / style skipped). */
+export function textContent(node) {
+  const parts = [];
+  const visit = (n) => {
+    if (n.type === 'text') parts.push(n.text);
+    else if (n.name !== 'script' && n.name !== 'style') n.children.forEach(visit);
+  };
+  visit(node);
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
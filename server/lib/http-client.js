@@ -0,0 +1,583 @@
+/**
+ * Shared HTTP client — every page, robots.txt, sitemap and link request
+ * made by the audit modules and routes goes through httpFetch().
+ *
+ *   - Defaults: one user agent, optional extra headers and an optional
+ *     proxy (HTTP_USER_AGENT, HTTP_PROXY_URL), overridable per audit and
+ *     per request.
+ *   - Retries: connection resets and 429/502/503/504 responses are retried
+ *     with exponential backoff, or after Retry-After when the server sends it.
+ *   - Redirects are followed hop by hop so each one can be recorded.
+ *   - Fixtures: with HTTP_FIXTURES_MODE set, responses are recorded to or
+ *     replayed from disk (http-fixtures.js).
+ *   - Audit context: inside runWithHttpContext() GET responses are cached
+ *     for the rest of the audit and revalidated with If-None-Match /
+ *     If-Modified-Since once stale, identical in-flight requests share one
+ *     network request, and every request is logged — with the headers,
+ *     timings and body size of each exchange for the HAR export. Pages
+ *     fetched by the Scrapling sidecar's browser are logged through
+ *     recordExternalFetch().
+ *
+ * Outside an audit context requests are neither cached nor logged.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { parseRetryAfter } from './politeness.js';
+import { fixturesMode, recordFixture, replayFixture } from './http-fixtures.js';
+
+export const DEFAULT_USER_AGENT = process.env.HTTP_USER_AGENT || 'Mozilla/5.0 (compatible; SEO-Analyzer/1.0)';
+const DEFAULT_PROXY = process.env.HTTP_PROXY_URL || null;
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 5000;
+const RETRY_STATUSES = new Set([429, 502, 503, 504]);
+const RETRY_ERROR_CODES = new Set(['ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const MAX_REDIRECTS = 20;                 // same limit as fetch()
+const CACHE_FRESH_MS = 60000;            // cached responses served without revalidation
+const MAX_CACHE_BODY_BYTES = 10 * 1024 * 1024;
+const MAX_LOG_ENTRIES = 1000;
+const NULL_BODY_STATUSES = new Set([204, 205, 304]);
+const SECRET_PARAMS = /^(key|api_?key|access_token|token|password)$/i;
+const CREDENTIAL_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+const MAX_USER_AGENT_LENGTH = 500;
+
+const auditContext = new AsyncLocalStorage();
+const proxyClients = new Map(); // proxy URL -> Promise<{ fetch, dispatcher }>
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * undici's own fetch with a ProxyAgent — loaded on first use so servers
+ * without a proxy never import it.
+ */
+function proxyClient(proxy) {
+  if (!proxyClients.has(proxy)) {
+    proxyClients.set(proxy, import('undici').then(({ fetch, ProxyAgent }) => ({ fetch, dispatcher: new ProxyAgent(proxy) })));
+  }
+  return proxyClients.get(proxy);
+}
+
+function isRetryableError(err) {
+  const code = err.cause?.code || err.code;
+  return err.name !== 'AbortError' && RETRY_ERROR_CODES.has(code);
+}
+
+function retryDelay(attempt, retryAfter) {
+  const hinted = parseRetryAfter(retryAfter);
+  return Math.min(RETRY_MAX_MS, hinted !== null ? hinted : RETRY_BASE_MS * 2 ** attempt);
+}
+
+function errorMessage(err) {
+  if (err.name === 'AbortError') return 'timeout';
+  return err.message === 'fetch failed' && err.cause?.message ? `fetch failed: ${err.cause.message}` : err.message;
+}
+
+/** URL for the log, with API keys and tokens in the query string masked. */
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    for (const name of [...u.searchParams.keys()]) {
+      if (SECRET_PARAMS.test(name)) u.searchParams.set(name, 'REDACTED');
+    }
+    return u.href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * One exchange (request + response) of a logged request: each redirect
+ * hop and each retry is its own exchange.
+ */
+function startExchange(entry, url, init) {
+  const exchange = {
+    started_at: Date.now(),
+    method: init.method,
+    url: redactUrl(url),
+    request_headers: [...init.headers],
+    status: 0,
+    status_text: '',
+    response_headers: [],
+    redirect_url: '',
+    wait_ms: -1,
+    receive_ms: -1,
+    body_size: -1,
+    error: null,
+  };
+  entry._exchanges.push(exchange);
+  return exchange;
+}
+
+/**
+ * One request with a timeout; `signal` (the caller's) aborts it too.
+ * In fixture record mode the body is read here and written to disk; in
+ * replay mode the response comes from disk instead.
+ */
+async function fetchOnce(url, init, { timeoutMs, proxy, signal }) {
+  if (fixturesMode() === 'replay') return replayFixture(url, init);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort, { once: true });
+  let res;
+  try {
+    if (proxy) {
+      const client = await proxyClient(proxy);
+      res = await client.fetch(url, { ...init, signal: controller.signal, dispatcher: client.dispatcher });
+    } else {
+      res = await fetch(url, { ...init, signal: controller.signal });
+    }
+    return fixturesMode() === 'record' ? await recordFixture(url, init, res) : res;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * fetchOnce() with retries, each attempt recorded on the log entry.
+ */
+async function fetchWithRetries(url, init, opts, entry) {
+  for (let attempt = 0; ; attempt++) {
+    entry.attempts++;
+    const exchange = startExchange(entry, url, init);
+    try {
+      const res = await fetchOnce(url, init, opts);
+      exchange.wait_ms = Date.now() - exchange.started_at;
+      exchange.status = res.status;
+      exchange.status_text = res.statusText;
+      exchange.response_headers = [...res.headers];
+      if (attempt >= opts.retries || !RETRY_STATUSES.has(res.status)) return { res, exchange };
+      await res.body?.cancel().catch(() => {});
+      await sleep(retryDelay(attempt, res.headers.get('retry-after')));
+    } catch (err) {
+      exchange.error = errorMessage(err);
+      if (attempt >= opts.retries || opts.signal?.aborted || !isRetryableError(err)) throw err;
+      await sleep(retryDelay(attempt, null));
+    }
+  }
+}
+
+/**
+ * Send a request, following redirects hop by hop when `init.redirect` is
+ * follow. Credentials are not forwarded to another origin, as with fetch().
+ *
+ * @returns {Promise<{ res: Response, exchange: object }>} the final response
+ *          (with `url` and `redirected` set) and its exchange
+ */
+async function sendRequest(url, init, opts, entry) {
+  let current = url;
+  let hopInit = { ...init, redirect: 'manual' };
+  for (let hop = 0; ; hop++) {
+    const { res, exchange } = await fetchWithRetries(current, hopInit, opts, entry);
+    const location = res.headers.get('location');
+    if (init.redirect !== 'follow' || !REDIRECT_STATUSES.has(res.status) || !location) {
+      if (hop > 0) {
+        Object.defineProperty(res, 'url', { value: current });
+        Object.defineProperty(res, 'redirected', { value: true });
+      }
+      return { res, exchange };
+    }
+
+    await res.body?.cancel().catch(() => {});
+    exchange.body_size = 0;
+    if (hop >= MAX_REDIRECTS) throw new TypeError('fetch failed', { cause: new Error('redirect count exceeded') });
+    const next = new URL(location, current);
+    if (next.protocol !== 'http:' && next.protocol !== 'https:') {
+      throw new TypeError('fetch failed', { cause: new Error(`unsupported redirect to ${next.protocol}`) });
+    }
+    exchange.redirect_url = redactUrl(next.href);
+
+    const headers = new Headers(hopInit.headers);
+    if (next.origin !== new URL(current).origin) CREDENTIAL_HEADERS.forEach(name => headers.delete(name));
+    hopInit = { ...hopInit, headers, method: res.status === 303 && hopInit.method !== 'HEAD' ? 'GET' : hopInit.method };
+    entry.redirects++;
+    current = next.href;
+  }
+}
+
+/**
+ * The response with its body counted as the caller reads it, so the
+ * exchange gets a body size and receive time.
+ */
+function observeBody(res, exchange) {
+  if (!res.body) {
+    exchange.body_size = 0;
+    exchange.receive_ms = 0;
+    return res;
+  }
+  const received = Date.now();
+  let size = 0;
+  const counter = new TransformStream({
+    transform(chunk, controller) {
+      size += chunk.byteLength;
+      controller.enqueue(chunk);
+    },
+    flush() {
+      exchange.body_size = size;
+      exchange.receive_ms = Date.now() - received;
+    },
+  });
+  const observed = new Response(res.body.pipeThrough(counter), { status: res.status, statusText: res.statusText, headers: res.headers });
+  Object.defineProperty(observed, 'url', { value: res.url });
+  Object.defineProperty(observed, 'redirected', { value: res.redirected });
+  return observed;
+}
+
+// ── Audit context ───────────────────────────────────────────────
+
+/**
+ * Create the per-audit state: request defaults, response cache, in-flight
+ * requests and request log.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.userAgent]
+ * @param {object} [opts.headers]    – extra request headers for every request
+ * @param {string} [opts.proxy]      – proxy URL (http:// or https://)
+ * @param {number} [opts.timeoutMs]
+ * @param {number} [opts.retries]
+ * @param {boolean}[opts.cache]      – false only logs (long crawls)
+ * @param {number} [opts.maxEntries] – log entries kept
+ */
+export function createHttpContext(opts = {}) {
+  if (opts.userAgent !== undefined && opts.userAgent !== null &&
+      (typeof opts.userAgent !== 'string' || opts.userAgent.length > MAX_USER_AGENT_LENGTH)) {
+    throw new TypeError(`userAgent must be a string of at most ${MAX_USER_AGENT_LENGTH} characters`);
+  }
+  let headers;
+  try {
+    if (opts.headers !== undefined && opts.headers !== null &&
+        (typeof opts.headers !== 'object' || Array.isArray(opts.headers))) {
+      throw new TypeError('expected an object of header names and values');
+    }
+    headers = [...new Headers(opts.headers || {})];
+  } catch (err) {
+    throw new TypeError(`Invalid request headers: ${err.message}`);
+  }
+
+  return {
+    userAgent: opts.userAgent || null,
+    headers,
+    proxy: opts.proxy || null,
+    timeoutMs: opts.timeoutMs || null,
+    retries: opts.retries ?? null,
+    cacheEnabled: opts.cache !== false,
+    maxEntries: opts.maxEntries || MAX_LOG_ENTRIES,
+    startedAt: Date.now(),
+    cache: new Map(),     // cache key -> stored response
+    inflight: new Map(),  // cache key -> Promise<stored response>
+    log: [],
+    logged: 0,
+  };
+}
+
+/**
+ * Run `fn` with `context` as the audit context of every httpFetch() it
+ * makes, including those in awaited module code.
+ */
+export function runWithHttpContext(context, fn) {
+  return auditContext.run(context, fn);
+}
+
+/** Per-audit options from a JSON body: `user_agent` and `request_headers`. */
+function bodyHttpOptions(req) {
+  return { userAgent: req.body?.user_agent, headers: req.body?.request_headers };
+}
+
+/**
+ * Express middleware: run the rest of the request in a fresh audit context,
+ * also exposed as `req.httpContext`. `options(req)` picks the per-audit
+ * createHttpContext() options from the request (by default `user_agent`
+ * and `request_headers` from the body); invalid ones are a 400.
+ * The response cache is dropped once the response is sent; the log stays.
+ */
+export function withHttpContext(options = bodyHttpOptions) {
+  return (req, res, next) => {
+    let context;
+    try {
+      context = createHttpContext(options(req));
+    } catch (err) {
+      return res.status(400).json({ url: req.body?.url || '', status: 'error', error: err.message });
+    }
+    req.httpContext = context;
+    res.on('close', () => context.cache.clear());
+    return runWithHttpContext(context, next);
+  };
+}
+
+function record(context, entry) {
+  if (!context) return;
+  context.logged++;
+  if (context.log.length < context.maxEntries) context.log.push(entry);
+}
+
+/**
+ * The request log of an audit context: totals plus one entry per request
+ * (`cache` is miss, hit, revalidated, deduplicated or bypass).
+ */
+export function getRequestLog(context) {
+  const summary = {
+    total: context.logged,
+    network: 0,
+    cache_hits: 0,
+    revalidated: 0,
+    deduplicated: 0,
+    retries: 0,
+    redirects: 0,
+    errors: 0,
+    truncated: context.logged > context.log.length,
+  };
+  const entries = [];
+  for (const { _exchanges, ...entry } of context.log) {
+    if (entry.cache === 'hit') summary.cache_hits++;
+    else if (entry.cache === 'deduplicated') summary.deduplicated++;
+    else summary.network++;
+    if (entry.cache === 'revalidated') summary.revalidated++;
+    summary.retries += Math.max(0, _exchanges.length - entry.redirects - 1);
+    summary.redirects += entry.redirects;
+    if (entry.error) summary.errors++;
+    entries.push(entry);
+  }
+  return { ...summary, entries };
+}
+
+/**
+ * Logged requests with their exchanges, for the HAR export.
+ */
+export function getRecordedRequests(context) {
+  return context.log;
+}
+
+/**
+ * Log a page fetched outside httpFetch() — by the Scrapling sidecar's
+ * browser — in the current audit context, so the request log and the HAR
+ * export cover it. `via` names the fetcher. No-op outside a context.
+ *
+ * @param {object} fetch
+ * @param {string} fetch.url
+ * @param {string} fetch.via          – e.g. StealthyFetcher
+ * @param {string} [fetch.module]
+ * @param {string} [fetch.userAgent]
+ * @param {number} fetch.startedAt    – epoch ms
+ * @param {number} fetch.durationMs
+ * @param {number} [fetch.status]
+ * @param {object} [fetch.headers]    – response headers as an object
+ * @param {number} [fetch.bodySize]
+ * @param {string} [fetch.error]
+ */
+export function recordExternalFetch(fetch) {
+  const context = auditContext.getStore();
+  if (!context) return;
+  const durationMs = Math.max(0, fetch.durationMs || 0);
+  record(context, {
+    url: redactUrl(fetch.url),
+    method: 'GET',
+    module: fetch.module || null,
+    via: fetch.via,
+    status: fetch.status ?? null,
+    cache: 'bypass',
+    attempts: 1,
+    redirects: 0,
+    started_ms: fetch.startedAt - context.startedAt,
+    duration_ms: durationMs,
+    error: fetch.error || null,
+    _exchanges: [{
+      started_at: fetch.startedAt,
+      method: 'GET',
+      url: redactUrl(fetch.url),
+      request_headers: [['user-agent', fetch.userAgent || context.userAgent || DEFAULT_USER_AGENT]],
+      status: fetch.status ?? 0,
+      status_text: '',
+      response_headers: Object.entries(fetch.headers || {}).map(([name, value]) => [name.toLowerCase(), String(value)]),
+      redirect_url: '',
+      wait_ms: durationMs,
+      receive_ms: 0,
+      body_size: fetch.bodySize ?? -1,
+      error: fetch.error || null,
+    }],
+  });
+}
+
+// ── Stored responses ────────────────────────────────────────────
+
+function cacheControl(headers) {
+  const value = (headers.get('cache-control') || '').toLowerCase();
+  return { noStore: value.includes('no-store'), noCache: value.includes('no-cache') };
+}
+
+async function storeResponse(res, exchange) {
+  const received = Date.now();
+  const body = NULL_BODY_STATUSES.has(res.status) ? null : Buffer.from(await res.arrayBuffer());
+  exchange.body_size = body?.length || 0;
+  exchange.receive_ms = Date.now() - received;
+  return {
+    status: res.status,
+    statusText: res.statusText,
+    headers: [...res.headers],
+    body,
+    url: res.url,
+    redirected: res.redirected,
+    storedAt: Date.now(),
+    etag: res.headers.get('etag'),
+    lastModified: res.headers.get('last-modified'),
+    ...cacheControl(res.headers),
+  };
+}
+
+/** A fresh Response for a stored one; each caller gets its own body. */
+function toResponse(stored) {
+  const res = new Response(stored.body, { status: stored.status, statusText: stored.statusText, headers: stored.headers });
+  Object.defineProperty(res, 'url', { value: stored.url });
+  Object.defineProperty(res, 'redirected', { value: stored.redirected });
+  return res;
+}
+
+/** Exchange for a response served from the audit cache. */
+function cachedExchange(entry, stored, headers) {
+  entry._exchanges.push({
+    started_at: Date.now(),
+    method: entry.method,
+    url: redactUrl(stored.url || entry.url),
+    request_headers: [...headers],
+    status: stored.status,
+    status_text: stored.statusText,
+    response_headers: stored.headers,
+    redirect_url: '',
+    wait_ms: 0,
+    receive_ms: 0,
+    body_size: stored.body?.length || 0,
+    error: null,
+    from_cache: 'memory',
+  });
+}
+
+function isFresh(stored) {
+  return !stored.noCache && Date.now() - stored.storedAt < CACHE_FRESH_MS;
+}
+
+// ── Public API ──────────────────────────────────────────────────
+
+/**
+ * fetch() with the shared defaults, retries and — inside an audit
+ * context — caching, de-duplication and logging.
+ *
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {string} [opts.method]     – GET (default) or HEAD; only GET is cached
+ * @param {object} [opts.headers]
+ * @param {string} [opts.userAgent]
+ * @param {string} [opts.redirect]   – follow (default) or manual
+ * @param {number} [opts.timeoutMs]  – per attempt
+ * @param {number} [opts.retries]
+ * @param {boolean}[opts.cache]      – false skips the audit cache and de-duplication
+ * @param {string} [opts.module]     – module making the request, for the log
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<Response>}
+ */
+export async function httpFetch(url, opts = {}) {
+  const context = auditContext.getStore() || null;
+  const method = (opts.method || 'GET').toUpperCase();
+  const redirect = opts.redirect || 'follow';
+
+  const headers = new Headers(context?.headers);
+  headers.set('User-Agent', opts.userAgent || context?.userAgent || DEFAULT_USER_AGENT);
+  for (const [name, value] of new Headers(opts.headers)) headers.set(name, value);
+
+  const fetchOpts = {
+    timeoutMs: opts.timeoutMs || context?.timeoutMs || DEFAULT_TIMEOUT_MS,
+    retries: opts.retries ?? context?.retries ?? DEFAULT_RETRIES,
+    proxy: context?.proxy || DEFAULT_PROXY,
+    signal: opts.signal,
+  };
+  const init = { method, redirect, headers };
+  const start = Date.now();
+  const entry = {
+    url: redactUrl(url),
+    method,
+    module: opts.module || null,
+    status: null,
+    cache: 'bypass',
+    attempts: 0,
+    redirects: 0,
+    started_ms: context ? start - context.startedAt : 0,
+    duration_ms: 0,
+    error: null,
+    _exchanges: [],
+  };
+  const finish = (fields) => {
+    Object.assign(entry, fields, { duration_ms: Date.now() - start });
+    record(context, entry);
+  };
+
+  // Uncached: no audit context, not a GET, or opted out
+  if (!context || !context.cacheEnabled || method !== 'GET' || opts.cache === false) {
+    try {
+      const { res, exchange } = await sendRequest(url, init, fetchOpts, entry);
+      finish({ status: res.status });
+      return context ? observeBody(res, exchange) : res;
+    } catch (err) {
+      finish({ error: errorMessage(err) });
+      throw err;
+    }
+  }
+
+  const key = `${redirect} ${headers.get('user-agent')} ${url}`;
+  const cached = context.cache.get(key);
+  if (cached && isFresh(cached)) {
+    cachedExchange(entry, cached, headers);
+    finish({ status: cached.status, cache: 'hit' });
+    return toResponse(cached);
+  }
+
+  const pending = context.inflight.get(key);
+  if (pending) {
+    try {
+      const stored = await pending;
+      cachedExchange(entry, stored, headers);
+      finish({ status: stored.status, cache: 'deduplicated' });
+      return toResponse(stored);
+    } catch (err) {
+      finish({ cache: 'deduplicated', error: errorMessage(err) });
+      throw err;
+    }
+  }
+
+  const request = (async () => {
+    const revalidating = cached && (cached.etag || cached.lastModified);
+    if (revalidating) {
+      if (cached.etag) init.headers.set('If-None-Match', cached.etag);
+      if (cached.lastModified) init.headers.set('If-Modified-Since', cached.lastModified);
+    }
+    const { res, exchange } = await sendRequest(url, init, fetchOpts, entry);
+
+    if (revalidating && res.status === 304) {
+      exchange.body_size = 0;
+      exchange.receive_ms = 0;
+      cached.storedAt = Date.now();
+      entry.cache = 'revalidated';
+      return cached;
+    }
+    const stored = await storeResponse(res, exchange);
+    entry.cache = 'miss';
+    if (!stored.noStore && (stored.body?.length || 0) <= MAX_CACHE_BODY_BYTES) context.cache.set(key, stored);
+    else context.cache.delete(key);
+    return stored;
+  })();
+  context.inflight.set(key, request);
+
+  try {
+    const stored = await request;
+    finish({ status: stored.status });
+    return toResponse(stored);
+  } catch (err) {
+    finish({ cache: 'miss', error: errorMessage(err) });
+    throw err;
+  } finally {
+    context.inflight.delete(key);
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * HTTP record/replay fixtures — deterministic offline audits.
+ *
+ *   HTTP_FIXTURES_MODE=record  every response fetched through the shared
+ *                              HTTP client (pages, robots.txt, sitemaps,
+ *                              each redirect hop) is written to
+ *                              HTTP_FIXTURES_DIR (default ./.http-fixtures)
+ *   HTTP_FIXTURES_MODE=replay  responses are served from that directory and
+ *                              nothing goes to the network; a request
+ *                              without a fixture fails like an unreachable host
+ *
+ * One JSON file per request (the latest recording wins), named
+ * `<host>_<hash>.json`. The hash covers the method, the URL and the request
+ * headers that can change the response (User-Agent, Accept, per-audit
+ * headers…), so audits with a different user agent get fixtures of their
+ * own. Text bodies are stored as UTF-8 so fixtures can be read and edited
+ * by hand; other bodies as base64. Bodies are stored decoded, so
+ * Content-Encoding / Content-Length are dropped. Writes go to a temp file
+ * first and are renamed into place.
+ *
+ * Scrapling sidecar results are fixtures too (`sidecar_<host>_<hash>.json`),
+ * keyed on the URL, fetcher and user agent: recorded as the sidecar
+ * returned them and replayed without the sidecar running. The sidecar
+ * health check is recorded the same way, so a replay uses the sidecar
+ * exactly when the recording did.
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+
+export const FIXTURE_MODES = ['record', 'replay'];
+
+const FIXTURES_DIR = resolve(process.env.HTTP_FIXTURES_DIR || '.http-fixtures');
+const FIXTURE_VERSION = 2;
+const NULL_BODY_STATUSES = new Set([204, 205, 304]);
+const DROPPED_HEADERS = new Set(['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive']);
+const TEXT_TYPES = /^(text\/|application\/(?:[\w.+-]*\+)?(?:json|xml|javascript)|image\/svg\+xml)/i;
+const SECRET_PARAMS = /^(key|api_?key|access_token|token|password)$/i;
+// Request headers that do not change the response, left out of the key
+const UNKEYED_HEADERS = new Set(['accept-encoding', 'connection', 'keep-alive', 'content-length']);
+const MASKED_HEADERS = new Set(['authorization', 'proxy-authorization', 'cookie']);
+
+const rawMode = (process.env.HTTP_FIXTURES_MODE || '').trim().toLowerCase();
+if (rawMode && !FIXTURE_MODES.includes(rawMode)) {
+  console.warn(`HTTP_FIXTURES_MODE "${rawMode}" ignored; expected ${FIXTURE_MODES.join(' or ')}`);
+}
+const MODE = FIXTURE_MODES.includes(rawMode) ? rawMode : null;
+
+let tmpCounter = 0;
+
+/** record, replay or null (live network). */
+export function fixturesMode() {
+  return MODE;
+}
+
+export function fixturesDir() {
+  return FIXTURES_DIR;
+}
+
+/** Request headers that are part of the key, lower-cased and sorted. */
+function keyedHeaders(headers) {
+  return [...new Headers(headers || {})]
+    .filter(([name]) => !UNKEYED_HEADERS.has(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+function fixturePath(prefix, url, key) {
+  let host = 'invalid';
+  try { host = new URL(url).hostname.replace(/[^a-zA-Z0-9.-]/g, '_'); } catch { /* keep placeholder */ }
+  const hash = createHash('sha256').update(JSON.stringify(key)).digest('hex').slice(0, 24);
+  return join(FIXTURES_DIR, `${prefix}${host}_${hash}.json`);
+}
+
+function requestPath(method, url, headers) {
+  return fixturePath('', url, [method, url, keyedHeaders(headers)]);
+}
+
+function sidecarPath(request) {
+  const { action, url = '', headless = false, user_agent: userAgent = null } = request;
+  return fixturePath('sidecar_', url || 'http://health', ['sidecar', action, url, !!headless, userAgent]);
+}
+
+/** URL as written into the fixture, with API keys and tokens masked. */
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    for (const name of [...u.searchParams.keys()]) {
+      if (SECRET_PARAMS.test(name)) u.searchParams.set(name, 'REDACTED');
+    }
+    return u.href;
+  } catch {
+    return url;
+  }
+}
+
+/** Write a fixture file; a failed write is only logged. */
+async function writeFixture(file, payload, label) {
+  try {
+    const tmp = `${file}.${process.pid}.${++tmpCounter}.tmp`;
+    await mkdir(FIXTURES_DIR, { recursive: true });
+    await writeFile(tmp, payload, 'utf-8');
+    await rename(tmp, file);
+  } catch (err) {
+    console.warn(`HTTP fixture not recorded for ${label}:`, err.message);
+  }
+}
+
+/**
+ * Write a fixture for a live response to a request made with `init`
+ * (`method` and `headers`, as passed to fetch()). The body is read in
+ * full, so the caller gets back an equivalent response to use instead.
+ *
+ * @returns {Promise<Response>}
+ */
+export async function recordFixture(url, init, res) {
+  const { method } = init;
+  const body = NULL_BODY_STATUSES.has(res.status) || method === 'HEAD'
+    ? null
+    : Buffer.from(await res.arrayBuffer());
+  const isText = TEXT_TYPES.test(res.headers.get('content-type') || '');
+
+  const payload = JSON.stringify({
+    version: FIXTURE_VERSION,
+    method,
+    url: redactUrl(url),
+    request_headers: keyedHeaders(init.headers).map(([name, value]) => [name, MASKED_HEADERS.has(name) ? 'REDACTED' : value]),
+    recorded_at: new Date().toISOString(),
+    status: res.status,
+    status_text: res.statusText,
+    headers: [...res.headers].filter(([name]) => !DROPPED_HEADERS.has(name)),
+    body_encoding: isText ? 'utf8' : 'base64',
+    body: body === null ? null : body.toString(isText ? 'utf8' : 'base64'),
+  }, null, 2);
+
+  await writeFixture(requestPath(method, url, init.headers), payload, redactUrl(url));
+
+  const recorded = new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+  Object.defineProperty(recorded, 'url', { value: res.url });
+  return recorded;
+}
+
+/**
+ * The recorded response for a request made with `init`. Throws a
+ * fetch-style `TypeError('fetch failed')` when there is no fixture.
+ */
+export async function replayFixture(url, init) {
+  const { method } = init;
+  let data;
+  try {
+    data = JSON.parse(await readFile(requestPath(method, url, init.headers), 'utf-8'));
+    if (data.version !== FIXTURE_VERSION) throw new Error(`unsupported fixture version ${data.version}`);
+  } catch (err) {
+    const reason = err.code === 'ENOENT' ? `no fixture for ${method} ${redactUrl(url)}` : `bad fixture for ${method} ${redactUrl(url)}: ${err.message}`;
+    throw new TypeError('fetch failed', { cause: Object.assign(new Error(reason), { code: 'ENOFIXTURE' }) });
+  }
+
+  const body = data.body === null || NULL_BODY_STATUSES.has(data.status)
+    ? null
+    : Buffer.from(data.body, data.body_encoding === 'base64' ? 'base64' : 'utf8');
+  const res = new Response(body, { status: data.status, statusText: data.status_text, headers: data.headers });
+  Object.defineProperty(res, 'url', { value: url });
+  return res;
+}
+
+/**
+ * Record what the sidecar answered to `request`: `{ action: 'health' }` or
+ * `{ action: 'fetch', url, headless, user_agent }`, one URL per fixture
+ * (batch results are recorded URL by URL).
+ */
+export async function recordSidecarFixture(request, result) {
+  const payload = JSON.stringify({
+    version: FIXTURE_VERSION,
+    sidecar: { ...request, ...(request.url && { url: redactUrl(request.url) }) },
+    recorded_at: new Date().toISOString(),
+    result,
+  }, null, 2);
+  await writeFixture(sidecarPath(request), payload, request.url ? `sidecar ${redactUrl(request.url)}` : `sidecar ${request.action}`);
+}
+
+/** The recorded sidecar result for `request`, or null when there is none. */
+export async function replaySidecarFixture(request) {
+  try {
+    const data = JSON.parse(await readFile(sidecarPath(request), 'utf-8'));
+    return data.version === FIXTURE_VERSION ? data.result : null;
+  } catch {
+    return null;
+  }
+}
@@ -9,20 +9,9 @@
  *   - Informational-only if AMP not found
  */
 
-const FETCH_TIMEOUT = 10000;
+import { httpFetch } from '../http-client.js';
 
-async function fetchWithTimeout(url, timeoutMs = FETCH_TIMEOUT) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    return await fetch(url, {
-      signal: controller.signal,
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; SEO-Analyzer/1.0)' },
-    });
-  } finally {
-    clearTimeout(timer);
-  }
-}
+const FETCH_TIMEOUT = 10000;
 
 function extractAmpHtmlLink(html) {
   const m =
@@ -160,7 +149,7 @@ export async function analyzeAmp(html, pageUrl) {
   result.amp_page_url = ampHtmlUrl;
 
   try {
-    const ampRes = await fetchWithTimeout(ampHtmlUrl);
+    const ampRes = await httpFetch(ampHtmlUrl, { module: 'amp_validator', timeoutMs: FETCH_TIMEOUT });
 
     if (!ampRes.ok) {
       result.status = 'FAIL';
@@ -0,0 +1,229 @@
+/**
+ * Anchor Text Analysis — site-wide internal anchor text per target URL
+ *
+ *   - Anchor texts pointing at each URL, with counts
+ *   - Generic anchors ("click here", "read more", "lire la suite", "اقرأ المزيد")
+ *   - Empty anchors and image-only links without alt text
+ *   - One anchor text used for several URLs (cannibalization signal)
+ *   - Over-optimized targets: most incoming anchors are the exact
+ *     title / H1 / slug of the page
+ *
+ * Post-processor: runs on the crawler's link records (`page._links`).
+ */
+
+const MAX_LISTED = 50;
+const MAX_EXAMPLES = 10;
+const MAX_ANCHORS_PER_TARGET = 10;
+const EXACT_MATCH_MIN_LINKS = 5;     // too few links to call a pattern below this
+const EXACT_MATCH_SHARE = 0.5;       // share of exact-match anchors that looks engineered
+
+const GENERIC_ANCHORS = new Set([
+  // English
+  'click here', 'click', 'here', 'read more', 'more', 'learn more', 'see more', 'view more',
+  'continue reading', 'continue', 'details', 'more details', 'more info', 'link', 'this',
+  'this page', 'this link', 'go', 'visit', 'website', 'next', 'previous',
+  // French
+  'cliquez ici', 'ici', 'lire la suite', 'en savoir plus', 'plus', 'voir plus', 'suite',
+  'lire plus', 'détails', 'lien',
+  // Arabic
+  'اضغط هنا', 'انقر هنا', 'هنا', 'اقرأ المزيد', 'المزيد', 'اقرأ أيضا', 'اقرأ أيضاً',
+  'التفاصيل', 'للمزيد', 'شاهد المزيد', 'التالي', 'السابق',
+]);
+
+function normalizeAnchor(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\p{P}\p{S}]+|[\s\p{P}\p{S}]+$/gu, '')
+    .trim();
+}
+
+/** Normalized texts that count as an exact match for a page. */
+function exactMatchTexts(page) {
+  const texts = new Set();
+  for (const value of [page.meta?.title, page.meta?.h1]) {
+    const text = normalizeAnchor(value);
+    if (text) texts.add(text);
+  }
+  try {
+    const slug = new URL(page.url).pathname.split('/').filter(Boolean).pop();
+    if (slug) texts.add(normalizeAnchor(decodeURIComponent(slug).replace(/[-_]+/g, ' ').replace(/\.\w+$/, '')));
+  } catch { /* ignore */ }
+  return texts;
+}
+
+export function analyzeAnchorText(crawledPages) {
+  const result = {
+    module: 'anchor_text',
+    priority: 'medium',
+    status: 'PASS',
+    score: 100,
+    counts: {
+      internal_links: 0,
+      target_urls: 0,
+      generic: 0,
+      empty: 0,
+      image_without_alt: 0,
+      cannibalized_anchors: 0,
+      over_optimized_targets: 0,
+    },
+    targets: [],
+    generic_anchors: [],
+    empty_anchors: [],
+    cannibalized_anchors: [],
+    over_optimized: [],
+    issues: [],
+  };
+
+  const records = new Map(crawledPages.map(p => [p.url, p]));
+  const redirects = new Map();
+  for (const page of crawledPages) {
+    if (page.status === 'redirect' && page.final_url) redirects.set(page.url, page.final_url);
+  }
+
+  const byTarget = new Map();  // url -> Map(normalized anchor -> { text, count })
+  const byAnchor = new Map();  // normalized anchor -> Map(url -> count)
+  const anchorText = new Map(); // normalized anchor -> first text as written
+  const generic = new Map();   // normalized anchor -> { text, count, examples }
+
+  for (const page of crawledPages) {
+    for (const link of page._links || []) {
+      if (!link.internal || link.url === page.url) continue;
+      result.counts.internal_links++;
+      const target = redirects.get(link.url) || link.url;
+      const text = normalizeAnchor(link.anchor);
+
+      if (!text) {
+        if (link.image) result.counts.image_without_alt++;
+        else result.counts.empty++;
+        if (result.empty_anchors.length < MAX_LISTED) {
+          result.empty_anchors.push({ from: page.url, to: link.url, image: !!link.image });
+        }
+        continue;
+      }
+
+      if (!byTarget.has(target)) byTarget.set(target, new Map());
+      const anchors = byTarget.get(target);
+      if (!anchors.has(text)) anchors.set(text, { text: link.anchor.trim(), count: 0 });
+      anchors.get(text).count++;
+
+      if (GENERIC_ANCHORS.has(text)) {
+        result.counts.generic++;
+        if (!generic.has(text)) generic.set(text, { text: link.anchor.trim(), count: 0, examples: [] });
+        const entry = generic.get(text);
+        entry.count++;
+        if (entry.examples.length < MAX_EXAMPLES) entry.examples.push({ from: page.url, to: link.url });
+        continue;
+      }
+
+      if (!byAnchor.has(text)) {
+        byAnchor.set(text, new Map());
+        anchorText.set(text, link.anchor.trim());
+      }
+      byAnchor.get(text).set(target, (byAnchor.get(text).get(target) || 0) + 1);
+    }
+  }
+
+  if (result.counts.internal_links === 0) {
+    result.status = 'WARNING';
+    result.issues.push({ level: 'medium', message: 'No internal links with anchor text to analyze' });
+    return result;
+  }
+
+  // Per-target anchor profile
+  result.counts.target_urls = byTarget.size;
+  const profiles = [...byTarget.entries()].map(([url, anchors]) => {
+    const list = [...anchors.values()].sort((a, b) => b.count - a.count);
+    return { url, total_links: list.reduce((sum, a) => sum + a.count, 0), unique_anchors: list.length, list };
+  }).sort((a, b) => b.total_links - a.total_links);
+
+  result.targets = profiles.slice(0, MAX_LISTED).map(p => ({
+    url: p.url,
+    total_links: p.total_links,
+    unique_anchors: p.unique_anchors,
+    anchors: p.list.slice(0, MAX_ANCHORS_PER_TARGET),
+  }));
+
+  result.generic_anchors = [...generic.values()].sort((a, b) => b.count - a.count).slice(0, MAX_LISTED);
+
+  // Same anchor text, different targets
+  const cannibalized = [];
+  for (const [text, targets] of byAnchor) {
+    if (targets.size < 2) continue;
+    cannibalized.push({
+      text: anchorText.get(text),
+      target_count: targets.size,
+      urls: [...targets.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_EXAMPLES).map(([url, count]) => ({ url, count })),
+    });
+  }
+  cannibalized.sort((a, b) => b.target_count - a.target_count);
+  result.counts.cannibalized_anchors = cannibalized.length;
+  result.cannibalized_anchors = cannibalized.slice(0, MAX_LISTED);
+
+  // Exact-match anchors dominating a target's profile
+  for (const profile of profiles) {
+    if (profile.total_links < EXACT_MATCH_MIN_LINKS) continue;
+    const record = records.get(profile.url);
+    // Navigation links to the home page naturally repeat its name
+    if (!record || new URL(profile.url).pathname === '/') continue;
+    const exact = exactMatchTexts(record);
+    const matches = profile.list.filter(a => exact.has(normalizeAnchor(a.text)));
+    const count = matches.reduce((sum, a) => sum + a.count, 0);
+    const share = count / profile.total_links;
+    if (share <= EXACT_MATCH_SHARE) continue;
+    result.counts.over_optimized_targets++;
+    if (result.over_optimized.length < MAX_LISTED) {
+      result.over_optimized.push({
+        url: profile.url,
+        anchor: matches[0].text,
+        exact_match_links: count,
+        total_links: profile.total_links,
+        share: Math.round(share * 100),
+      });
+    }
+  }
+
+  // Issues
+  const { counts } = result;
+  const pct = (n) => (n / counts.internal_links) * 100;
+
+  if (counts.generic > 0) {
+    result.score -= pct(counts.generic) > 10 ? 15 : 5;
+    result.issues.push({
+      level: pct(counts.generic) > 10 ? 'high' : 'medium',
+      message: `${counts.generic} internal link(s) use generic anchors such as "read more". Use descriptive anchor text.`,
+    });
+  }
+
+  if (counts.empty + counts.image_without_alt > 0) {
+    result.score -= Math.min(15, (counts.empty + counts.image_without_alt) * 2);
+    result.issues.push({
+      level: 'medium',
+      message: `${counts.empty} internal link(s) have no anchor text and ${counts.image_without_alt} image link(s) have no alt text.`,
+    });
+  }
+
+  if (counts.cannibalized_anchors > 0) {
+    result.score -= Math.min(20, counts.cannibalized_anchors * 4);
+    result.issues.push({
+      level: 'high',
+      message: `${counts.cannibalized_anchors} anchor text(s) point to more than one URL — possible keyword cannibalization.`,
+    });
+  }
+
+  if (counts.over_optimized_targets > 0) {
+    result.score -= Math.min(15, counts.over_optimized_targets * 5);
+    result.issues.push({
+      level: 'medium',
+      message: `${counts.over_optimized_targets} page(s) receive mostly exact-match anchors. Vary the anchor text.`,
+    });
+  }
+
+  // Clamp
+  result.score = Math.max(0, Math.min(100, result.score));
+
+  if (result.score < 50) result.status = 'FAIL';
+  else if (result.score < 80) result.status = 'WARNING';
+
+  return result;
+}
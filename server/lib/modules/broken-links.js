@@ -0,0 +1,148 @@
+/**
+ * Broken Link Report — every link on the crawled site that points at a
+ * 4xx/5xx or unreachable target
+ *
+ *   - Internal targets are judged by their own crawl records (HTTP errors,
+ *     fetch errors, redirect loops, redirects ending in an error)
+ *   - External targets by the crawler's post-crawl link check
+ *   - Each broken target lists the pages linking to it with anchor text
+ *
+ * Targets the crawl never fetched (page limit, blocked) are not reported.
+ *
+ * Post-processor: runs on the crawler's page records (`page._links`).
+ */
+
+const MAX_TARGETS = 100;
+const MAX_SOURCES_PER_TARGET = 20;
+
+/**
+ * Broken verdict for an internal URL from its crawl record, or null when
+ * the target is fine (or was never fetched).
+ */
+function internalVerdict(page) {
+  switch (page.status) {
+    case 'http_error':
+      return { status: page.http_status, error: page.error || null };
+    case 'fetch_error':
+      return { status: null, error: page.error || 'Unreachable' };
+    case 'redirect_loop':
+      return { status: page.http_status, error: page.error || 'Redirect loop' };
+    case 'redirect_chain_too_long':
+      return { status: page.http_status, error: page.error || 'Too many redirects' };
+    case 'redirect':
+      return page.final_status >= 400
+        ? { status: page.final_status, error: `Redirects to ${page.final_url}` }
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param {Array}  crawledPages – crawler page records
+ * @param {object} linkStatus   – external URL -> checkLinkStatus() result
+ */
+export function analyzeBrokenLinks(crawledPages, linkStatus = {}) {
+  const result = {
+    module: 'broken_links',
+    priority: 'high',
+    status: 'PASS',
+    score: 100,
+    counts: {
+      links_checked: 0,
+      broken_links: 0,
+      broken_targets: 0,
+      broken_internal: 0,
+      broken_external: 0,
+      pages_with_broken_links: 0,
+      external_unchecked: 0,
+    },
+    broken: [],
+    issues: [],
+  };
+
+  const records = new Map(crawledPages.map(p => [p.url, p]));
+  const targets = new Map(); // url -> broken target entry
+  const externalUnchecked = new Set();
+
+  for (const page of crawledPages) {
+    let pageHasBroken = false;
+    for (const link of page._links || []) {
+      let verdict = null;
+      if (link.internal) {
+        const record = records.get(link.url);
+        if (!record) continue;
+        verdict = internalVerdict(record);
+      } else {
+        const checked = linkStatus[link.url];
+        if (!checked) {
+          externalUnchecked.add(link.url);
+          continue;
+        }
+        if (!checked.ok) verdict = { status: checked.status, error: checked.error };
+      }
+      result.counts.links_checked++;
+      if (!verdict) continue;
+
+      result.counts.broken_links++;
+      pageHasBroken = true;
+      if (!targets.has(link.url)) {
+        targets.set(link.url, {
+          url: link.url,
+          internal: link.internal,
+          status: verdict.status ?? null,
+          error: verdict.error ?? null,
+          link_count: 0,
+          linked_from: [],
+        });
+      }
+      const target = targets.get(link.url);
+      target.link_count++;
+      if (target.linked_from.length < MAX_SOURCES_PER_TARGET) {
+        target.linked_from.push({ url: page.url, anchor: link.anchor, rel: link.rel });
+      }
+    }
+    if (pageHasBroken) result.counts.pages_with_broken_links++;
+  }
+
+  const broken = [...targets.values()].sort((a, b) => b.link_count - a.link_count);
+  result.counts.broken_targets = broken.length;
+  result.counts.broken_internal = broken.filter(t => t.internal).length;
+  result.counts.broken_external = broken.length - result.counts.broken_internal;
+  result.counts.external_unchecked = externalUnchecked.size;
+  result.broken = broken.slice(0, MAX_TARGETS);
+
+  // Issues
+  const { counts } = result;
+
+  if (counts.broken_internal > 0) {
+    result.score -= Math.min(50, counts.broken_internal * 10);
+    result.issues.push({
+      level: counts.broken_internal > 5 ? 'critical' : 'high',
+      message: `${counts.broken_internal} internal URL(s) linked from the site return an error or cannot be reached. Fix the targets or update the links.`,
+    });
+  }
+
+  if (counts.broken_external > 0) {
+    result.score -= Math.min(20, counts.broken_external * 2);
+    result.issues.push({
+      level: 'medium',
+      message: `${counts.broken_external} external link target(s) are broken. Update or remove the links.`,
+    });
+  }
+
+  if (counts.external_unchecked > 0) {
+    result.issues.push({
+      level: 'low',
+      message: `${counts.external_unchecked} external link target(s) were not checked (per-crawl check limit or check disabled).`,
+    });
+  }
+
+  // Clamp
+  result.score = Math.max(0, Math.min(100, result.score));
+
+  if (result.score < 50) result.status = 'FAIL';
+  else if (result.score < 80) result.status = 'WARNING';
+
+  return result;
+}
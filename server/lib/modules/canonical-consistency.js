@@ -11,23 +11,10 @@
  */
 
 import { normalizeUrl } from '../url-utils.js';
+import { httpFetch } from '../http-client.js';
 
 const FETCH_TIMEOUT = 10000;
 
-async function fetchWithTimeout(url, opts = {}) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
-  try {
-    return await fetch(url, {
-      ...opts,
-      signal: controller.signal,
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; SEO-Analyzer/1.0)', ...opts.headers },
-    });
-  } finally {
-    clearTimeout(timer);
-  }
-}
-
 function extractCanonical(html) {
   const m =
     html.match(/<link[^>]*rel=["']canonical["'][^>]*href=["']([^"']*)["']/i) ||
@@ -67,7 +54,7 @@ async function resolveRedirectChain(url, maxRedirects = 5) {
 
   try {
     while (maxRedirects-- > 0) {
-      const res = await fetchWithTimeout(current, { redirect: 'manual' });
+      const res = await httpFetch(current, { module: 'canonical_consistency', redirect: 'manual', timeoutMs: FETCH_TIMEOUT });
       finalStatus = res.status;
 
       if (res.status >= 300 && res.status < 400) {
@@ -191,7 +178,7 @@ export async function analyzeCanonicalConsistency(html, pageUrl) {
     result.amp.amphtml_url = ampHtmlUrl;
 
     try {
-      const ampRes = await fetchWithTimeout(ampHtmlUrl);
+      const ampRes = await httpFetch(ampHtmlUrl, { module: 'canonical_consistency', timeoutMs: FETCH_TIMEOUT });
       if (ampRes.ok) {
         const ampHtml = await ampRes.text();
         const ampCanonical = extractCanonical(ampHtml);
@@ -10,6 +10,7 @@
  *   - Optional Lighthouse/PageSpeed API integration
  */
 import process from 'node:process';
+import { httpFetch } from '../http-client.js';
 
 const PAGESPEED_API_KEY = process.env.PAGESPEED_API_KEY || '';
 const PAGESPEED_TIMEOUT = 30000;
@@ -234,27 +235,20 @@ async function fetchPageSpeedData(url) {
 
   try {
     const apiUrl = `https://www.googleapis.com/pagespeedonline/v5/runPagespeed?url=${encodeURIComponent(url)}&strategy=mobile&category=performance&key=${PAGESPEED_API_KEY}`;
-    const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), PAGESPEED_TIMEOUT);
-
-    try {
-      const res = await fetch(apiUrl, { signal: controller.signal });
-      if (res.ok) {
-        const data = await res.json();
-        const metrics = data.lighthouseResult?.audits?.metrics?.details?.items?.[0];
-        if (metrics) {
-          return {
-            lcp: metrics.largestContentfulPaint,
-            cls: metrics.cumulativeLayoutShift,
-            fid: metrics.firstInputDelay,
-            tbt: metrics.totalBlockingTime,
-            speed_index: metrics.speedIndex,
-            performance_score: data.lighthouseResult?.categories?.performance?.score * 100,
-          };
-        }
+    const res = await httpFetch(apiUrl, { module: 'core_web_vitals', timeoutMs: PAGESPEED_TIMEOUT, cache: false });
+    if (res.ok) {
+      const data = await res.json();
+      const metrics = data.lighthouseResult?.audits?.metrics?.details?.items?.[0];
+      if (metrics) {
+        return {
+          lcp: metrics.largestContentfulPaint,
+          cls: metrics.cumulativeLayoutShift,
+          fid: metrics.firstInputDelay,
+          tbt: metrics.totalBlockingTime,
+          speed_index: metrics.speedIndex,
+          performance_score: data.lighthouseResult?.categories?.performance?.score * 100,
+        };
       }
-    } finally {
-      clearTimeout(timer);
     }
   } catch { /* ignore */ }
 
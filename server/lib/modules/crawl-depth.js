@@ -103,6 +103,7 @@ function detectPaginationLoops(pages) {
 function buildDepthDistribution(pages) {
   const distribution = {};
   for (const page of pages) {
+    if (page.source === 'sitemap') continue; // seeded from a sitemap, no click depth
     const depth = page.depth || 0;
     distribution[depth] = (distribution[depth] || 0) + 1;
   }
@@ -123,6 +124,7 @@ export function analyzeCrawlDepth(crawledPages, config = {}) {
       errors: 0,
       blocked: 0,
       duplicates: 0,
+      redirects: 0,
       non_html: 0,
     },
     depth_distribution: {},
@@ -149,6 +151,11 @@ export function analyzeCrawlDepth(crawledPages, config = {}) {
       case 'duplicate_canonical':
         result.summary.duplicates++;
         break;
+      case 'redirect':
+      case 'redirect_loop':
+      case 'redirect_chain_too_long':
+        result.summary.redirects++;
+        break;
       case 'skipped_non_html':
         result.summary.non_html++;
         break;
@@ -0,0 +1,176 @@
+/**
+ * Duplicate Meta Detection — site-wide duplicate titles, meta
+ * descriptions and H1s across crawled pages.
+ *
+ *   - Groups successful pages by normalized title / description / H1
+ *   - Reports each duplicate cluster with its URLs
+ *   - Suggests the URL that should keep the text (most internal links,
+ *     then shallowest, then shortest URL); the rest need rewriting
+ *
+ * Pages canonicalized to another URL or marked noindex are expected to
+ * duplicate their target and are left out.
+ *
+ * Post-processor: runs on the crawler's page records (`page.meta`).
+ */
+
+import { normalizeUrl } from '../url-utils.js';
+
+const FIELDS = ['title', 'description', 'h1'];
+const MAX_CLUSTERS = 30;
+const MAX_URLS_PER_CLUSTER = 20;
+
+function normalizeText(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '')
+    .trim();
+}
+
+function isCandidate(page) {
+  if (page.status !== 'success' || !page.meta) return false;
+  if (page.noindex || page.technical?.noindex) return false;
+  if (page.canonical && page.canonical !== page.url) return false;
+  return true;
+}
+
+/**
+ * Group candidate pages by each field. Returns field -> Map(text -> pages).
+ */
+function groupByField(pages) {
+  const groups = Object.fromEntries(FIELDS.map(f => [f, new Map()]));
+  for (const page of pages) {
+    if (!isCandidate(page)) continue;
+    for (const field of FIELDS) {
+      const key = normalizeText(page.meta[field]);
+      if (!key) continue;
+      if (!groups[field].has(key)) groups[field].set(key, []);
+      groups[field].get(key).push(page);
+    }
+  }
+  return groups;
+}
+
+function suggestOwner(cluster, incoming) {
+  const ranked = [...cluster].sort((a, b) =>
+    (incoming.get(b.url) || 0) - (incoming.get(a.url) || 0) ||
+    (a.depth || 0) - (b.depth || 0) ||
+    a.url.length - b.url.length);
+  const owner = ranked[0];
+  return {
+    url: owner.url,
+    reason: `${incoming.get(owner.url) || 0} incoming internal link(s), depth ${owner.depth || 0}`,
+  };
+}
+
+export function analyzeDuplicateMeta(crawledPages) {
+  const result = {
+    module: 'duplicate_meta',
+    priority: 'high',
+    status: 'PASS',
+    score: 100,
+    pages_checked: 0,
+    duplicate_titles: [],
+    duplicate_descriptions: [],
+    duplicate_h1s: [],
+    affected_pages: { title: 0, description: 0, h1: 0 },
+    issues: [],
+  };
+
+  const incoming = new Map(); // url -> incoming internal link count
+  for (const page of crawledPages) {
+    for (const link of page.internal_links || []) {
+      if (link !== page.url) incoming.set(link, (incoming.get(link) || 0) + 1);
+    }
+  }
+
+  result.pages_checked = crawledPages.filter(isCandidate).length;
+  if (result.pages_checked === 0) {
+    result.status = 'WARNING';
+    result.issues.push({ level: 'medium', message: 'No pages with meta data to compare' });
+    return result;
+  }
+
+  const groups = groupByField(crawledPages);
+  const outputKey = { title: 'duplicate_titles', description: 'duplicate_descriptions', h1: 'duplicate_h1s' };
+
+  for (const field of FIELDS) {
+    const clusters = [...groups[field].values()]
+      .filter(cluster => cluster.length > 1)
+      .sort((a, b) => b.length - a.length);
+
+    for (const cluster of clusters) {
+      result.affected_pages[field] += cluster.length;
+    }
+
+    result[outputKey[field]] = clusters.slice(0, MAX_CLUSTERS).map(cluster => ({
+      text: String(cluster[0].meta[field]).substring(0, 200),
+      count: cluster.length,
+      urls: cluster.slice(0, MAX_URLS_PER_CLUSTER).map(p => p.url),
+      suggested_owner: suggestOwner(cluster, incoming),
+    }));
+  }
+
+  // Issues
+  const pct = (n) => Math.round((n / result.pages_checked) * 100);
+
+  if (result.affected_pages.title > 0) {
+    result.score -= pct(result.affected_pages.title) > 20 ? 30 : 15;
+    result.issues.push({
+      level: pct(result.affected_pages.title) > 20 ? 'critical' : 'high',
+      message: `${result.affected_pages.title} page(s) share a title with another page (${result.duplicate_titles.length} cluster(s)). Give each page a unique title.`,
+    });
+  }
+
+  if (result.affected_pages.description > 0) {
+    result.score -= pct(result.affected_pages.description) > 20 ? 20 : 10;
+    result.issues.push({
+      level: 'high',
+      message: `${result.affected_pages.description} page(s) share a meta description (${result.duplicate_descriptions.length} cluster(s)). Write page-specific descriptions.`,
+    });
+  }
+
+  if (result.affected_pages.h1 > 0) {
+    result.score -= pct(result.affected_pages.h1) > 20 ? 15 : 5;
+    result.issues.push({
+      level: 'medium',
+      message: `${result.affected_pages.h1} page(s) share an H1 (${result.duplicate_h1s.length} cluster(s)).`,
+    });
+  }
+
+  // Clamp
+  result.score = Math.max(0, Math.min(100, result.score));
+
+  if (result.score < 50) result.status = 'FAIL';
+  else if (result.score < 80) result.status = 'WARNING';
+
+  return result;
+}
+
+/**
+ * Duplicate flags for one URL against a crawl's pages — lets a single-page
+ * audit report duplicates when it has crawl context.
+ *
+ * @returns {{ found: boolean, duplicate_title: boolean, duplicate_description: boolean,
+ *             duplicate_h1: boolean, title_duplicates: string[],
+ *             description_duplicates: string[], h1_duplicates: string[] }}
+ */
+export function duplicateMetaFlags(crawledPages, url) {
+  const target = normalizeUrl(url, url);
+  const page = crawledPages.find(p => p.url === target);
+  const flags = {
+    found: !!page,
+    duplicate_title: false, duplicate_description: false, duplicate_h1: false,
+    title_duplicates: [], description_duplicates: [], h1_duplicates: [],
+  };
+  if (!page || !isCandidate(page)) return flags;
+
+  const groups = groupByField(crawledPages);
+  for (const field of FIELDS) {
+    const cluster = groups[field].get(normalizeText(page.meta[field])) || [];
+    const others = cluster.filter(p => p.url !== page.url).map(p => p.url);
+    flags[`duplicate_${field}`] = others.length > 0;
+    flags[`${field}_duplicates`] = others.slice(0, MAX_URLS_PER_CLUSTER);
+  }
+  return flags;
+}
@@ -2,7 +2,10 @@
  * Module 9 — Duplicate News URL Protection
  *
  * Detects duplicate content across different URLs:
- *   - Same content on different URLs
+ *   - Same or near-duplicate main content on different URLs
+ *     (5-word shingles, MinHash LSH candidates scored on shingle sketches,
+ *     configurable similarity threshold); pages too short to shingle
+ *     match only when their main content is identical
  *   - Query parameter duplicates
  *   - Trailing slash inconsistencies
  *   - AMP duplicates
@@ -10,28 +13,10 @@
  */
 
 import { normalizeUrl } from '../url-utils.js';
+import { contentSignature, findSimilarPairs } from '../content-similarity.js';
 
-/**
- * Simple content fingerprint: extract first 500 chars of text content,
- * lowercase, strip whitespace. Not crypto-grade but fast for dedup.
- */
-function contentFingerprint(html) {
-  const text = html
-    .replace(/<script[^>]*>([\s\S]*?)<\/script>/gi, '')
-    .replace(/<style[^>]*>([\s\S]*?)<\/style>/gi, '')
-    .replace(/<[^>]+>/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim()
-    .toLowerCase()
-    .substring(0, 500);
-
-  // Simple hash: sum of char codes
-  let hash = 0;
-  for (let i = 0; i < text.length; i++) {
-    hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
-  }
-  return { hash, snippet: text.substring(0, 100) };
-}
+const DEFAULT_SIMILARITY_THRESHOLD = 0.85;
+const MAX_PAIRS_PER_CLUSTER = 20;
 
 function extractCanonical(html, baseUrl) {
   const m =
@@ -102,17 +87,73 @@ function detectTrailingSlashInconsistencies(urls) {
   return issues;
 }
 
+/**
+ * Group near-duplicate pairs into clusters (connected components).
+ */
+function clusterPairs(pairs) {
+  const parent = new Map();
+  const find = (x) => {
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  for (const { a, b } of pairs) {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    parent.set(find(a), find(b));
+  }
+
+  const clusters = new Map(); // root -> { urls, pairs }
+  for (const url of parent.keys()) {
+    const root = find(url);
+    if (!clusters.has(root)) clusters.set(root, { urls: [], pairs: [] });
+    clusters.get(root).urls.push(url);
+  }
+  for (const pair of pairs) clusters.get(find(pair.a)).pairs.push(pair);
+  return [...clusters.values()];
+}
+
+/**
+ * Canonical target for a cluster: the URL its members already declare
+ * most often, else the most internally linked member, else the shortest.
+ */
+function suggestCanonical(urls, entries, incoming) {
+  const votes = new Map();
+  for (const url of urls) {
+    const canonical = entries.get(url).canonical;
+    if (canonical && canonical !== url) votes.set(canonical, (votes.get(canonical) || 0) + 1);
+  }
+  if (votes.size > 0) {
+    const [target] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0];
+    return { url: target, reason: 'Declared canonical of cluster members' };
+  }
+  const ranked = [...urls].sort((a, b) =>
+    (incoming.get(b) || 0) - (incoming.get(a) || 0) || a.length - b.length);
+  return { url: ranked[0], reason: `Most internally linked (${incoming.get(ranked[0]) || 0} links), shortest URL` };
+}
+
 /**
  * Analyze a set of crawled pages for duplicates.
- * Each page should have: { url, html?, status, internal_links? }
+ * Each page should have: { url, status, internal_links?, canonical? } plus
+ * either `_content` (a contentSignature() computed by the crawler) or `_html`.
+ *
+ * @param {Array}  crawledPages
+ * @param {object} [options]
+ * @param {number} [options.threshold] – similarity (0..1) at which pages count as near-duplicates
  */
-export function analyzeDuplicateUrls(crawledPages) {
+export function analyzeDuplicateUrls(crawledPages, options = {}) {
+  const threshold = options.threshold || DEFAULT_SIMILARITY_THRESHOLD;
+
   const result = {
     module: 'duplicate_protection',
     priority: 'high',
     status: 'PASS',
     score: 100,
     total_analyzed: 0,
+    similarity_threshold: threshold,
+    content_compared: 0,
     duplicate_clusters: [],
     query_param_duplicates: [],
     trailing_slash_issues: [],
@@ -151,20 +192,27 @@ export function analyzeDuplicateUrls(crawledPages) {
     });
   }
 
-  // 3. Content fingerprint clustering (needs HTML content in pages)
-  const fingerprints = new Map(); // hash -> [{ url, snippet, canonical }]
-
-  for (const page of successPages) {
-    if (!page._html) continue; // Need HTML content for fingerprinting
-
-    const fp = contentFingerprint(page._html);
-    const canonical = extractCanonical(page._html, page.url);
-    const amp = extractAmpLink(page._html);
+  // 3. Near-duplicate content clustering (needs a content signature or HTML)
+  const entries = new Map(); // url -> { signature, canonical }
+  const incoming = new Map(); // url -> incoming internal link count
 
-    const entry = { url: page.url, snippet: fp.snippet, canonical, amp };
+  for (const page of crawledPages) {
+    for (const link of page.internal_links || []) {
+      if (link !== page.url) incoming.set(link, (incoming.get(link) || 0) + 1);
+    }
+  }
 
-    if (!fingerprints.has(fp.hash)) fingerprints.set(fp.hash, []);
-    fingerprints.get(fp.hash).push(entry);
+  for (const page of successPages) {
+    const signature = page._content || (page._html ? contentSignature(page._html) : null);
+    if (!signature) continue;
+
+    let canonical = page.canonical || null;
+    let amp = signature.amp || null;
+    if (page._html) {
+      canonical = extractCanonical(page._html, page.url);
+      amp = extractAmpLink(page._html);
+    }
+    entries.set(page.url, { signature, canonical });
 
     // AMP duplicate detection
     if (amp) {
@@ -180,28 +228,48 @@ export function analyzeDuplicateUrls(crawledPages) {
     }
   }
 
-  // Build duplicate clusters
-  for (const [hash, entries] of fingerprints) {
-    if (entries.length > 1) {
-      // Determine best canonical target (most linked, shortest URL)
-      const sorted = entries.sort((a, b) => a.url.length - b.url.length);
-      const suggestedCanonical = sorted[0].canonical || sorted[0].url;
-
-      result.duplicate_clusters.push({
-        fingerprint: hash,
-        content_preview: entries[0].snippet,
-        urls: entries.map(e => e.url),
-        count: entries.length,
-        suggested_canonical: suggestedCanonical,
-      });
+  const comparable = [];
+  const shortPages = new Map(); // exact content hash -> urls of pages too short for MinHash
+  for (const [url, { signature }] of entries) {
+    if (signature.minhash) {
+      comparable.push({ id: url, minhash: signature.minhash, sketch: signature.sketch });
+    } else {
+      if (!shortPages.has(signature.hash)) shortPages.set(signature.hash, []);
+      shortPages.get(signature.hash).push(url);
     }
   }
+  result.content_compared = entries.size;
+
+  // Short pages (thin tag pages, soft 404s) only count when their text is identical
+  const exactPairs = [...shortPages.values()]
+    .flatMap(urls => urls.slice(1).map(url => ({ a: urls[0], b: url, similarity: 1 })));
+
+  const clusters = clusterPairs([...findSimilarPairs(comparable, threshold), ...exactPairs])
+    .sort((a, b) => b.urls.length - a.urls.length);
+
+  for (const cluster of clusters) {
+    const suggested = suggestCanonical(cluster.urls, entries, incoming);
+    const similarities = cluster.pairs.map(p => p.similarity);
+    result.duplicate_clusters.push({
+      content_preview: entries.get(cluster.urls[0]).signature.preview,
+      urls: cluster.urls,
+      count: cluster.urls.length,
+      min_similarity: Math.round(Math.min(...similarities) * 100) / 100,
+      max_similarity: Math.round(Math.max(...similarities) * 100) / 100,
+      pairs: cluster.pairs
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, MAX_PAIRS_PER_CLUSTER)
+        .map(p => ({ a: p.a, b: p.b, similarity: Math.round(p.similarity * 100) / 100 })),
+      suggested_canonical: suggested.url,
+      suggested_canonical_reason: suggested.reason,
+    });
+  }
 
   if (result.duplicate_clusters.length > 0) {
     result.score -= 20;
     result.issues.push({
       level: 'high',
-      message: `${result.duplicate_clusters.length} duplicate content cluster(s) found across different URLs.`,
+      message: `${result.duplicate_clusters.length} near-duplicate content cluster(s) found across different URLs (similarity ≥ ${Math.round(threshold * 100)}%).`,
     });
   }
 
@@ -212,7 +280,7 @@ export function analyzeDuplicateUrls(crawledPages) {
         result.canonical_suggestions.push({
           url,
           should_canonical_to: cluster.suggested_canonical,
-          reason: 'Duplicate content detected',
+          reason: cluster.max_similarity >= 1 ? 'Duplicate content detected' : 'Near-duplicate content detected',
         });
       }
     }
@@ -0,0 +1,183 @@
+/**
+ * Facet / URL Parameter Analysis — crawl budget spent on parameterized URLs
+ *
+ * For each query parameter seen on internal links:
+ *   - How many URL variants it produces (discovered and fetched)
+ *   - Whether a variant's main content differs from the URL without the
+ *     parameter (content hash comparison)
+ *   - Whether variants canonicalize away from the parameter or are
+ *     blocked by robots.txt
+ *   - A recommendation: strip the parameter from links, canonicalize
+ *     variants to the base URL, or block them in robots.txt
+ *
+ * Post-processor: runs on a crawl made with `facet_analysis`, which keeps
+ * parameterized URLs instead of stripping / denying them.
+ */
+
+import { normalizeUrl, isStrippedParam } from '../url-utils.js';
+
+const MAX_PARAMETERS = 50;
+const MAX_SAMPLE_VALUES = 10;
+const MAX_EXAMPLES = 5;
+const SAME_CONTENT_SHARE = 0.8;   // share of unchanged variants that makes a parameter noise
+const HANDLED_SHARE = 0.8;        // share of blocked / canonicalized variants that counts as handled
+const FACET_EXPLOSION = 20;       // content-changing variants above which crawling them is not worth it
+
+/** The URL with one query parameter removed, normalized like crawled URLs. */
+function withoutParam(url, key) {
+  const u = new URL(url);
+  u.searchParams.delete(key);
+  return normalizeUrl(u.href, u.href, { stripParams: false });
+}
+
+function recommend(stats) {
+  if (isStrippedParam(stats.parameter)) {
+    return { recommendation: 'strip', reason: 'Tracking / session parameter: remove it from internal links' };
+  }
+  const compared = stats.same_content + stats.changed_content;
+  if (compared > 0 && stats.same_content / compared >= SAME_CONTENT_SHARE) {
+    return { recommendation: 'strip', reason: 'Does not change the page content: remove it from internal links' };
+  }
+  if (stats.variants > FACET_EXPLOSION) {
+    return { recommendation: 'block', reason: `Produces ${stats.variants} variants: disallow it in robots.txt` };
+  }
+  return { recommendation: 'canonicalize', reason: 'Point variant canonicals to the URL without the parameter' };
+}
+
+/**
+ * @param {Array}  crawledPages – crawler page records
+ * @param {object} facetParams  – parameter -> { discovered: string[], enqueued: number }
+ */
+export function analyzeFacets(crawledPages, facetParams = {}) {
+  const result = {
+    module: 'facets',
+    priority: 'medium',
+    status: 'PASS',
+    score: 100,
+    counts: {
+      parameters: 0,
+      parameterized_urls: 0,
+      parameterized_fetched: 0,
+      wasted_fetches: 0,
+      unhandled_parameters: 0,
+      capped_parameters: 0,
+    },
+    crawl_budget_waste: 0, // % of fetched pages that were redundant parameter variants
+    parameters: [],
+    issues: [],
+  };
+
+  const records = new Map(crawledPages.map(p => [p.url, p]));
+  const parameterizedUrls = new Set();
+  const wasted = new Set();
+
+  for (const [parameter, facet] of Object.entries(facetParams)) {
+    const stats = {
+      parameter,
+      variants: facet.discovered.length,
+      crawled: facet.enqueued,
+      fetched: 0,
+      same_content: 0,
+      changed_content: 0,
+      canonicalized: 0,
+      blocked_robots: 0,
+      distinct_values: 0,
+      sample_values: [],
+      examples: [],
+    };
+    const values = new Set();
+
+    for (const url of facet.discovered) {
+      parameterizedUrls.add(url);
+      for (const value of new URL(url).searchParams.getAll(parameter)) values.add(value);
+
+      const page = records.get(url);
+      if (!page) continue;
+      if (page.status === 'blocked_robots') {
+        stats.blocked_robots++;
+        continue;
+      }
+      if (!page._content) continue;
+      stats.fetched++;
+
+      const canonicalized = page.canonical && page.canonical !== url
+        && !new URL(page.canonical).searchParams.has(parameter);
+      if (canonicalized) stats.canonicalized++;
+
+      const base = records.get(withoutParam(url, parameter));
+      const same = base?._content ? base._content.hash === page._content.hash : null;
+      if (same === true) stats.same_content++;
+      else if (same === false) stats.changed_content++;
+      if (same || canonicalized) wasted.add(url);
+
+      if (stats.examples.length < MAX_EXAMPLES) {
+        stats.examples.push({ url, base: base?.url || null, same_content: same, canonical: page.canonical || null });
+      }
+    }
+
+    stats.distinct_values = values.size;
+    stats.sample_values = [...values].slice(0, MAX_SAMPLE_VALUES);
+    const { recommendation, reason } = recommend(stats);
+    const handled = stats.blocked_robots + stats.canonicalized;
+    const reached = stats.blocked_robots + stats.fetched;
+    stats.recommendation = recommendation;
+    stats.reason = reason;
+    stats.already_handled = reached > 0 && handled / reached >= HANDLED_SHARE;
+    stats.capped = stats.variants > stats.crawled;
+
+    result.counts.parameters++;
+    if (!stats.already_handled) result.counts.unhandled_parameters++;
+    if (stats.capped) result.counts.capped_parameters++;
+    result.parameters.push(stats);
+  }
+
+  result.parameters.sort((a, b) => b.variants - a.variants);
+  result.parameters = result.parameters.slice(0, MAX_PARAMETERS);
+
+  const fetchedUrls = crawledPages.filter(p => p._content);
+  result.counts.parameterized_urls = parameterizedUrls.size;
+  result.counts.parameterized_fetched = fetchedUrls.filter(p => parameterizedUrls.has(p.url)).length;
+  result.counts.wasted_fetches = wasted.size;
+  if (fetchedUrls.length > 0) {
+    result.crawl_budget_waste = Math.round((wasted.size / fetchedUrls.length) * 100);
+  }
+
+  // Issues
+  const { counts } = result;
+
+  if (counts.parameters === 0) {
+    result.issues.push({ level: 'low', message: 'No parameterized internal URLs found' });
+    return result;
+  }
+
+  if (counts.unhandled_parameters > 0) {
+    result.score -= Math.min(40, counts.unhandled_parameters * 10);
+    result.issues.push({
+      level: 'medium',
+      message: `${counts.unhandled_parameters} URL parameter(s) are neither canonicalized nor blocked. See the per-parameter recommendations.`,
+    });
+  }
+
+  if (result.crawl_budget_waste > 0) {
+    result.score -= result.crawl_budget_waste > 30 ? 30 : 10;
+    result.issues.push({
+      level: result.crawl_budget_waste > 30 ? 'high' : 'medium',
+      message: `${result.crawl_budget_waste}% of fetched pages were parameter variants duplicating the URL without the parameter.`,
+    });
+  }
+
+  if (counts.capped_parameters > 0) {
+    result.issues.push({
+      level: 'low',
+      message: `${counts.capped_parameters} parameter(s) produced more variants than the crawl fetches per parameter; only a sample was crawled.`,
+    });
+  }
+
+  // Clamp
+  result.score = Math.max(0, Math.min(100, result.score));
+
+  if (result.score < 50) result.status = 'FAIL';
+  else if (result.score < 80) result.status = 'WARNING';
+
+  return result;
+}
@@ -10,6 +10,8 @@
  * Detects outdated content and inconsistencies.
  */
 
+import { httpFetch } from '../http-client.js';
+
 const FETCH_TIMEOUT = 10000;
 
 function parseDate(str) {
@@ -80,35 +82,25 @@ function extractMetaDates(html) {
 async function fetchSitemapLastmod(pageUrl) {
   try {
     const origin = new URL(pageUrl).origin;
-    const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
-
-    try {
-      const res = await fetch(`${origin}/sitemap.xml`, {
-        signal: controller.signal,
-        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; SEO-Analyzer/1.0)' },
-      });
+    const res = await httpFetch(`${origin}/sitemap.xml`, { module: 'freshness_analyzer', timeoutMs: FETCH_TIMEOUT });
 
-      if (!res.ok) return null;
+    if (!res.ok) return null;
 
-      const xml = await res.text();
+    const xml = await res.text();
 
-      // Search for the page URL in sitemap
-      const normalized = pageUrl.replace(/\/$/, '');
-      const urlBlocks = xml.matchAll(/<url>([\s\S]*?)<\/url>/gi);
+    // Search for the page URL in sitemap
+    const normalized = pageUrl.replace(/\/$/, '');
+    const urlBlocks = xml.matchAll(/<url>([\s\S]*?)<\/url>/gi);
 
-      for (const block of urlBlocks) {
-        const locMatch = block[1].match(/<loc[^>]*>([\s\S]*?)<\/loc>/i);
-        if (locMatch) {
-          const loc = locMatch[1].trim().replace(/\/$/, '');
-          if (loc === normalized || loc === pageUrl) {
-            const lastmodMatch = block[1].match(/<lastmod[^>]*>([\s\S]*?)<\/lastmod>/i);
-            return lastmodMatch ? lastmodMatch[1].trim() : null;
-          }
+    for (const block of urlBlocks) {
+      const locMatch = block[1].match(/<loc[^>]*>([\s\S]*?)<\/loc>/i);
+      if (locMatch) {
+        const loc = locMatch[1].trim().replace(/\/$/, '');
+        if (loc === normalized || loc === pageUrl) {
+          const lastmodMatch = block[1].match(/<lastmod[^>]*>([\s\S]*?)<\/lastmod>/i);
+          return lastmodMatch ? lastmodMatch[1].trim() : null;
         }
       }
-    } finally {
-      clearTimeout(timer);
     }
   } catch { /* ignore */ }
 
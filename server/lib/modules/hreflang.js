@@ -0,0 +1,248 @@
+/**
+ * Hreflang Validation — alternate-language clusters across crawled pages
+ *
+ * Builds the hreflang graph from each page's <link rel="alternate">
+ * tags, HTTP Link headers and sitemap xhtml:link annotations, groups
+ * connected pages into clusters and reports per cluster:
+ *   - Invalid language (ISO 639-1) or region (ISO 3166-1 alpha-2) codes
+ *   - Missing return links (A → B without B → A)
+ *   - Targets that redirect, error, are noindex or canonicalized elsewhere
+ *   - Pages with hreflang whose canonical points to another URL
+ *   - Missing x-default and missing self-references
+ *   - One language code mapped to several URLs
+ *
+ * Post-processor: runs on the crawler's page records (`page.hreflang`).
+ */
+
+const MAX_CLUSTERS = 30;
+const MAX_PROBLEMS_PER_CLUSTER = 50;
+
+const LANGUAGES = new Set((
+  'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy ' +
+  'da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu ' +
+  'hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb ' +
+  'lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om ' +
+  'or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ' +
+  'ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu'
+).split(' '));
+
+const REGIONS = new Set((
+  'ad ae af ag ai al am ao aq ar as at au aw ax az ba bb bd be bf bg bh bi bj bl bm bn bo bq br ' +
+  'bs bt bv bw by bz ca cc cd cf cg ch ci ck cl cm cn co cr cu cv cw cx cy cz de dj dk dm do dz ' +
+  'ec ee eg eh er es et fi fj fk fm fo fr ga gb gd ge gf gg gh gi gl gm gn gp gq gr gs gt gu gw ' +
+  'gy hk hm hn hr ht hu id ie il im in io iq ir is it je jm jo jp ke kg kh ki km kn kp kr kw ky ' +
+  'kz la lb lc li lk lr ls lt lu lv ly ma mc md me mf mg mh mk ml mm mn mo mp mq mr ms mt mu mv ' +
+  'mw mx my mz na nc ne nf ng ni nl no np nr nu nz om pa pe pf pg ph pk pl pm pn pr ps pt pw py ' +
+  'qa re ro rs ru rw sa sb sc sd se sg sh si sj sk sl sm sn so sr ss st sv sx sy sz tc td tf tg ' +
+  'th tj tk tl tm tn to tr tt tv tw tz ua ug um us uy uz va vc ve vg vi vn vu wf ws ye yt za zm zw ' +
+  '419' // UN M.49 Latin America, accepted by search engines
+).split(' '));
+
+// Region codes people reach for that are not ISO 3166-1
+const REGION_HINTS = { uk: 'GB' };
+
+/**
+ * Validate one hreflang value: `x-default` or language[-Script][-REGION].
+ * Returns null when valid, otherwise the reason.
+ */
+export function validateHreflangCode(code) {
+  const value = String(code || '').trim();
+  if (value.toLowerCase() === 'x-default') return null;
+  if (value.includes('_')) return `"${value}" uses "_"; use "-" (e.g. ${value.replace(/_/g, '-')})`;
+
+  const parts = value.split('-');
+  const [language, ...rest] = parts;
+  if (!LANGUAGES.has(language.toLowerCase())) return `"${language}" is not an ISO 639-1 language code`;
+
+  let region = null;
+  if (rest.length > 0 && /^[a-z]{4}$/i.test(rest[0])) rest.shift(); // script subtag (zh-Hant)
+  if (rest.length > 0) region = rest.shift();
+  if (rest.length > 0) return `"${value}" has unexpected subtags`;
+  if (region && !REGIONS.has(region.toLowerCase())) {
+    const hint = REGION_HINTS[region.toLowerCase()];
+    return `"${region}" is not an ISO 3166-1 region code${hint ? ` (use "${hint}")` : ''}`;
+  }
+  return null;
+}
+
+/** Why a hreflang target is not a valid alternate, or null. */
+function targetProblem(record) {
+  if (!record) return null;
+  if (['redirect', 'redirect_loop', 'redirect_chain_too_long'].includes(record.status)) return `redirects (${record.http_status})`;
+  if (record.status === 'http_error') return `returns HTTP ${record.http_status}`;
+  if (record.status === 'fetch_error') return 'unreachable';
+  if (record.noindex) return 'noindex';
+  if (record.canonical && record.canonical !== record.url) return `canonicalized to ${record.canonical}`;
+  return null;
+}
+
+/**
+ * @param {Array}  crawledPages     – crawler page records
+ * @param {object} sitemapHreflang  – page URL -> sitemap alternates
+ */
+export function analyzeHreflang(crawledPages, sitemapHreflang = {}) {
+  const result = {
+    module: 'hreflang',
+    priority: 'medium',
+    status: 'PASS',
+    score: 100,
+    pages_with_hreflang: 0,
+    languages: {},   // hreflang value -> page count
+    counts: {
+      clusters: 0,
+      broken_clusters: 0,
+      invalid_codes: 0,
+      missing_return_links: 0,
+      bad_targets: 0,
+      canonical_conflicts: 0,
+      missing_x_default: 0,
+      missing_self_reference: 0,
+      conflicting_codes: 0,
+    },
+    clusters: [],
+    issues: [],
+  };
+
+  const records = new Map(crawledPages.map(p => [p.url, p]));
+
+  // Declared alternates per page, merged across sources
+  const declared = new Map(); // url -> [{ hreflang, url, source }]
+  const declare = (from, alt) => {
+    if (!declared.has(from)) declared.set(from, []);
+    declared.get(from).push(alt);
+  };
+  for (const page of crawledPages) {
+    for (const alt of page.hreflang || []) declare(page.url, alt);
+  }
+  for (const [url, alternates] of Object.entries(sitemapHreflang)) {
+    for (const alt of alternates) declare(url, alt);
+  }
+
+  result.pages_with_hreflang = declared.size;
+  if (declared.size === 0) return result;
+
+  // Clusters: connected components of the hreflang graph
+  const parent = new Map();
+  const find = (x) => {
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  const union = (a, b) => {
+    for (const x of [a, b]) if (!parent.has(x)) parent.set(x, x);
+    const ra = find(a), rb = find(b);
+    if (ra !== rb) parent.set(ra, rb);
+  };
+  for (const [from, alternates] of declared) {
+    union(from, from);
+    for (const alt of alternates) union(from, alt.url);
+  }
+
+  const components = new Map();
+  for (const url of parent.keys()) {
+    const root = find(url);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(url);
+  }
+
+  for (const members of components.values()) {
+    const cluster = { urls: members.slice(0, 50), languages: [], problems: [] };
+    const problem = (type, url, message) => {
+      if (cluster.problems.length < MAX_PROBLEMS_PER_CLUSTER) cluster.problems.push({ type, url, message });
+      result.counts[type]++;
+    };
+    const languages = new Set();
+    let hasDefault = false;
+
+    for (const url of members) {
+      const alternates = declared.get(url);
+      if (!alternates) continue;
+      const record = records.get(url);
+
+      if (record?.canonical && record.canonical !== url) {
+        problem('canonical_conflicts', url, `Has hreflang annotations but is canonicalized to ${record.canonical}`);
+      }
+
+      const byCode = new Map(); // lower-cased code -> target URLs
+      const invalid = new Set();
+      for (const alt of alternates) {
+        const code = alt.hreflang.toLowerCase();
+        if (!byCode.has(code)) byCode.set(code, new Set());
+        byCode.get(code).add(alt.url);
+
+        const reason = validateHreflangCode(alt.hreflang);
+        if (reason && !invalid.has(code)) {
+          invalid.add(code);
+          problem('invalid_codes', url, reason);
+        }
+        if (!reason) languages.add(alt.hreflang);
+        if (code === 'x-default') hasDefault = true;
+      }
+
+      for (const [code, targets] of byCode) {
+        if (targets.size > 1) {
+          problem('conflicting_codes', url, `hreflang "${code}" points to ${targets.size} different URLs`);
+        }
+      }
+
+      const targets = new Set(alternates.map(a => a.url));
+      if (!targets.has(url)) {
+        problem('missing_self_reference', url, 'Does not list itself among its hreflang alternates');
+      }
+
+      for (const target of targets) {
+        if (target === url) continue;
+        const bad = targetProblem(records.get(target));
+        if (bad) {
+          problem('bad_targets', url, `hreflang target ${target} ${bad}`);
+          continue;
+        }
+        // Return links can only be checked for targets whose own annotations we saw
+        const back = declared.get(target);
+        if (back && !back.some(a => a.url === url)) {
+          problem('missing_return_links', url, `${target} does not link back with hreflang`);
+        }
+      }
+    }
+
+    if (!hasDefault) problem('missing_x_default', members[0], 'Cluster has no x-default alternate');
+
+    cluster.languages = [...languages].sort();
+    for (const lang of cluster.languages) {
+      result.languages[lang] = (result.languages[lang] || 0) + 1;
+    }
+
+    result.counts.clusters++;
+    if (cluster.problems.length > 0) {
+      result.counts.broken_clusters++;
+      if (result.clusters.length < MAX_CLUSTERS) result.clusters.push(cluster);
+    }
+  }
+
+  // Issues
+  const { counts } = result;
+  const rules = [
+    ['invalid_codes', 'high', 15, 'invalid hreflang language/region code(s)'],
+    ['missing_return_links', 'high', 15, 'hreflang link(s) without a return link'],
+    ['bad_targets', 'high', 15, 'hreflang target(s) that redirect, error, are noindex or canonicalized elsewhere'],
+    ['canonical_conflicts', 'high', 10, 'page(s) with hreflang canonicalized to another URL'],
+    ['conflicting_codes', 'medium', 10, 'hreflang code(s) pointing to more than one URL'],
+    ['missing_x_default', 'low', 5, 'cluster(s) without x-default'],
+    ['missing_self_reference', 'low', 5, 'page(s) missing a self-referencing hreflang'],
+  ];
+  for (const [key, level, penalty, label] of rules) {
+    if (counts[key] === 0) continue;
+    result.score -= penalty;
+    result.issues.push({ level, message: `${counts[key]} ${label}.` });
+  }
+
+  // Clamp
+  result.score = Math.max(0, Math.min(100, result.score));
+
+  if (result.score < 50) result.status = 'FAIL';
+  else if (result.score < 80) result.status = 'WARNING';
+
+  return result;
+}
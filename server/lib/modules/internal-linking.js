@@ -7,10 +7,117 @@
  *   - Cluster structure strength
  *   - Links per article
  *   - Related articles block detection
- *   - Suggested internal links
+ *   - Internal PageRank: link equity per URL and per section
+ *   - Priority pages (high sitemap priority, news) starved of equity
+ *   - Suggested internal links, aimed at the pages that gain the most
  */
 
-export function analyzeInternalLinking(crawledPages) {
+const MAX_ITERATIONS = 100;
+const CONVERGENCE = 1e-8;
+const PRIORITY_THRESHOLD = 0.8;  // sitemap <priority> that marks a key page
+const LOW_EQUITY = 0.5;          // below half the average share
+
+/**
+ * Section of a URL: its first path segment ('/' for top-level pages).
+ */
+function sectionOf(url) {
+  try {
+    const first = new URL(url).pathname.split('/').filter(Boolean)[0];
+    return first ? `/${first}/` : '/';
+  } catch {
+    return '/';
+  }
+}
+
+/**
+ * Weighted internal link graph for PageRank. Uses the per-link records
+ * (with rel) when the crawler kept them, otherwise the deduplicated
+ * internal link list. Links to redirecting URLs pass through to the
+ * redirect target.
+ *
+ * nofollowMode:
+ *   - 'evaporate' – nofollow links take their share but pass nothing
+ *   - 'ignore'    – nofollow links are dropped before splitting equity
+ *   - 'follow'    – nofollow is treated like any other link
+ *
+ * @returns {Map<string, { targets: Map<string, number>, outWeight: number }>}
+ */
+function buildEquityGraph(crawledPages, nodes, nofollowMode) {
+  const redirects = new Map();
+  for (const page of crawledPages) {
+    if (page.status === 'redirect' && page.final_url) redirects.set(page.url, page.final_url);
+  }
+
+  const graph = new Map();
+  for (const page of crawledPages) {
+    if (!nodes.has(page.url)) continue;
+    const pageNofollow = !!page.technical?.nofollow;
+    const links = page._links
+      ? page._links.filter(l => l.internal)
+      : (page.internal_links || []).map(url => ({ url, rel: null }));
+
+    const targets = new Map();
+    let outWeight = 0;
+    for (const link of links) {
+      const nofollow = pageNofollow || /\bnofollow\b/.test(link.rel || '');
+      if (nofollow && nofollowMode === 'ignore') continue;
+      outWeight++;
+      if (nofollow && nofollowMode === 'evaporate') continue;
+      const target = redirects.get(link.url) || link.url;
+      if (target === page.url || !nodes.has(target)) continue;
+      targets.set(target, (targets.get(target) || 0) + 1);
+    }
+    graph.set(page.url, { targets, outWeight });
+  }
+  return graph;
+}
+
+/**
+ * Internal PageRank by power iteration. Pages without outgoing links
+ * spread their rank evenly; links to URLs outside the graph leak.
+ *
+ * @returns {{ rank: Map<string, number>, iterations: number }} ranks sum to ≤ 1
+ */
+function computePageRank(graph, damping) {
+  const urls = [...graph.keys()];
+  const n = urls.length;
+  let rank = new Map(urls.map(u => [u, 1 / n]));
+  let iterations = 0;
+
+  while (iterations < MAX_ITERATIONS) {
+    iterations++;
+    let dangling = 0;
+    for (const url of urls) {
+      if (graph.get(url).outWeight === 0) dangling += rank.get(url);
+    }
+
+    const next = new Map(urls.map(u => [u, (1 - damping) / n + damping * dangling / n]));
+    for (const url of urls) {
+      const { targets, outWeight } = graph.get(url);
+      if (outWeight === 0) continue;
+      const share = damping * rank.get(url) / outWeight;
+      for (const [target, weight] of targets) {
+        next.set(target, next.get(target) + share * weight);
+      }
+    }
+
+    let delta = 0;
+    for (const url of urls) delta += Math.abs(next.get(url) - rank.get(url));
+    rank = next;
+    if (delta < CONVERGENCE) break;
+  }
+  return { rank, iterations };
+}
+
+/**
+ * @param {Array}  crawledPages
+ * @param {object} [opts]
+ * @param {number} [opts.damping]            – PageRank damping factor
+ * @param {string} [opts.nofollowMode]       – 'evaporate' | 'ignore' | 'follow'
+ * @param {object} [opts.sitemapPriorities]  – URL -> { priority, news } from sitemaps
+ */
+export function analyzeInternalLinking(crawledPages, opts = {}) {
+  const { damping = 0.85, nofollowMode = 'evaporate', sitemapPriorities = {} } = opts;
   const result = {
     module: 'internal_linking',
     priority: 'high',
@@ -28,6 +135,8 @@ export function analyzeInternalLinking(crawledPages) {
       poorly_connected: 0,
     },
     has_related_articles: 0,
+    link_equity: null,
+    underlinked_priority_pages: [],
     suggested_links: [],
     issues: [],
   };
@@ -43,12 +152,15 @@ export function analyzeInternalLinking(crawledPages) {
   const incoming = new Map();  // url -> [pages that link to it]
   const pageDepths = new Map(); // url -> depth
   const allUrls = new Set();
+  const startUrls = new Set();  // crawl entry points (never orphans)
 
   for (const page of crawledPages) {
     if (!page.url || page.status !== 'success') continue;
 
     allUrls.add(page.url);
     pageDepths.set(page.url, page.depth || 0);
+    // Older page records carry no source; depth 0 was the start page
+    if (page.source ? page.source === 'start' : !page.depth) startUrls.add(page.url);
 
     const links = page.internal_links || [];
     outgoing.set(page.url, links);
@@ -70,14 +182,16 @@ export function analyzeInternalLinking(crawledPages) {
     const inCount = incoming.has(url) ? incoming.get(url).length : 0;
     const outCount = outgoing.has(url) ? outgoing.get(url).length : 0;
     const depth = pageDepths.get(url) || 0;
+    const isStart = startUrls.has(url);
 
-    // Orphan detection (0 or 1 incoming links, not the start page)
-    if (inCount <= 1 && depth > 0) {
+    // Orphan detection (0 or 1 incoming links, not the start page).
+    // Sitemap-seeded pages count too, so true orphans show up here.
+    if (inCount <= 1 && !isStart) {
       result.orphan_urls.push({ url, incoming_links: inCount, depth });
     }
 
     // Weak pages (few incoming)
-    if (inCount < 3 && depth > 0) {
+    if (inCount < 3 && !isStart) {
       result.weak_pages.push({ url, incoming_links: inCount, outgoing_links: outCount });
     }
 
@@ -101,26 +215,92 @@ export function analyzeInternalLinking(crawledPages) {
   result.weak_pages = result.weak_pages.slice(0, 50);
   result.deep_pages = result.deep_pages.slice(0, 50);
 
-  // Generate suggested links: connect orphans to well-linked pages
-  const wellLinked = [...allUrls]
-    .filter(u => (incoming.get(u)?.length || 0) >= 5)
-    .slice(0, 10);
-
-  for (const orphan of result.orphan_urls.slice(0, 20)) {
-    for (const target of wellLinked.slice(0, 3)) {
-      const existingLinks = outgoing.get(orphan.url) || [];
-      if (!existingLinks.includes(target) && orphan.url !== target) {
-        result.suggested_links.push({
-          from: orphan.url,
-          to: target,
-          reason: 'Orphan page should link to well-connected page',
-        });
-        break; // one suggestion per orphan
-      }
-    }
+  // Internal PageRank. Equity is expressed relative to the average page
+  // (1.0 = an even share), which reads the same for any crawl size.
+  const graph = buildEquityGraph(crawledPages, allUrls, nofollowMode);
+  const { rank, iterations } = computePageRank(graph, damping);
+  const totalRank = [...rank.values()].reduce((sum, r) => sum + r, 0) || 1;  // < 1 when links leak
+  const equity = (url) => Math.round(rank.get(url) / totalRank * allUrls.size * 1000) / 1000;
+  const ranked = [...allUrls].sort((a, b) => rank.get(b) - rank.get(a));
+  const position = new Map(ranked.map((url, i) => [url, i + 1]));
+  const pageEquity = (url) => ({
+    url,
+    pagerank: Math.round(rank.get(url) * 1e6) / 1e6,
+    equity: equity(url),
+    rank: position.get(url),
+    incoming_links: incoming.get(url)?.length || 0,
+  });
+
+  const sections = new Map();
+  for (const url of allUrls) {
+    const key = sectionOf(url);
+    if (!sections.has(key)) sections.set(key, { section: key, pages: 0, pagerank: 0 });
+    const section = sections.get(key);
+    section.pages++;
+    section.pagerank += rank.get(url);
   }
 
-  result.suggested_links = result.suggested_links.slice(0, 30);
+  result.link_equity = {
+    damping,
+    nofollow_mode: nofollowMode,
+    iterations,
+    top_pages: ranked.slice(0, 50).map(pageEquity),
+    lowest_pages: ranked.slice(-50).reverse().filter(u => !startUrls.has(u)).map(pageEquity),
+    sections: [...sections.values()]
+      .map(s => ({
+        section: s.section,
+        pages: s.pages,
+        equity_share: Math.round(s.pagerank / totalRank * 1000) / 10,  // % of all equity
+        avg_equity: Math.round(s.pagerank / totalRank / s.pages * allUrls.size * 1000) / 1000,
+      }))
+      .sort((a, b) => b.equity_share - a.equity_share)
+      .slice(0, 50),
+  };
+
+  // Key pages (high sitemap priority or news) that receive little equity
+  const underlinked = [];
+  for (const url of allUrls) {
+    const entry = sitemapPriorities[url];
+    if (!entry || !(entry.news || entry.priority >= PRIORITY_THRESHOLD)) continue;
+    if (equity(url) >= LOW_EQUITY) continue;
+    underlinked.push({ ...pageEquity(url), sitemap_priority: entry.priority, news: entry.news });
+  }
+  underlinked.sort((a, b) => a.equity - b.equity);
+  result.underlinked_priority_pages = underlinked.slice(0, 50);
+
+  // Suggested links: the weakest key pages first, then orphans and weak
+  // pages by equity, each from the source that passes the most equity per
+  // link (rank / (outgoing + 1)) and does not already link to it.
+  const targets = [
+    ...underlinked.map(p => ({ url: p.url, reason: p.news ? 'News page receives little link equity' : 'High-priority sitemap page receives little link equity' })),
+    ...[...allUrls]
+      .filter(u => !startUrls.has(u) && (incoming.get(u)?.length || 0) < 3)
+      .sort((a, b) => rank.get(a) - rank.get(b))
+      .map(url => ({ url, reason: 'Weakly linked page with low link equity' })),
+  ];
+  const sources = ranked
+    .map(url => ({ url, pass: rank.get(url) / (graph.get(url).outWeight + 1) }))
+    .sort((a, b) => b.pass - a.pass)
+    .slice(0, 20);
+  const suggested = new Set();
+  const usedSources = new Map(); // spread suggestions over several sources
+
+  for (const target of targets) {
+    if (suggested.has(target.url)) continue;
+    const source = sources
+      .filter(s => s.url !== target.url && !(outgoing.get(s.url) || []).includes(target.url))
+      .sort((a, b) => b.pass / (1 + (usedSources.get(b.url) || 0)) - a.pass / (1 + (usedSources.get(a.url) || 0)))[0];
+    if (!source) continue;
+    suggested.add(target.url);
+    usedSources.set(source.url, (usedSources.get(source.url) || 0) + 1);
+    result.suggested_links.push({
+      from: source.url,
+      to: target.url,
+      reason: target.reason,
+      estimated_gain: Math.round(damping * source.pass / totalRank * allUrls.size * 1000) / 1000,
+    });
+    if (result.suggested_links.length >= 30) break;
+  }
 
   // Issues
   const orphanPct = allUrls.size > 0 ? (result.orphan_urls.length / allUrls.size) * 100 : 0;
@@ -156,6 +336,14 @@ export function analyzeInternalLinking(crawledPages) {
     });
   }
 
+  if (underlinked.length > 0) {
+    result.score -= Math.min(15, underlinked.length * 3);
+    result.issues.push({
+      level: 'high',
+      message: `${underlinked.length} high-priority sitemap or news page(s) receive less than half the average link equity. Link to them from strong pages.`,
+    });
+  }
+
   const poorlyConnectedPct = allUrls.size > 0
     ? (result.cluster_analysis.poorly_connected / allUrls.size) * 100
     : 0;
@@ -13,22 +13,15 @@
  *    Query-param URLs should canonicalize back to a clean URL.
  */
 
+import { httpFetch } from '../http-client.js';
+
 const FETCH_TIMEOUT = 12000;
-const UA = 'Mozilla/5.0 (compatible; SEO-Analyzer/1.0)';
 
 // ── helpers ─────────────────────────────────────────────────────
 
 async function probe(url, timeout = FETCH_TIMEOUT) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeout);
   try {
-    const res = await fetch(url, {
-      method: 'GET',
-      redirect: 'follow',
-      signal: controller.signal,
-      headers: { 'User-Agent': UA, Accept: 'text/html' },
-    });
-    clearTimeout(timer);
+    const res = await httpFetch(url, { module: 'migration_checks', timeoutMs: timeout, headers: { Accept: 'text/html' } });
 
     // Extract canonical from HTML if status is 200
     let canonical = null;
@@ -42,7 +35,6 @@ async function probe(url, timeout = FETCH_TIMEOUT) {
 
     return { url, status: res.status, redirected: res.redirected, finalUrl: res.url, ok: res.ok, canonical };
   } catch (err) {
-    clearTimeout(timer);
     return { url, status: 0, error: err.name === 'AbortError' ? 'timeout' : err.message, ok: false, canonical: null };
   }
 }
@@ -11,6 +11,8 @@
  * sitemap-discovery.js to avoid duplicate fetching.
  */
 
+import { httpFetch } from '../http-client.js';
+
 const NEWS_FRESHNESS_HOURS = 48;
 const MAX_NEWS_URLS = 1000;
 const MAX_SITEMAPS_TO_PARSE = 20;
@@ -23,20 +25,6 @@ const SITEMAP_PATHS = [
   '/sitemap.xml.gz',
 ];
 
-async function fetchWithTimeout(url, timeoutMs = FETCH_TIMEOUT) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, {
-      signal: controller.signal,
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; SEO-Analyzer/1.0)' },
-    });
-    return res;
-  } finally {
-    clearTimeout(timer);
-  }
-}
-
 function parseHoursAgo(dateStr) {
   try {
     const d = new Date(dateStr);
@@ -148,7 +136,7 @@ export async function analyzeNewsSitemap(baseUrl, discoveryResult = null) {
       SITEMAP_PATHS.map(async (path) => {
         const url = origin + path;
         try {
-          const res = await fetchWithTimeout(url);
+          const res = await httpFetch(url, { module: 'news_sitemap', timeoutMs: FETCH_TIMEOUT });
           if (res.ok) {
             const text = await res.text();
             return { url, text, status: res.status };
@@ -224,7 +212,7 @@ export async function analyzeNewsSitemap(baseUrl, discoveryResult = null) {
             }
           }
           try {
-            const res = await fetchWithTimeout(entry.loc);
+            const res = await httpFetch(entry.loc, { module: 'news_sitemap', timeoutMs: FETCH_TIMEOUT });
             if (res.ok) {
               queue.push({ url: entry.loc, text: await res.text() });
             }
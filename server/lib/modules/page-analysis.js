@@ -0,0 +1,96 @@
+/**
+ * Page Analysis Summary — site-wide roll-up of per-page technical records
+ *
+ * Aggregates the `meta` / `technical` fields the crawler stores on each
+ * page when `page_analysis` is enabled:
+ *   - Missing / overlong titles and descriptions, missing or multiple H1
+ *   - noindex pages, missing and conflicting canonicals
+ *   - Thin content, images without alt text
+ *   - Invalid structured data, missing lang / viewport
+ *
+ * Post-processor: no network I/O.
+ */
+
+const MAX_LISTED = 50;
+const THIN_CONTENT_WORDS = 300;
+
+const CHECKS = [
+  { key: 'missing_title', level: 'critical', label: 'missing a title', test: (m, t) => t.missing_title },
+  { key: 'long_title', level: 'low', label: 'with a title over 60 characters', test: (m, t) => t.title_length > 60 },
+  { key: 'missing_description', level: 'high', label: 'missing a meta description', test: (m, t) => t.missing_description },
+  { key: 'long_description', level: 'low', label: 'with a meta description over 160 characters', test: (m, t) => t.description_length > 160 },
+  { key: 'missing_h1', level: 'high', label: 'without an H1', test: (m, t) => (t.heading_counts?.h1 || 0) === 0 },
+  { key: 'multiple_h1', level: 'medium', label: 'with more than one H1', test: (m, t) => (t.heading_counts?.h1 || 0) > 1 },
+  { key: 'noindex', level: 'medium', label: 'marked noindex', test: (m, t) => t.noindex },
+  { key: 'missing_canonical', level: 'medium', label: 'without a canonical tag', test: (m, t) => !t.canonical_url },
+  { key: 'canonical_conflict', level: 'medium', label: 'canonicalized to another URL', test: (m, t) => t.canonical_conflict },
+  { key: 'thin_content', level: 'medium', label: `under ${THIN_CONTENT_WORDS} words`, test: (m) => m.word_count < THIN_CONTENT_WORDS },
+  { key: 'missing_alt', level: 'low', label: 'with images missing alt text', test: (m, t) => t.missing_alt_tags > 0 },
+  { key: 'invalid_structured_data', level: 'high', label: 'with invalid JSON-LD', test: (m, t) => !t.structured_data_valid },
+  { key: 'missing_lang', level: 'low', label: 'without a lang attribute', test: (m) => !m.language },
+  { key: 'missing_viewport', level: 'medium', label: 'without a viewport meta tag', test: (m, t) => !t.viewport_meta },
+];
+
+const PENALTY = { critical: 20, high: 10, medium: 5, low: 2 };
+
+export function analyzePageSummary(crawledPages) {
+  const analyzed = crawledPages.filter(p => p.status === 'success' && p.meta && p.technical);
+
+  const result = {
+    module: 'page_analysis',
+    priority: 'high',
+    status: 'PASS',
+    score: 100,
+    analyzed_pages: analyzed.length,
+    counts: {},
+    pages: {},                 // check key -> affected URLs (capped)
+    avg_word_count: 0,
+    structured_data_types: {}, // @type -> page count
+    issues: [],
+  };
+
+  for (const check of CHECKS) {
+    result.counts[check.key] = 0;
+    result.pages[check.key] = [];
+  }
+
+  if (analyzed.length === 0) {
+    result.status = 'WARNING';
+    result.issues.push({ level: 'medium', message: 'No analyzed pages — enable page_analysis on the crawl' });
+    return result;
+  }
+
+  let totalWords = 0;
+  for (const page of analyzed) {
+    totalWords += page.meta.word_count || 0;
+    for (const type of page.technical.structured_data_types || []) {
+      result.structured_data_types[type] = (result.structured_data_types[type] || 0) + 1;
+    }
+    for (const check of CHECKS) {
+      if (!check.test(page.meta, page.technical)) continue;
+      result.counts[check.key]++;
+      if (result.pages[check.key].length < MAX_LISTED) result.pages[check.key].push(page.url);
+    }
+  }
+  result.avg_word_count = Math.round(totalWords / analyzed.length);
+
+  // Issues: penalty scales with the share of affected pages
+  for (const check of CHECKS) {
+    const count = result.counts[check.key];
+    if (count === 0) continue;
+    const pct = (count / analyzed.length) * 100;
+    result.score -= Math.ceil(PENALTY[check.level] * Math.min(1, pct / 50));
+    result.issues.push({
+      level: check.level,
+      message: `${count} page(s) (${Math.round(pct)}%) ${check.label}.`,
+    });
+  }
+
+  // Clamp
+  result.score = Math.max(0, Math.min(100, result.score));
+
+  if (result.score < 50) result.status = 'FAIL';
+  else if (result.score < 80) result.status = 'WARNING';
+
+  return result;
+}
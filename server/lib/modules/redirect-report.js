@@ -0,0 +1,165 @@
+/**
+ * Redirect Report — redirect chains, loops and links to redirects
+ *
+ * Built from the hops the crawler records on pages with status
+ * `redirect` / `redirect_loop` / `redirect_chain_too_long`:
+ *   - Chains: more than one hop before the final URL
+ *   - Loops: the chain revisits a URL
+ *   - Too long: the chain exceeds the crawler's hop limit without resolving
+ *   - Temporary redirects: 302/307 hops that look permanent (301/308)
+ *   - Internal links pointing at redirecting URLs, with the linking pages
+ *
+ * Post-processor: no network I/O.
+ */
+
+const MAX_LISTED = 50;
+const MAX_SOURCES_PER_URL = 20;
+const TEMPORARY_STATUSES = new Set([302, 303, 307]);
+const REDIRECT_STATUSES = new Set(['redirect', 'redirect_loop', 'redirect_chain_too_long']);
+
+function permanentEquivalent(status) {
+  return status === 307 ? 308 : 301;
+}
+
+export function analyzeRedirects(crawledPages) {
+  const redirecting = crawledPages.filter(p => REDIRECT_STATUSES.has(p.status));
+
+  const result = {
+    module: 'redirect_report',
+    priority: 'high',
+    status: 'PASS',
+    score: 100,
+    counts: {
+      redirects: redirecting.length,
+      chains: 0,
+      loops: 0,
+      too_long: 0,
+      temporary: 0,
+      linked_redirects: 0,
+      links_to_redirects: 0,
+    },
+    redirects: [],
+    chains: [],
+    loops: [],
+    too_long: [],
+    temporary_redirects: [],
+    links_to_redirects: [],
+    issues: [],
+  };
+
+  if (redirecting.length === 0) return result;
+
+  // Which pages link to each URL
+  const linkedFrom = new Map(); // url -> source page URLs
+  for (const page of crawledPages) {
+    for (const link of page.internal_links || []) {
+      if (link === page.url) continue;
+      if (!linkedFrom.has(link)) linkedFrom.set(link, []);
+      linkedFrom.get(link).push(page.url);
+    }
+  }
+
+  for (const page of redirecting) {
+    const hops = page.redirects || [];
+    const entry = {
+      url: page.url,
+      final_url: page.final_url,
+      final_status: page.final_status ?? null,
+      hops: hops.length,
+      chain: hops.map(h => ({ url: h.url, status: h.status })),
+    };
+    if (result.redirects.length < MAX_LISTED) result.redirects.push(entry);
+
+    if (page.status === 'redirect_loop') {
+      result.counts.loops++;
+      if (result.loops.length < MAX_LISTED) result.loops.push(entry);
+    } else if (page.status === 'redirect_chain_too_long') {
+      result.counts.too_long++;
+      if (result.too_long.length < MAX_LISTED) result.too_long.push(entry);
+    } else if (hops.length > 1) {
+      result.counts.chains++;
+      if (result.chains.length < MAX_LISTED) result.chains.push(entry);
+    }
+
+    for (const hop of hops) {
+      if (!TEMPORARY_STATUSES.has(hop.status)) continue;
+      result.counts.temporary++;
+      if (result.temporary_redirects.length < MAX_LISTED) {
+        result.temporary_redirects.push({
+          url: hop.url,
+          status: hop.status,
+          location: hop.location,
+          suggested_status: permanentEquivalent(hop.status),
+        });
+      }
+    }
+
+    const sources = linkedFrom.get(page.url) || [];
+    if (sources.length > 0) {
+      result.counts.linked_redirects++;
+      result.counts.links_to_redirects += sources.length;
+      if (result.links_to_redirects.length < MAX_LISTED) {
+        result.links_to_redirects.push({
+          url: page.url,
+          final_url: page.final_url,
+          status: page.http_status,
+          linked_from: sources.slice(0, MAX_SOURCES_PER_URL),
+          link_count: sources.length,
+        });
+      }
+    }
+  }
+
+  result.links_to_redirects.sort((a, b) => b.link_count - a.link_count);
+
+  // Issues
+  const { counts } = result;
+
+  if (counts.loops > 0) {
+    result.score -= Math.min(40, counts.loops * 15);
+    result.issues.push({
+      level: 'critical',
+      message: `${counts.loops} redirect loop(s). These URLs never resolve to a page.`,
+    });
+  }
+
+  if (counts.too_long > 0) {
+    result.score -= Math.min(30, counts.too_long * 10);
+    result.issues.push({
+      level: 'high',
+      message: `${counts.too_long} redirect chain(s) exceed the hop limit without reaching a page. Crawlers give up on chains this long.`,
+    });
+  }
+
+  if (counts.chains > 0) {
+    result.score -= Math.min(25, counts.chains * 5);
+    result.issues.push({
+      level: 'high',
+      message: `${counts.chains} redirect chain(s) with more than one hop. Redirect straight to the final URL.`,
+    });
+  }
+
+  if (counts.temporary > 0) {
+    result.score -= Math.min(15, counts.temporary * 3);
+    result.issues.push({
+      level: 'medium',
+      message: `${counts.temporary} temporary redirect(s) (302/303/307). Use 301/308 if the move is permanent.`,
+    });
+  }
+
+  if (counts.linked_redirects > 0) {
+    result.score -= Math.min(20, counts.linked_redirects * 2);
+    result.issues.push({
+      level: 'medium',
+      message: `${counts.links_to_redirects} internal link(s) point at ${counts.linked_redirects} redirecting URL(s). Update them to link to the final URL.`,
+    });
+  }
+
+  // Clamp
+  result.score = Math.max(0, Math.min(100, result.score));
+
+  if (result.score < 50) result.status = 'FAIL';
+  else if (result.score < 80) result.status = 'WARNING';
+
+  return result;
+}
@@ -0,0 +1,234 @@
+/**
+ * Raw vs. Rendered HTML Diff — JavaScript SEO
+ *
+ * Fetches a URL twice — raw with the shared HTTP client, rendered through the
+ * Scrapling sidecar's headless browser — and compares:
+ *   - title, meta description, canonical, meta robots
+ *   - H1
+ *   - JSON-LD blocks (by @type)
+ *   - internal links
+ *   - word count
+ *
+ * Elements that exist only after rendering, or that rendering changes,
+ * are flagged: crawlers that do not run JavaScript only see the raw HTML,
+ * and Google indexes it before rendering.
+ */
+
+import { normalizeUrl } from '../url-utils.js';
+import { isSidecarAvailable, scraplingFetch } from '../scrapling-client.js';
+import { httpFetch } from '../http-client.js';
+import {
+  extractMeta, extractAllHeadings, extractCanonical, extractStructuredData, extractInternalUrls,
+  extractTextContent, countWords,
+} from '../technical-checks.js';
+
+const FETCH_TIMEOUT = 15000;
+const RENDER_TIMEOUT_S = 30;
+const MAX_LINK_SAMPLE = 20;
+const WORD_COUNT_CHANGE = 0.2;   // relative word count change worth reporting
+const LINK_SHARE_HIGH = 0.2;     // share of rendered-only links that is a structural problem
+
+const PENALTY = { critical: 25, high: 15, medium: 8, low: 3 };
+
+async function fetchRaw(url) {
+  const res = await httpFetch(url, { module: 'render_diff', timeoutMs: FETCH_TIMEOUT, headers: { Accept: 'text/html,application/xhtml+xml' } });
+  return res.text();
+}
+
+function metaRobotsContent(html) {
+  const m =
+    html.match(/<meta[^>]*name=["']robots["'][^>]*content=["']([^"']*)["']/i) ||
+    html.match(/<meta[^>]*content=["']([^"']*)["'][^>]*name=["']robots["']/i);
+  return m ? m[1].toLowerCase().replace(/\s+/g, '') : null;
+}
+
+/** Distinct JSON-LD @type values, looking inside arrays and @graph. */
+function structuredDataTypes(data) {
+  const types = new Set();
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== 'object') return;
+    if (node['@graph']) visit(node['@graph']);
+    for (const t of [].concat(node['@type'] || [])) types.add(String(t));
+  };
+  visit(data);
+  return [...types].sort();
+}
+
+/** The SEO-critical elements of one HTML version. */
+function seoSnapshot(html, pageUrl) {
+  const meta = extractMeta(html);
+  const canonical = extractCanonical(html);
+  const structured = extractStructuredData(html);
+  return {
+    title: meta.title || null,
+    description: meta.description ? meta.description.trim() : null,
+    canonical: canonical ? normalizeUrl(canonical, pageUrl) || canonical : null,
+    robots: metaRobotsContent(html),
+    h1: extractAllHeadings(html).h1.filter(Boolean),
+    json_ld_blocks: structured.data.length,
+    json_ld_types: structuredDataTypes(structured.data),
+    internal_links: new Set(extractInternalUrls(html, pageUrl).map(u => normalizeUrl(u, pageUrl)).filter(Boolean)),
+    word_count: countWords(extractTextContent(html)),
+  };
+}
+
+function compareValue(raw, rendered) {
+  let change = 'same';
+  if (raw === null && rendered === null) change = 'absent';
+  else if (raw === null) change = 'rendered_only';
+  else if (rendered === null) change = 'removed_by_rendering';
+  else if (raw !== rendered) change = 'changed';
+  return { raw, rendered, change };
+}
+
+function compareList(raw, rendered) {
+  const result = compareValue(raw.length ? raw.join(' | ') : null, rendered.length ? rendered.join(' | ') : null);
+  return { ...result, raw, rendered };
+}
+
+/**
+ * @param {string} pageUrl
+ * @param {object} [opts]
+ * @param {string} [opts.rawHtml]      – already-fetched raw HTML (skips the raw fetch)
+ * @param {string} [opts.renderedHtml] – already-rendered HTML (skips the sidecar)
+ * @param {string} [opts.fetcher]      – fetcher that produced renderedHtml
+ */
+export async function analyzeRenderDiff(pageUrl, opts = {}) {
+  const result = {
+    module: 'render_diff',
+    priority: 'high',
+    status: 'PASS',
+    score: 100,
+    url: pageUrl,
+    rendered: false,
+    fetcher: null,
+    elements: {},
+    rendered_only: [],
+    changed: [],
+    issues: [],
+  };
+
+  let rawHtml = opts.rawHtml ?? null;
+  let renderedHtml = opts.renderedHtml ?? null;
+  result.fetcher = renderedHtml !== null ? opts.fetcher || 'StealthyFetcher' : null;
+
+  try {
+    if (rawHtml === null) rawHtml = await fetchRaw(pageUrl);
+  } catch (err) {
+    result.status = 'FAIL';
+    result.score = 0;
+    result.issues.push({ level: 'high', message: `Raw HTML could not be fetched: ${err.message}` });
+    return result;
+  }
+
+  if (renderedHtml === null) {
+    try {
+      if (!(await isSidecarAvailable())) throw new Error('rendering sidecar unavailable');
+      const fetched = await scraplingFetch(pageUrl, { headless: true, timeout: RENDER_TIMEOUT_S, module: 'render_diff' });
+      renderedHtml = fetched.html || '';
+      result.fetcher = fetched.fetcher || 'StealthyFetcher';
+    } catch (err) {
+      result.status = 'WARNING';
+      result.issues.push({ level: 'medium', message: `Rendered HTML could not be fetched (${err.message}); raw vs. rendered comparison skipped` });
+      return result;
+    }
+  }
+  result.rendered = true;
+
+  const raw = seoSnapshot(rawHtml, pageUrl);
+  const rendered = seoSnapshot(renderedHtml, pageUrl);
+  const { elements } = result;
+
+  for (const key of ['title', 'description', 'canonical', 'robots']) {
+    elements[key] = compareValue(raw[key], rendered[key]);
+  }
+  elements.h1 = compareList(raw.h1, rendered.h1);
+
+  const addedTypes = rendered.json_ld_types.filter(t => !raw.json_ld_types.includes(t));
+  const removedTypes = raw.json_ld_types.filter(t => !rendered.json_ld_types.includes(t));
+  elements.json_ld = {
+    raw_blocks: raw.json_ld_blocks,
+    rendered_blocks: rendered.json_ld_blocks,
+    raw_types: raw.json_ld_types,
+    rendered_types: rendered.json_ld_types,
+    rendered_only_types: addedTypes,
+    removed_types: removedTypes,
+    change: raw.json_ld_blocks === 0 && rendered.json_ld_blocks > 0 ? 'rendered_only'
+      : addedTypes.length || removedTypes.length || raw.json_ld_blocks !== rendered.json_ld_blocks ? 'changed' : 'same',
+  };
+
+  const addedLinks = [...rendered.internal_links].filter(u => !raw.internal_links.has(u));
+  const removedLinks = [...raw.internal_links].filter(u => !rendered.internal_links.has(u));
+  elements.internal_links = {
+    raw: raw.internal_links.size,
+    rendered: rendered.internal_links.size,
+    rendered_only: addedLinks.length,
+    removed_by_rendering: removedLinks.length,
+    rendered_only_sample: addedLinks.slice(0, MAX_LINK_SAMPLE),
+    removed_sample: removedLinks.slice(0, MAX_LINK_SAMPLE),
+    change: addedLinks.length || removedLinks.length ? 'changed' : 'same',
+  };
+
+  const wordDelta = rendered.word_count - raw.word_count;
+  const wordBase = Math.max(raw.word_count, rendered.word_count, 1);
+  elements.word_count = {
+    raw: raw.word_count,
+    rendered: rendered.word_count,
+    difference: wordDelta,
+    difference_pct: Math.round((wordDelta / wordBase) * 100),
+    change: Math.abs(wordDelta) / wordBase > WORD_COUNT_CHANGE ? 'changed' : 'same',
+  };
+
+  for (const [key, element] of Object.entries(elements)) {
+    if (element.change === 'rendered_only') result.rendered_only.push(key);
+    else if (element.change === 'changed' || element.change === 'removed_by_rendering') result.changed.push(key);
+  }
+
+  // Issues
+  const issue = (level, message) => {
+    result.score -= PENALTY[level];
+    result.issues.push({ level, message });
+  };
+
+  if (elements.canonical.change === 'rendered_only') issue('high', 'Canonical is only present after JavaScript rendering');
+  else if (elements.canonical.change === 'changed') issue('critical', `Rendering changes the canonical from ${raw.canonical} to ${rendered.canonical}`);
+  else if (elements.canonical.change === 'removed_by_rendering') issue('high', 'Rendering removes the canonical');
+
+  if (elements.robots.change === 'rendered_only' || elements.robots.change === 'changed') {
+    issue('critical', `Rendering sets meta robots to "${rendered.robots}" (raw HTML: "${raw.robots || 'none'}")`);
+  } else if (elements.robots.change === 'removed_by_rendering') {
+    issue('high', `Rendering removes meta robots "${raw.robots}"`);
+  }
+
+  if (elements.title.change === 'rendered_only') issue('high', 'Title is only present after JavaScript rendering');
+  else if (elements.title.change === 'changed') issue('medium', 'Rendering changes the title');
+
+  if (elements.description.change === 'rendered_only') issue('medium', 'Meta description is only present after JavaScript rendering');
+  else if (elements.description.change === 'changed') issue('low', 'Rendering changes the meta description');
+
+  if (elements.h1.change === 'rendered_only') issue('high', 'H1 is only present after JavaScript rendering');
+  else if (elements.h1.change === 'changed') issue('medium', 'Rendering changes the H1');
+
+  if (addedTypes.length > 0) issue('high', `JSON-LD only present after rendering: ${addedTypes.join(', ')}`);
+  if (removedTypes.length > 0) issue('medium', `Rendering removes JSON-LD: ${removedTypes.join(', ')}`);
+
+  if (addedLinks.length > 0) {
+    const share = addedLinks.length / Math.max(rendered.internal_links.size, 1);
+    issue(share > LINK_SHARE_HIGH ? 'high' : 'low',
+      `${addedLinks.length} internal link(s) (${Math.round(share * 100)}%) are only present after rendering`);
+  }
+
+  if (elements.word_count.change === 'changed' && wordDelta > 0) {
+    issue(raw.word_count < rendered.word_count / 2 ? 'high' : 'medium',
+      `Rendered page has ${wordDelta} more words than the raw HTML (${raw.word_count} vs. ${rendered.word_count})`);
+  }
+
+  // Clamp
+  result.score = Math.max(0, Math.min(100, result.score));
+
+  if (result.score < 50) result.status = 'FAIL';
+  else if (result.score < 80) result.status = 'WARNING';
+
+  return result;
+}
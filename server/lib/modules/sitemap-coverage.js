@@ -0,0 +1,157 @@
+/**
+ * Sitemap Coverage — compares sitemap URLs with the crawled link graph.
+ *
+ * Buckets:
+ *   - Orphans: in a sitemap but never linked from any crawled page
+ *   - Missing from sitemap: indexable pages reached by links but absent
+ *     from every sitemap
+ *   - Problem sitemap URLs: non-200, redirected, noindex, canonicalized
+ *     elsewhere, or blocked by robots.txt
+ *
+ * Post-processor: runs on the crawler's page records (needs a crawl
+ * seeded with `seed_from_sitemaps` so sitemap-only URLs were fetched).
+ */
+
+const MAX_LISTED = 50;
+
+/** Why a crawled sitemap URL should not be in the sitemap, or null. */
+function sitemapProblem(page) {
+  if (page.status === 'blocked_robots') return 'blocked_robots';
+  if (page.status === 'fetch_error') return 'fetch_error';
+  if (page.status === 'redirect_loop') return 'redirect_loop';
+  if (page.status === 'redirect_chain_too_long') return 'redirect_chain_too_long';
+  if (page.status === 'redirect') return 'redirect';
+  if (page.http_status && page.http_status !== 200) return `http_${page.http_status}`;
+  if (page.final_url && page.final_url !== page.url) return 'redirect';
+  if (page.noindex) return 'noindex';
+  if (page.canonical && page.canonical !== page.url) return 'canonicalized';
+  return null;
+}
+
+/**
+ * @param {Array}    crawledPages – crawler page records
+ * @param {string[]} sitemapUrls  – normalized page URLs listed in sitemaps
+ */
+export function analyzeSitemapCoverage(crawledPages, sitemapUrls) {
+  const result = {
+    module: 'sitemap_coverage',
+    priority: 'high',
+    status: 'PASS',
+    score: 100,
+    sitemap_urls: sitemapUrls.length,
+    crawled_sitemap_urls: 0,
+    orphan_count: 0,
+    missing_from_sitemap_count: 0,
+    problem_count: 0,
+    orphans: [],               // in sitemap, no internal link points to them
+    missing_from_sitemap: [],  // linked + indexable, but not in any sitemap
+    problem_urls: [],          // sitemap URLs that should not be listed
+    issues: [],
+  };
+
+  if (sitemapUrls.length === 0) {
+    result.status = 'WARNING';
+    result.score = 50;
+    result.issues.push({ level: 'high', message: 'No sitemap URLs found to compare against the crawl' });
+    return result;
+  }
+
+  const inSitemap = new Set(sitemapUrls);
+  const pagesByUrl = new Map();
+  const linkTargets = new Set(); // URLs linked from some other crawled page
+
+  for (const page of crawledPages) {
+    if (!page.url) continue;
+    pagesByUrl.set(page.url, page);
+    for (const link of page.internal_links || []) {
+      if (link !== page.url) linkTargets.add(link);
+    }
+  }
+
+  const startUrls = new Set(crawledPages.filter(p => p.source === 'start').map(p => p.url));
+
+  for (const url of sitemapUrls) {
+    const page = pagesByUrl.get(url);
+    if (page) result.crawled_sitemap_urls++;
+
+    if (!linkTargets.has(url) && !startUrls.has(url)) {
+      result.orphan_count++;
+      result.orphans.push({ url, crawled: !!page, status: page ? page.status : 'not_crawled' });
+    }
+
+    if (page) {
+      const reason = sitemapProblem(page);
+      if (reason) {
+        result.problem_count++;
+        result.problem_urls.push({
+          url,
+          reason,
+          http_status: page.http_status,
+          ...(reason === 'redirect' ? { target: page.final_url } : {}),
+          ...(reason === 'canonicalized' ? { target: page.canonical } : {}),
+        });
+      }
+    }
+  }
+
+  for (const page of crawledPages) {
+    if (page.status !== 'success' || inSitemap.has(page.url)) continue;
+    if (!linkTargets.has(page.url) && page.source !== 'start') continue;
+    if (sitemapProblem(page)) continue; // correctly left out of the sitemap
+    result.missing_from_sitemap_count++;
+    result.missing_from_sitemap.push({ url: page.url, depth: page.depth });
+  }
+
+  // Cap arrays to avoid bloated output
+  result.orphans = result.orphans.slice(0, MAX_LISTED);
+  result.missing_from_sitemap = result.missing_from_sitemap.slice(0, MAX_LISTED);
+  result.problem_urls = result.problem_urls.slice(0, MAX_LISTED);
+
+  // Issues
+  const orphanPct = (result.orphan_count / sitemapUrls.length) * 100;
+  if (orphanPct > 20) {
+    result.score -= 30;
+    result.issues.push({
+      level: 'critical',
+      message: `${result.orphan_count} sitemap URL(s) (${Math.round(orphanPct)}%) have no internal links pointing to them.`,
+    });
+  } else if (result.orphan_count > 0) {
+    result.score -= 10;
+    result.issues.push({
+      level: 'medium',
+      message: `${result.orphan_count} sitemap URL(s) are orphans — only discoverable through the sitemap.`,
+    });
+  }
+
+  if (result.problem_count > 0) {
+    const problemPct = result.crawled_sitemap_urls > 0 ? (result.problem_count / result.crawled_sitemap_urls) * 100 : 0;
+    result.score -= problemPct > 10 ? 25 : 10;
+    result.issues.push({
+      level: problemPct > 10 ? 'high' : 'medium',
+      message: `${result.problem_count} sitemap URL(s) are non-200, redirected, noindex or canonicalized elsewhere. List only canonical, indexable URLs.`,
+    });
+  }
+
+  if (result.missing_from_sitemap_count > 0) {
+    result.score -= result.missing_from_sitemap_count > 10 ? 15 : 5;
+    result.issues.push({
+      level: 'medium',
+      message: `${result.missing_from_sitemap_count} indexable page(s) reachable by links are missing from every sitemap.`,
+    });
+  }
+
+  if (result.crawled_sitemap_urls < sitemapUrls.length) {
+    result.issues.push({
+      level: 'low',
+      message: `Only ${result.crawled_sitemap_urls} of ${sitemapUrls.length} sitemap URLs were crawled (max_pages limit). Raise max_pages for full coverage.`,
+    });
+  }
+
+  // Clamp
+  result.score = Math.max(0, Math.min(100, result.score));
+
+  if (result.score < 50) result.status = 'FAIL';
+  else if (result.score < 80) result.status = 'WARNING';
+
+  return result;
+}
@@ -19,6 +19,8 @@
  */
 
 import { gunzipSync } from 'node:zlib';
+import { parseRobotsTxt } from '../robots-txt.js';
+import { httpFetch } from '../http-client.js';
 
 const FETCH_TIMEOUT = 10000;
 const MAX_INDEX_DEPTH = 3;
@@ -48,22 +50,12 @@ const RSS_ATOM_PATHS = ['/feed', '/rss', '/rss.xml', '/atom.xml'];
 
 // ── Fetch helper ────────────────────────────────────────────────
 
-async function fetchUrl(url, timeoutMs = FETCH_TIMEOUT) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, {
-      redirect: 'follow',
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; SEO-Analyzer/1.0)',
-        Accept: 'application/xml, text/xml, application/rss+xml, application/atom+xml, text/html',
-      },
-    });
-    return res;
-  } finally {
-    clearTimeout(timer);
-  }
+function fetchUrl(url, timeoutMs = FETCH_TIMEOUT) {
+  return httpFetch(url, {
+    module: 'sitemap_discovery',
+    timeoutMs,
+    headers: { Accept: 'application/xml, text/xml, application/rss+xml, application/atom+xml, text/html' },
+  });
 }
 
 // ── Content helpers ─────────────────────────────────────────────
@@ -169,15 +161,7 @@ async function discoverFromRobotsTxt(origin) {
       return result;
     }
     const text = await res.text();
-    for (const line of text.split(/\r?\n/)) {
-      const match = line.match(/^\s*sitemap\s*:\s*(.+)/i);
-      if (match) {
-        const sitemapUrl = match[1].trim();
-        if (sitemapUrl.startsWith('http://') || sitemapUrl.startsWith('https://')) {
-          result.urls.push(sitemapUrl);
-        }
-      }
-    }
+    result.urls = parseRobotsTxt(text).sitemaps;
     result.status = result.urls.length > 0 ? 'found' : 'no_sitemaps';
   } catch {
     result.status = 'error';
@@ -251,6 +235,125 @@ async function expandIndexes(sitemaps, depth = 0) {
   }
 }
 
+// ── Page URL extraction ─────────────────────────────────────────
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'");
+}
+
+/**
+ * Page URLs listed in the <urlset> sitemaps of a discoverSitemaps()
+ * result (indexes are already expanded into their children).
+ *
+ * @param {object} discovery – result of discoverSitemaps()
+ * @param {number} [limit]
+ * @returns {string[]} unique <loc> values, in sitemap order
+ */
+export function extractSitemapPageUrls(discovery, limit = 50000) {
+  const urls = new Set();
+  for (const sitemap of discovery?.sitemaps || []) {
+    if (sitemap.classification !== 'FOUND' || sitemap.isIndex || !sitemap.content) continue;
+    const regex = /<url[\s>][\s\S]*?<loc[^>]*>([\s\S]*?)<\/loc>/gi;
+    let m;
+    while ((m = regex.exec(sitemap.content)) !== null) {
+      const loc = decodeXmlEntities(m[1]).trim();
+      if (loc) urls.add(loc);
+      if (urls.size >= limit) return [...urls];
+    }
+  }
+  return [...urls];
+}
+
+/**
+ * hreflang annotations (`<xhtml:link rel="alternate" hreflang>`) in the
+ * <urlset> sitemaps of a discoverSitemaps() result.
+ *
+ * @param {object} discovery – result of discoverSitemaps()
+ * @param {number} [limit]   – max <url> entries with annotations
+ * @returns {Object<string, Array<{ hreflang: string, href: string }>>} <loc> -> alternates
+ */
+export function extractSitemapHreflang(discovery, limit = 50000) {
+  const annotations = {};
+  let count = 0;
+  for (const sitemap of discovery?.sitemaps || []) {
+    if (sitemap.classification !== 'FOUND' || sitemap.isIndex || !sitemap.content) continue;
+    for (const m of sitemap.content.matchAll(/<url[\s>]([\s\S]*?)<\/url>/gi)) {
+      const loc = m[1].match(/<loc[^>]*>([\s\S]*?)<\/loc>/i);
+      if (!loc) continue;
+      const alternates = [];
+      for (const link of m[1].matchAll(/<(?:\w+:)?link\b[^>]*>/gi)) {
+        const hreflang = link[0].match(/hreflang=["']([^"']*)["']/i);
+        const href = link[0].match(/href=["']([^"']*)["']/i);
+        if (hreflang && href && /rel=["']alternate["']/i.test(link[0])) {
+          alternates.push({ hreflang: hreflang[1].trim(), href: decodeXmlEntities(href[1]).trim() });
+        }
+      }
+      if (alternates.length === 0) continue;
+      annotations[decodeXmlEntities(loc[1]).trim()] = alternates;
+      if (++count >= limit) return annotations;
+    }
+  }
+  return annotations;
+}
+
+/**
+ * <priority> values and Google News entries in the <urlset> sitemaps of a
+ * discoverSitemaps() result. Only URLs with either are returned.
+ *
+ * @param {object} discovery – result of discoverSitemaps()
+ * @param {number} [limit]
+ * @returns {Object<string, { priority: number|null, news: boolean }>} <loc> -> entry
+ */
+export function extractSitemapPriorities(discovery, limit = 50000) {
+  const entries = {};
+  let count = 0;
+  for (const sitemap of discovery?.sitemaps || []) {
+    if (sitemap.classification !== 'FOUND' || sitemap.isIndex || !sitemap.content) continue;
+    for (const m of sitemap.content.matchAll(/<url[\s>]([\s\S]*?)<\/url>/gi)) {
+      const loc = m[1].match(/<loc[^>]*>([\s\S]*?)<\/loc>/i);
+      if (!loc) continue;
+      const priority = m[1].match(/<priority[^>]*>\s*([\d.]+)\s*<\/priority>/i);
+      const news = /<news:news[\s>]/i.test(m[1]);
+      if (!priority && !news) continue;
+      entries[decodeXmlEntities(loc[1]).trim()] = {
+        priority: priority ? Math.max(0, Math.min(1, Number(priority[1]) || 0)) : null,
+        news,
+      };
+      if (++count >= limit) return entries;
+    }
+  }
+  return entries;
+}
+
+/**
+ * Fetch one sitemap (expanding it if it is an index) and return its page
+ * URLs. Unlike discoverSitemaps() no other discovery strategy runs.
+ *
+ * @param {string} sitemapUrl
+ * @param {number} [limit]
+ * @returns {Promise<{ sitemaps: Array<{url:string, classification:string, httpStatus:number}>, urls: string[],
+ *                     hreflang: Object<string, Array<{hreflang:string, href:string}>>,
+ *                     priorities: Object<string, {priority:number|null, news:boolean}> }>}
+ */
+export async function fetchSitemapPageUrls(sitemapUrl, limit = 50000) {
+  const sitemaps = [await probe(sitemapUrl, 'override')];
+  await expandIndexes(sitemaps);
+  for (const s of sitemaps) delete s._expanded;
+
+  return {
+    sitemaps: sitemaps.map(s => ({ url: s.url, classification: s.classification, httpStatus: s.httpStatus })),
+    urls: extractSitemapPageUrls({ sitemaps }, limit),
+    hreflang: extractSitemapHreflang({ sitemaps }, limit),
+    priorities: extractSitemapPriorities({ sitemaps }, limit),
+  };
+}
+
 // ── Main Discovery Pipeline ─────────────────────────────────────
 
 export async function discoverSitemaps(baseUrl, html = '', overrideUrl = null) {
@@ -0,0 +1,129 @@
+/**
+ * Crawler politeness — per-host request pacing and adaptive backoff.
+ *
+ *   - Pacing: each host gets at most `maxRps` request starts per second,
+ *     slowed further to the robots.txt Crawl-delay when one is set.
+ *   - Backoff: throttling responses (429/503) and network errors push the
+ *     host's next slot out by Retry-After when present, otherwise by an
+ *     exponential delay with full jitter.
+ *   - Stats: time spent waiting for slots and in backoff, so the crawl
+ *     summary shows how much of the duration was throttling.
+ */
+
+export const THROTTLE_STATUSES = new Set([429, 503]);
+
+const DEFAULT_MAX_RPS = 2;
+const DEFAULT_BACKOFF_BASE_MS = 1000;
+const DEFAULT_BACKOFF_MAX_MS = 60000;
+const MAX_CRAWL_DELAY_S = 30; // ignore absurd Crawl-delay values rather than stall for hours
+
+/**
+ * Sleep that resolves early when the signal aborts.
+ */
+function sleep(ms, signal) {
+  if (ms <= 0 || signal?.aborted) return Promise.resolve();
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into ms.
+ * Returns null when absent or unparseable.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) return Number(trimmed) * 1000;
+  const date = Date.parse(trimmed);
+  if (isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Create a per-host throttle.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.maxRps]        – request starts per second per host
+ * @param {number} [opts.crawlDelay]    – robots.txt Crawl-delay in seconds (null = none)
+ * @param {number} [opts.backoffBaseMs]
+ * @param {number} [opts.backoffMaxMs]  – cap for computed and Retry-After delays
+ * @param {object} [opts.stats]         – counters from a previous run (resume)
+ */
+export function createHostThrottle(opts = {}) {
+  const maxRps = opts.maxRps > 0 ? opts.maxRps : DEFAULT_MAX_RPS;
+  const crawlDelayS = opts.crawlDelay > 0 ? Math.min(opts.crawlDelay, MAX_CRAWL_DELAY_S) : 0;
+  const intervalMs = Math.max(1000 / maxRps, crawlDelayS * 1000);
+  const backoffBaseMs = opts.backoffBaseMs || DEFAULT_BACKOFF_BASE_MS;
+  const backoffMaxMs = opts.backoffMaxMs || DEFAULT_BACKOFF_MAX_MS;
+
+  const nextSlot = new Map(); // host -> earliest start time of the next request
+  const hostIntervals = new Map(); // host -> interval from that host's own Crawl-delay
+  const stats = {
+    throttled_ms: 0,          // time requests waited for a pacing/backoff slot
+    backoff_ms: 0,            // delay added by backoff alone
+    throttled_responses: 0,   // 429/503 responses seen
+    retries: 0,
+    retries_exhausted: 0,
+    ...opts.stats,
+  };
+
+  return {
+    intervalMs,
+
+    /**
+     * Wait for the next request slot on a host and reserve it.
+     */
+    async acquire(host, signal) {
+      const now = Date.now();
+      const start = Math.max(now, nextSlot.get(host) || 0);
+      nextSlot.set(host, start + (hostIntervals.get(host) ?? intervalMs));
+      const wait = start - now;
+      if (wait > 0) {
+        stats.throttled_ms += wait;
+        await sleep(wait, signal);
+      }
+    },
+
+    /**
+     * Record a throttled or failed attempt and push the host's next slot
+     * out. Returns the applied delay in ms.
+     *
+     * @param {string} host
+     * @param {number} attempt           – 0-based retry number for this URL
+     * @param {string|null} retryAfter   – raw Retry-After header, if any
+     */
+    backoff(host, attempt, retryAfter = null) {
+      const hinted = parseRetryAfter(retryAfter);
+      const exponential = Math.min(backoffMaxMs, backoffBaseMs * 2 ** attempt);
+      const delay = Math.min(backoffMaxMs, hinted !== null ? hinted : Math.round(Math.random() * exponential));
+      const until = Date.now() + delay;
+      if (until > (nextSlot.get(host) || 0)) nextSlot.set(host, until);
+      stats.backoff_ms += delay;
+      return delay;
+    },
+
+    /**
+     * Pace a host by its own robots.txt Crawl-delay (seconds) instead of
+     * the default — for crawls that span several hosts.
+     */
+    setCrawlDelay(host, crawlDelay) {
+      const delayS = crawlDelay > 0 ? Math.min(crawlDelay, MAX_CRAWL_DELAY_S) : 0;
+      hostIntervals.set(host, Math.max(1000 / maxRps, delayS * 1000));
+    },
+
+    recordThrottled() { stats.throttled_responses++; },
+    recordRetry() { stats.retries++; },
+    recordExhausted() { stats.retries_exhausted++; },
+
+    stats() {
+      return { ...stats };
+    },
+  };
+}
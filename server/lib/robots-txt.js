@@ -0,0 +1,280 @@
+/**
+ * robots.txt engine (RFC 9309).
+ *
+ *   - Groups: consecutive user-agent lines share one group; the crawler
+ *     obeys the most specific matching group (exact product token, then the
+ *     longest hyphenated prefix, e.g. googlebot-image → googlebot, then *).
+ *     Groups naming the same agent are merged.
+ *   - Patterns: `*` matches any sequence, a trailing `$` anchors the end.
+ *   - Precedence: longest matching pattern wins; allow wins ties.
+ *   - Extras: Crawl-delay per group, Sitemap directives (global),
+ *     per-line parse warnings.
+ *
+ * Shared by the crawler, technical checks, sitemap discovery and the
+ * robots tester route so all of them interpret robots.txt the same way.
+ */
+
+const MAX_ROBOTS_BYTES = 500 * 1024; // RFC 9309 §2.5: parse at least 500 KiB
+
+const KNOWN_NONSTANDARD = new Set(['host', 'clean-param', 'noindex', 'request-rate', 'visit-time']);
+
+// Common misspellings that major crawlers still honor
+const KEY_ALIASES = {
+  'useragent': 'user-agent',
+  'user agent': 'user-agent',
+  'disalow': 'disallow',
+  'dissallow': 'disallow',
+  'dissalow': 'disallow',
+  'crawldelay': 'crawl-delay',
+  'site-map': 'sitemap',
+};
+
+// ── Pattern helpers ─────────────────────────────────────────────
+
+/** Normalize percent-encoding so `/caf%c3%a9`, `/café` and `/CAF%C3%A9` compare equal. */
+function normalizeEncoding(str) {
+  try {
+    return encodeURI(decodeURI(str));
+  } catch {
+    return str;
+  }
+}
+
+function compilePattern(pattern) {
+  const normalized = normalizeEncoding(pattern);
+  const anchored = normalized.endsWith('$');
+  const body = anchored ? normalized.slice(0, -1) : normalized;
+  const source = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/** Path + query of a URL or path string, as matched against rules. */
+function matchTarget(urlOrPath) {
+  if (/^https?:\/\//i.test(urlOrPath)) {
+    try {
+      const u = new URL(urlOrPath);
+      return normalizeEncoding(u.pathname + u.search);
+    } catch { /* fall through */ }
+  }
+  const path = urlOrPath.startsWith('/') ? urlOrPath : `/${urlOrPath}`;
+  return normalizeEncoding(path.split('#')[0]);
+}
+
+/**
+ * Product token used for group matching, derived from a full User-Agent
+ * string: "Mozilla/5.0 (compatible; Googlebot/2.1; +http://…)" → "googlebot".
+ */
+export function robotsProductToken(userAgent = '*') {
+  const ua = String(userAgent).trim();
+  const compatible = ua.match(/compatible;\s*([A-Za-z0-9_-]+)/i);
+  const token = compatible ? compatible[1] : (ua.match(/^[A-Za-z0-9_*-]+/) || ['*'])[0];
+  return token.toLowerCase();
+}
+
+// ── Parser ──────────────────────────────────────────────────────
+
+/**
+ * Parse robots.txt content.
+ *
+ * @param {string} text
+ * @returns {{ groups: Array<{agents:string[], rules:Array<{type:string, pattern:string, line:number}>, crawlDelay:number|null, line:number}>,
+ *             sitemaps: string[], warnings: Array<{line:number, message:string}> }}
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  const warnings = [];
+
+  let content = String(text || '').replace(/^\uFEFF/, '');
+  if (Buffer.byteLength(content, 'utf-8') > MAX_ROBOTS_BYTES) {
+    content = Buffer.from(content, 'utf-8').subarray(0, MAX_ROBOTS_BYTES).toString('utf-8');
+    warnings.push({ line: 0, message: 'robots.txt exceeds 500 KiB; content beyond the limit was ignored' });
+  }
+
+  let current = null;       // group currently receiving records
+  let collectingAgents = false;
+
+  const lines = content.split(/\r\n|\r|\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = i + 1;
+    const line = lines[i].replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const sep = line.indexOf(':');
+    if (sep === -1) {
+      warnings.push({ line: lineNo, message: `Missing ":" separator: "${line.substring(0, 80)}"` });
+      continue;
+    }
+
+    const rawKey = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+    const key = KEY_ALIASES[rawKey] || rawKey;
+    if (key !== rawKey) {
+      warnings.push({ line: lineNo, message: `Misspelled directive "${rawKey}" interpreted as "${key}"` });
+    }
+
+    switch (key) {
+      case 'user-agent': {
+        const agent = value.split('/')[0].trim().toLowerCase();
+        if (!agent) {
+          warnings.push({ line: lineNo, message: 'Empty user-agent value' });
+          break;
+        }
+        if (agent !== '*' && !/^[a-z0-9_-]+$/.test(agent)) {
+          warnings.push({ line: lineNo, message: `User-agent "${value}" contains characters outside a product token` });
+        }
+        if (!current || !collectingAgents) {
+          current = { agents: [], rules: [], crawlDelay: null, line: lineNo };
+          groups.push(current);
+          collectingAgents = true;
+        }
+        current.agents.push(agent);
+        break;
+      }
+
+      case 'allow':
+      case 'disallow': {
+        collectingAgents = false;
+        if (!current) {
+          warnings.push({ line: lineNo, message: `${key} rule before any user-agent line is ignored` });
+          break;
+        }
+        if (!value) break; // empty disallow = allow everything; empty allow is a no-op
+        let pattern = value;
+        if (!pattern.startsWith('/') && !pattern.startsWith('*')) {
+          warnings.push({ line: lineNo, message: `Path "${value}" should start with "/" or "*"` });
+          pattern = `/${pattern}`;
+        }
+        const rule = { type: key, pattern, line: lineNo };
+        Object.defineProperty(rule, 'regex', { value: compilePattern(pattern), enumerable: false });
+        current.rules.push(rule);
+        break;
+      }
+
+      case 'crawl-delay': {
+        collectingAgents = false;
+        if (!current) {
+          warnings.push({ line: lineNo, message: 'Crawl-delay before any user-agent line is ignored' });
+          break;
+        }
+        const delay = Number(value);
+        if (!value || isNaN(delay) || delay < 0) {
+          warnings.push({ line: lineNo, message: `Invalid crawl-delay value "${value}"` });
+          break;
+        }
+        current.crawlDelay = delay;
+        break;
+      }
+
+      case 'sitemap': {
+        try {
+          const u = new URL(value);
+          if (u.protocol !== 'http:' && u.protocol !== 'https:') throw new Error('scheme');
+          sitemaps.push(u.href);
+        } catch {
+          warnings.push({ line: lineNo, message: `Sitemap must be an absolute http(s) URL: "${value}"` });
+        }
+        break;
+      }
+
+      default:
+        warnings.push({
+          line: lineNo,
+          message: KNOWN_NONSTANDARD.has(key)
+            ? `Non-standard directive "${key}" is ignored by Google`
+            : `Unknown directive "${key}"`,
+        });
+    }
+  }
+
+  return { groups, sitemaps: [...new Set(sitemaps)], warnings };
+}
+
+/**
+ * A robots object that disallows everything — RFC 9309 §2.3.1.4 requires
+ * crawlers to assume complete disallow when robots.txt is unreachable (5xx).
+ */
+export function disallowAllRobots(reason) {
+  const rule = { type: 'disallow', pattern: '/', line: 0 };
+  Object.defineProperty(rule, 'regex', { value: compilePattern('/'), enumerable: false });
+  return {
+    groups: [{ agents: ['*'], rules: [rule], crawlDelay: null, line: 0 }],
+    sitemaps: [],
+    warnings: [{ line: 0, message: reason }],
+  };
+}
+
+// ── Matching ────────────────────────────────────────────────────
+
+/**
+ * The merged group that applies to a user agent, or null when no group
+ * (not even `*`) matches.
+ */
+export function selectRobotsGroup(robots, userAgent) {
+  if (!robots) return null;
+  const token = robotsProductToken(userAgent);
+
+  let bestAgent = null;
+  for (const group of robots.groups) {
+    for (const agent of group.agents) {
+      if (agent === '*') continue;
+      const matches = agent === token || token.startsWith(`${agent}-`);
+      if (matches && (!bestAgent || agent.length > bestAgent.length)) bestAgent = agent;
+    }
+  }
+  const selected = bestAgent || '*';
+
+  const matched = robots.groups.filter(g => g.agents.includes(selected));
+  if (matched.length === 0) return null;
+
+  const delays = matched.map(g => g.crawlDelay).filter(d => d !== null);
+  return {
+    agent: selected,
+    rules: matched.flatMap(g => g.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    lines: matched.map(g => g.line),
+  };
+}
+
+/**
+ * Evaluate a URL (or path) for a user agent.
+ *
+ * @returns {{ allowed: boolean, rule: {type:string, pattern:string, line:number}|null, agent: string|null }}
+ */
+export function matchRobots(robots, userAgent, urlOrPath) {
+  const target = matchTarget(urlOrPath);
+  if (target === '/robots.txt') return { allowed: true, rule: null, agent: null };
+
+  const group = selectRobotsGroup(robots, userAgent);
+  if (!group) return { allowed: true, rule: null, agent: null };
+
+  let best = null;
+  for (const rule of group.rules) {
+    if (!rule.regex.test(target)) continue;
+    if (
+      !best ||
+      rule.pattern.length > best.pattern.length ||
+      (rule.pattern.length === best.pattern.length && rule.type === 'allow' && best.type === 'disallow')
+    ) {
+      best = rule;
+    }
+  }
+
+  return {
+    allowed: !best || best.type === 'allow',
+    rule: best ? { type: best.type, pattern: best.pattern, line: best.line } : null,
+    agent: group.agent,
+  };
+}
+
+export function isAllowedByRobots(robots, userAgent, urlOrPath) {
+  return matchRobots(robots, userAgent, urlOrPath).allowed;
+}
+
+/** Crawl-delay (seconds) for a user agent, or null if none is set. */
+export function getCrawlDelay(robots, userAgent) {
+  return selectRobotsGroup(robots, userAgent)?.crawlDelay ?? null;
+}
@@ -9,8 +9,16 @@
  * (default: http://localhost:5000).  When the sidecar is unreachable the
  * client falls back to native fetch() so the app keeps working without
  * the Python service running.
+ *
+ * Pages fetched by the sidecar are logged in the current audit's request
+ * log (and HAR export) with the fetcher that produced them. With
+ * HTTP_FIXTURES_MODE set, sidecar results are recorded to or replayed
+ * from disk like every other response (http-fixtures.js).
  */
 
+import { httpFetch, recordExternalFetch } from './http-client.js';
+import { fixturesMode, recordSidecarFixture, replaySidecarFixture } from './http-fixtures.js';
+
 const SIDECAR_BASE = (process.env.SCRAPLING_SIDECAR_URL || 'http://localhost:5000').replace(/\/+$/, '');
 
 // Cache the health-check result for 60 s so we don't probe on every request.
@@ -19,9 +27,11 @@ let _healthCheckedAt = 0;
 const HEALTH_TTL_MS = 60_000;
 
 /**
- * Returns true when the sidecar is reachable and healthy.
+ * Returns true when the sidecar is reachable and healthy. In fixture
+ * replay mode, whether it was when the fixtures were recorded.
  */
 async function isSidecarAvailable() {
+  if (fixturesMode() === 'replay') return (await replaySidecarFixture({ action: 'health' }))?.healthy === true;
   const now = Date.now();
   if (_healthy !== null && now - _healthCheckedAt < HEALTH_TTL_MS) return _healthy;
 
@@ -35,9 +45,41 @@ async function isSidecarAvailable() {
     _healthy = false;
   }
   _healthCheckedAt = now;
+  if (fixturesMode() === 'record') await recordSidecarFixture({ action: 'health' }, { healthy: _healthy });
   return _healthy;
 }
 
+/** Log one sidecar result (or failure) in the current audit context. */
+function logSidecarFetch(url, result, opts, startedAt) {
+  recordExternalFetch({
+    url,
+    via: result.fetcher || (opts.headless ? 'StealthyFetcher' : 'Fetcher'),
+    module: opts.module,
+    userAgent: opts.userAgent,
+    startedAt,
+    durationMs: result.elapsed_ms ?? Date.now() - startedAt,
+    status: result.status,
+    headers: result.headers,
+    bodySize: typeof result.html === 'string' ? Buffer.byteLength(result.html) : undefined,
+    error: result.error,
+  });
+}
+
+/** The fixture request for one URL fetched with `payload`'s options. */
+function fixtureRequest(url, payload) {
+  return { action: 'fetch', url, headless: !!payload.headless, user_agent: payload.user_agent || null };
+}
+
+/** The recorded result for one URL, or an error result when there is none. */
+async function replayResult(url, payload) {
+  return await replaySidecarFixture(fixtureRequest(url, payload)) ?? {
+    url,
+    error: `no fixture for sidecar fetch of ${url}`,
+    fetcher: payload.headless ? 'StealthyFetcher' : 'Fetcher',
+    elapsed_ms: 0,
+  };
+}
+
 /**
  * Fetch a page via the Scrapling sidecar.
  *
@@ -46,6 +88,7 @@ async function isSidecarAvailable() {
  * @param {number} [opts.timeout]    – seconds (default 20, max 60)
  * @param {string} [opts.userAgent]  – custom User-Agent
  * @param {boolean}[opts.headless]   – use browser-mode fetcher
+ * @param {string} [opts.module]     – requesting module, for the request log
  * @returns {Promise<{html:string, status:number, headers:object, url:string, elapsed_ms:number}>}
  */
 async function scraplingFetch(url, opts = {}) {
@@ -56,9 +99,18 @@ async function scraplingFetch(url, opts = {}) {
   if (opts.userAgent) payload.user_agent = opts.userAgent;
   if (opts.headless) payload.headless = true;
 
+  const startedAt = Date.now();
+  if (fixturesMode() === 'replay') {
+    const data = await replayResult(url, payload);
+    logSidecarFetch(url, data, opts, startedAt);
+    if (data.error) throw new Error(data.error);
+    return data;
+  }
+
   const ctrl = new AbortController();
   const timer = setTimeout(() => ctrl.abort(), (payload.timeout + 10) * 1000);
 
+  let data;
   try {
     const res = await fetch(`${SIDECAR_BASE}/fetch`, {
       method: 'POST',
@@ -68,22 +120,36 @@ async function scraplingFetch(url, opts = {}) {
     });
     clearTimeout(timer);
 
-    const data = await res.json();
+    data = await res.json();
     if (!res.ok || data.error) {
       throw new Error(data.error || `Sidecar returned ${res.status}`);
     }
-    return data;
+  } catch (err) {
+    const result = { ...data, error: err.name === 'AbortError' ? 'timeout' : err.message };
+    // A failed page fetch is recorded; an unreachable sidecar is not
+    if (data && fixturesMode() === 'record') await recordSidecarFixture(fixtureRequest(url, payload), result);
+    logSidecarFetch(url, result, opts, startedAt);
+    throw err;
   } finally {
     clearTimeout(timer);
   }
+  if (fixturesMode() === 'record') await recordSidecarFixture(fixtureRequest(url, payload), data);
+  logSidecarFetch(url, data, opts, startedAt);
+  return data;
 }
 
 /**
- * Fetch multiple URLs via the sidecar batch endpoint.
+ * Fetch multiple URLs via the sidecar batch endpoint. The sidecar fetches
+ * them one after another, so the request timeout scales with the batch.
  *
- * @param {string[]} urls
+ * @param {string[]} urls    – at most 20
  * @param {object}   [opts]
- * @returns {Promise<Array<{url:string, html?:string, status?:number, headers?:object, error?:string, elapsed_ms:number}>>}
+ * @param {number}   [opts.timeout]   – seconds per URL (default 20, max 60)
+ * @param {string}   [opts.userAgent]
+ * @param {boolean}  [opts.headless]  – render each URL with the browser-mode fetcher
+ * @param {string}   [opts.module]    – requesting module, for the request log
+ * @returns {Promise<Array<{requested_url:string, url:string, html?:string, status?:number, headers?:object, fetcher:string, error?:string, elapsed_ms:number}>>}
+ *          in request order
  */
 async function scraplingFetchBatch(urls, opts = {}) {
   const payload = {
@@ -91,10 +157,33 @@ async function scraplingFetchBatch(urls, opts = {}) {
     timeout: opts.timeout ?? 20,
   };
   if (opts.userAgent) payload.user_agent = opts.userAgent;
+  if (opts.headless) payload.headless = true;
 
+  const startedAt = Date.now();
+  let data;
+  if (fixturesMode() === 'replay') {
+    const results = [];
+    for (const url of urls) results.push({ ...await replayResult(url, payload), requested_url: url });
+    data = { results };
+  } else {
+    data = await fetchBatch(urls, payload, opts, startedAt);
+  }
+
+  // The sidecar fetches one URL after the other
+  let fetchStart = startedAt;
+  data.results.forEach((result, i) => {
+    logSidecarFetch(urls[i], result, opts, fetchStart);
+    fetchStart += result.elapsed_ms || 0;
+  });
+  return data.results;
+}
+
+/** POST a batch to the sidecar, recording each result in fixture record mode. */
+async function fetchBatch(urls, payload, opts, startedAt) {
   const ctrl = new AbortController();
-  const timer = setTimeout(() => ctrl.abort(), (payload.timeout + 15) * 1000);
+  const timer = setTimeout(() => ctrl.abort(), (payload.timeout * urls.length + 15) * 1000);
 
+  let data;
   try {
     const res = await fetch(`${SIDECAR_BASE}/fetch-batch`, {
       method: 'POST',
@@ -104,12 +193,22 @@ async function scraplingFetchBatch(urls, opts = {}) {
     });
     clearTimeout(timer);
 
-    const data = await res.json();
+    data = await res.json();
     if (!res.ok) throw new Error(data.error || `Sidecar returned ${res.status}`);
-    return data.results;
+  } catch (err) {
+    const error = err.name === 'AbortError' ? 'timeout' : err.message;
+    for (const url of urls) logSidecarFetch(url, { error }, opts, startedAt);
+    throw err;
   } finally {
     clearTimeout(timer);
   }
+
+  if (fixturesMode() === 'record') {
+    for (const [i, { requested_url: requestedUrl, ...result }] of data.results.entries()) {
+      await recordSidecarFixture(fixtureRequest(requestedUrl ?? urls[i], payload), result);
+    }
+  }
+  return data;
 }
 
 /**
@@ -121,6 +220,7 @@ async function scraplingFetchBatch(urls, opts = {}) {
  * @param {number} [opts.timeout]   – seconds
  * @param {string} [opts.userAgent]
  * @param {boolean}[opts.headless]
+ * @param {string} [opts.module]   – requesting module, for the request log of the fallback
  * @returns {Promise<{html:string, status:number, headers:object, url:string, elapsed_ms:number, source:'scrapling'|'native'}>}
  */
 async function smartFetch(url, opts = {}) {
@@ -135,38 +235,27 @@ async function smartFetch(url, opts = {}) {
     }
   }
 
-  // ---- native fetch fallback ----
-  const timeoutMs = (opts.timeout ?? 15) * 1000;
-  const ctrl = new AbortController();
-  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  // ---- native fetch fallback (shared HTTP client) ----
   const start = Date.now();
+  const res = await httpFetch(url, {
+    module: opts.module || 'scrapling_fallback',
+    timeoutMs: (opts.timeout ?? 15) * 1000,
+    userAgent: opts.userAgent,
+    headers: { 'Accept': 'text/html,application/xhtml+xml' },
+  });
 
-  try {
-    const res = await fetch(url, {
-      signal: ctrl.signal,
-      redirect: 'follow',
-      headers: {
-        'User-Agent': opts.userAgent || 'Mozilla/5.0 (compatible; SEO-Analyzer/1.0)',
-        'Accept': 'text/html,application/xhtml+xml',
-      },
-    });
-    clearTimeout(timer);
+  const html = await res.text();
+  const headers = {};
+  res.headers.forEach((v, k) => { headers[k] = v; });
 
-    const html = await res.text();
-    const headers = {};
-    res.headers.forEach((v, k) => { headers[k] = v; });
-
-    return {
-      html,
-      status: res.status,
-      headers,
-      url: res.url,
-      elapsed_ms: Date.now() - start,
-      source: 'native',
-    };
-  } finally {
-    clearTimeout(timer);
-  }
+  return {
+    html,
+    status: res.status,
+    headers,
+    url: res.url,
+    elapsed_ms: Date.now() - start,
+    source: 'native',
+  };
 }
 
 /** Reset health cache (useful for tests). */
@@ -0,0 +1,154 @@
+/**
+ * Custom search rules — find crawled pages that contain (or are missing)
+ * a piece of text or a regular expression, e.g. an old GTM container id
+ * or the consent manager script.
+ *
+ * A rule:
+ *   { name: 'old_gtm', query: 'GTM-ABC123' }
+ *   { name: 'no_consent', query: 'cdn\\.cookielaw\\.org', regex: true, mode: 'not_contains' }
+ *   { name: 'lorem', query: 'lorem ipsum', target: 'text', case_sensitive: false }
+ *
+ * `target` is the raw HTML (default) or the visible text; `mode` is
+ * contains (default) or not_contains. Matching is case-insensitive
+ * unless `case_sensitive` is set.
+ */
+
+import { extractTextContent } from './technical-checks.js';
+
+export const SEARCH_MODES = ['contains', 'not_contains'];
+export const SEARCH_TARGETS = ['html', 'text'];
+
+const MAX_RULES = 25;
+const MAX_QUERY_LENGTH = 500;
+const MAX_PAGES_PER_RULE = 500;
+const MAX_SNIPPETS = 3;
+const SNIPPET_CONTEXT = 60; // characters on each side of a match
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate search rules from a request body.
+ *
+ * @returns {{ rules: Array<object>, error?: string }}
+ *          rules are plain (checkpoint-safe) objects with camelCase keys
+ */
+export function parseSearchRules(raw) {
+  if (raw === undefined || raw === null) return { rules: [] };
+  if (!Array.isArray(raw)) return { rules: [], error: 'search_rules must be an array' };
+  if (raw.length > MAX_RULES) return { rules: [], error: `At most ${MAX_RULES} search rules are allowed` };
+
+  const rules = [];
+  const names = new Set();
+  for (const [i, r] of raw.entries()) {
+    const label = `search_rules[${i}]`;
+    if (!r || typeof r !== 'object') return { rules: [], error: `${label} must be an object` };
+
+    const query = String(r.query ?? '');
+    if (!query || query.length > MAX_QUERY_LENGTH) {
+      return { rules: [], error: `${label}.query must be 1-${MAX_QUERY_LENGTH} characters` };
+    }
+    const name = String(r.name || `rule_${i + 1}`).trim();
+    if (names.has(name)) return { rules: [], error: `Duplicate search rule name: ${name}` };
+    names.add(name);
+
+    const mode = r.mode || 'contains';
+    if (!SEARCH_MODES.includes(mode)) return { rules: [], error: `${label}.mode must be one of ${SEARCH_MODES.join(', ')}` };
+    const target = r.target || 'html';
+    if (!SEARCH_TARGETS.includes(target)) {
+      return { rules: [], error: `${label}.target must be one of ${SEARCH_TARGETS.join(', ')}` };
+    }
+
+    const rule = {
+      name,
+      query,
+      regex: r.regex === true || r.regex === 'true',
+      caseSensitive: r.case_sensitive === true || r.case_sensitive === 'true',
+      mode,
+      target,
+    };
+    try {
+      new RegExp(rule.regex ? query : escapeRegex(query));
+    } catch (e) {
+      return { rules: [], error: `${label}: ${e.message}` };
+    }
+    rules.push(rule);
+  }
+  return { rules };
+}
+
+function snippetAt(source, index, length) {
+  const start = Math.max(0, index - SNIPPET_CONTEXT);
+  const end = Math.min(source.length, index + length + SNIPPET_CONTEXT);
+  return `${start > 0 ? '…' : ''}${source.slice(start, end).replace(/\s+/g, ' ')}${end < source.length ? '…' : ''}`;
+}
+
+/**
+ * Build a page searcher for validated rules.
+ *
+ * @param {Array<object>} rules – parseSearchRules() output
+ * @returns {(html: string) => object} page HTML -> { [rule name]: { count, snippets } }
+ */
+export function createSearcher(rules) {
+  const compiled = rules.map(rule => ({
+    ...rule,
+    re: new RegExp(rule.regex ? rule.query : escapeRegex(rule.query), rule.caseSensitive ? 'g' : 'gi'),
+  }));
+  const needsText = compiled.some(r => r.target === 'text');
+
+  return (html) => {
+    const text = needsText ? extractTextContent(html) : '';
+    const hits = {};
+    for (const rule of compiled) {
+      const source = rule.target === 'text' ? text : html;
+      let count = 0;
+      const snippets = [];
+      for (const m of source.matchAll(rule.re)) {
+        count++;
+        if (snippets.length < MAX_SNIPPETS) snippets.push(snippetAt(source, m.index, m[0].length));
+      }
+      hits[rule.name] = { count, snippets };
+    }
+    return hits;
+  };
+}
+
+/**
+ * Per-rule report over crawled pages carrying searcher hits (`page._search`).
+ * contains rules list the pages with matches, most matches first; not_contains
+ * rules list the searched pages without any. At most MAX_PAGES_PER_RULE
+ * pages are listed per rule.
+ */
+export function summarizeSearch(rules, pages) {
+  const searched = pages.filter(p => p._search);
+  return rules.map((rule) => {
+    const report = {
+      name: rule.name,
+      query: rule.query,
+      regex: rule.regex,
+      mode: rule.mode,
+      target: rule.target,
+      pages_searched: searched.length,
+      matched_pages: 0,
+      total_matches: 0,
+      pages: [],
+    };
+    const matches = [];
+    for (const page of searched) {
+      const hit = page._search[rule.name];
+      report.total_matches += hit.count;
+      const matched = rule.mode === 'contains' ? hit.count > 0 : hit.count === 0;
+      if (!matched) continue;
+      matches.push(rule.mode === 'contains'
+        ? { url: page.url, count: hit.count, snippets: hit.snippets }
+        : { url: page.url });
+    }
+    report.matched_pages = matches.length;
+    // Rank every match before capping, so the list is the top pages by count
+    report.pages = matches
+      .sort((a, b) => (b.count || 0) - (a.count || 0))
+      .slice(0, MAX_PAGES_PER_RULE);
+    return report;
+  });
+}
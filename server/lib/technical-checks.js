@@ -7,6 +7,9 @@
  * are resolved via the async `runRemoteChecks`).
  */
 
+import { parseRobotsTxt } from './robots-txt.js';
+import { httpFetch } from './http-client.js';
+
 // ── HTML helpers ────────────────────────────────────────────────
 
 export function extractTextContent(html) {
@@ -18,6 +21,26 @@ export function extractTextContent(html) {
     .trim();
 }
 
+const MAX_UNCLOSED_ANCHOR_HTML = 1000; // inner HTML kept for an <a> without </a>
+
+/**
+ * Every <a> start tag with its attribute string and inner HTML. The inner
+ * HTML runs to the closing </a>, or to the next <a> when the anchor is
+ * never closed, so links in malformed markup are still found.
+ */
+export function extractAnchors(html) {
+  const starts = [...html.matchAll(/<a\b([^>]*)>/gi)];
+  return starts.map((m, i) => {
+    const from = m.index + m[0].length;
+    const to = i + 1 < starts.length ? starts[i + 1].index : html.length;
+    const close = html.slice(from, to).search(/<\/a\s*>/i);
+    return {
+      attrs: m[1],
+      inner: html.slice(from, close === -1 ? Math.min(to, from + MAX_UNCLOSED_ANCHOR_HTML) : from + close),
+    };
+  });
+}
+
 export function countWords(text) {
   return text.split(/\s+/).filter(w => w.length > 0).length;
 }
@@ -196,22 +219,76 @@ export function calculateOrphanRisk(internalLinkCount, pageDepth) {
   return Math.min(risk, 100);
 }
 
+// ── Per-page extraction (crawler) ──────────────────────────────
+
+/** Distinct JSON-LD @type values, looking inside arrays and @graph. */
+function structuredDataTypes(data) {
+  const types = new Set();
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== 'object') return;
+    if (node['@graph']) visit(node['@graph']);
+    for (const t of [].concat(node['@type'] || [])) types.add(String(t));
+  };
+  visit(data);
+  return [...types];
+}
+
+/**
+ * Compact, network-free technical record for one crawled page: the same
+ * extractors analyzeTechnical uses, without robots/sitemap/redirect/
+ * broken-link checks and without the heavy content analysis.
+ */
+export function extractPageTechnical(html, url) {
+  const meta = extractMeta(html);
+  const wordCount = countWords(extractTextContent(html));
+  const headings = extractAllHeadings(html);
+  const metaRobots = detectMetaRobots(html);
+  const structuredData = extractStructuredData(html);
+  const links = countLinks(html, url);
+
+  return {
+    meta: {
+      title: meta.title, description: meta.description, h1: meta.h1,
+      word_count: wordCount, language: detectLanguage(html),
+    },
+    technical: {
+      missing_title: !meta.title, missing_description: !meta.description,
+      title_length: meta.title ? meta.title.length : 0,
+      description_length: meta.description ? meta.description.length : 0,
+      heading_counts: Object.fromEntries(Object.entries(headings).map(([tag, list]) => [tag, list.length])),
+      canonical_url: extractCanonical(html), canonical_conflict: detectCanonicalConflict(html, url),
+      noindex: metaRobots.noindex, nofollow: metaRobots.nofollow,
+      hreflang_tags: extractHreflangTags(html),
+      structured_data_types: structuredDataTypes(structuredData.data),
+      structured_data_valid: structuredData.valid,
+      missing_alt_tags: countMissingAltTags(html),
+      internal_link_count: links.internal, external_link_count: links.external,
+      viewport_meta: detectMobileFriendly(html).viewport,
+    },
+  };
+}
+
 // ── Remote checks (require network) ────────────────────────────
 
 export async function fetchRobotsTxt(baseUrl) {
   try {
     const u = new URL(baseUrl);
-    const res = await fetch(`${u.protocol}//${u.host}/robots.txt`);
-    if (res.ok) return { valid: true, content: (await res.text()).substring(0, 500) };
+    const res = await httpFetch(`${u.protocol}//${u.host}/robots.txt`, { module: 'technical_checks' });
+    if (res.ok) {
+      const text = await res.text();
+      const robots = parseRobotsTxt(text);
+      return { valid: true, content: text.substring(0, 500), sitemaps: robots.sitemaps, warnings: robots.warnings };
+    }
   } catch { /* ignore */ }
-  return { valid: false, content: null };
+  return { valid: false, content: null, sitemaps: [], warnings: [] };
 }
 
 export async function checkSitemapXml(baseUrl) {
   try {
     const u = new URL(baseUrl);
     const url = `${u.protocol}//${u.host}/sitemap.xml`;
-    const res = await fetch(url);
+    const res = await httpFetch(url, { module: 'technical_checks' });
     return { valid: res.ok, location: res.ok ? url : null };
   } catch { /* ignore */ }
   return { valid: false, location: null };
@@ -221,7 +298,7 @@ export async function detectRedirectChain(url) {
   const chain = [url]; let current = url, max = 5;
   try {
     while (max-- > 0) {
-      const res = await fetch(current, { redirect: 'manual' });
+      const res = await httpFetch(current, { module: 'technical_checks', redirect: 'manual' });
       if (res.status >= 300 && res.status < 400) {
         const loc = res.headers.get('location');
         if (loc) { current = new URL(loc, current).href; chain.push(current); } else break;
@@ -231,13 +308,40 @@ export async function detectRedirectChain(url) {
   return chain;
 }
 
+/**
+ * Status of one link target: HEAD first, retried as GET when the server
+ * does not support HEAD (405/501). `status` is null when unreachable.
+ *
+ * @returns {Promise<{ status: number|null, ok: boolean, method: string|null, error: string|null }>}
+ */
+export async function checkLinkStatus(url, { userAgent = null, timeoutMs = 10000 } = {}) {
+  const request = async (method) => {
+    const res = await httpFetch(url, { module: 'link_status', method, timeoutMs, userAgent, cache: false });
+    await res.body?.cancel().catch(() => {});
+    return res.status;
+  };
+
+  try {
+    let method = 'HEAD';
+    let status = await request(method);
+    if (status === 405 || status === 501) {
+      method = 'GET';
+      status = await request(method);
+    }
+    return { status, ok: status >= 200 && status < 400, method, error: null };
+  } catch (err) {
+    return { status: null, ok: false, method: null, error: err.name === 'AbortError' ? 'Timeout' : (err.message || 'Fetch failed') };
+  }
+}
+
 export async function checkBrokenLinks(html, baseUrl) {
   let brokenInternal = 0, brokenExternal = 0;
+  const broken = [];
   const checked = new Set();
   try {
     const baseDomain = new URL(baseUrl).hostname;
-    for (const m of html.matchAll(/<a[^>]*href=["']([^"']*)["']/gi)) {
-      const href = m[1];
+    for (const anchor of extractAnchors(html)) {
+      const href = anchor.attrs.match(/href=["']([^"']*)["']/i)?.[1];
       if (!href || href.startsWith('#') || href.startsWith('javascript:') || href.startsWith('mailto:') || href.startsWith('tel:')) continue;
       let fullUrl, isInternal = false;
       try {
@@ -248,13 +352,17 @@ export async function checkBrokenLinks(html, baseUrl) {
       if (checked.has(fullUrl)) continue;
       checked.add(fullUrl);
       if (checked.size > 20) break;
-      try {
-        const res = await fetch(fullUrl, { method: 'HEAD', redirect: 'follow' });
-        if (!res.ok) { isInternal ? brokenInternal++ : brokenExternal++; }
-      } catch { isInternal ? brokenInternal++ : brokenExternal++; }
+      const result = await checkLinkStatus(fullUrl);
+      if (!result.ok) {
+        isInternal ? brokenInternal++ : brokenExternal++;
+        broken.push({
+          url: fullUrl, status: result.status, error: result.error, internal: isInternal,
+          anchor: extractTextContent(anchor.inner).substring(0, 100),
+        });
+      }
     }
   } catch { /* ignore */ }
-  return { internal: brokenInternal, external: brokenExternal };
+  return { internal: brokenInternal, external: brokenExternal, links: broken };
 }
 
 // ── Full technical analysis (HTML already fetched) ─────────────
@@ -292,6 +400,7 @@ export async function analyzeTechnical(html, url) {
     meta: { title: meta.title, description: meta.description, h1: meta.h1, word_count: wordCount, language },
     technical_seo: {
       robots_txt_content: robotsData.content, robots_txt_valid: robotsData.valid,
+      robots_txt_warnings: robotsData.warnings.slice(0, 20),
       sitemap_xml_valid: sitemapData.valid, sitemap_xml_location: sitemapData.location,
       canonical_url: canonical, canonical_conflict: canonicalConflict,
       redirect_chain: redirectChain, noindex: metaRobots.noindex, nofollow: metaRobots.nofollow,
@@ -300,6 +409,7 @@ export async function analyzeTechnical(html, url) {
       duplicate_title: false, duplicate_description: false,
       missing_title: !meta.title, missing_description: !meta.description,
       broken_internal_links: brokenLinks.internal, broken_external_links: brokenLinks.external,
+      broken_links: brokenLinks.links,
       missing_alt_tags: missingAltTags,
     },
     content_analysis: {
@@ -328,12 +438,15 @@ export function generateRecommendations(a) {
   if (a.technical_seo.missing_title) recs.push('CRITICAL: Add a title tag to your page');
   else if (!a.meta.title || a.meta.title.length < 10) recs.push('Add a descriptive title tag (50-60 characters recommended)');
   else if (a.meta.title.length > 70) recs.push('Title tag is too long, keep it under 60 characters');
+  if (a.technical_seo.duplicate_title) recs.push('Title is shared with other pages on the site, make it unique');
   if (a.technical_seo.missing_description) recs.push('CRITICAL: Add a meta description to your page');
   else if (!a.meta.description || a.meta.description.length < 10) recs.push('Add a meta description (150-160 characters recommended)');
   else if (a.meta.description.length > 170) recs.push('Meta description is too long, keep it under 160 characters');
+  if (a.technical_seo.duplicate_description) recs.push('Meta description is shared with other pages on the site, write a page-specific one');
   if (!a.meta.h1) recs.push('Add an H1 heading to your page');
   if (a.meta.word_count < 300) recs.push('Consider adding more content (minimum 300 words recommended)');
   if (!a.technical_seo.robots_txt_valid) recs.push('Add a robots.txt file to guide search engine crawlers');
+  if (a.technical_seo.robots_txt_warnings?.length > 0) recs.push(`Fix ${a.technical_seo.robots_txt_warnings.length} robots.txt syntax issue(s)`);
   if (!a.technical_seo.sitemap_xml_valid) recs.push('Add a sitemap.xml file to help search engines discover your pages');
   if (!a.technical_seo.canonical_url) recs.push('Add a canonical URL to prevent duplicate content issues');
   if (a.technical_seo.canonical_conflict) recs.push('WARNING: Canonical URL conflicts with page URL');
@@ -363,14 +476,14 @@ export function createErrorResponse(url, status) {
     url, status,
     meta: { title: null, description: null, h1: null, word_count: 0, language: null },
     technical_seo: {
-      robots_txt_content: null, robots_txt_valid: false,
+      robots_txt_content: null, robots_txt_valid: false, robots_txt_warnings: [],
       sitemap_xml_valid: false, sitemap_xml_location: null,
       canonical_url: null, canonical_conflict: false,
       redirect_chain: [], noindex: false, nofollow: false,
       hreflang_tags: [], structured_data: [], structured_data_valid: false,
       duplicate_title: false, duplicate_description: false,
       missing_title: true, missing_description: true,
-      broken_internal_links: 0, broken_external_links: 0, missing_alt_tags: 0,
+      broken_internal_links: 0, broken_external_links: 0, broken_links: [], missing_alt_tags: 0,
     },
     content_analysis: {
       headings: { h1: [], h2: [], h3: [], h4: [], h5: [], h6: [] },
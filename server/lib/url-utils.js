@@ -46,8 +46,11 @@ const DEFAULT_DENY_PATTERNS = [
 
 /**
  * Normalize a URL string. Returns null if the URL is invalid.
+ *
+ * `stripParams: false` keeps tracking / session parameters — used by the
+ * crawler's facet analysis, which needs to see every parameter.
  */
-export function normalizeUrl(raw, baseUrl) {
+export function normalizeUrl(raw, baseUrl, { stripParams = true } = {}) {
   try {
     const url = new URL(raw, baseUrl);
 
@@ -62,7 +65,7 @@ export function normalizeUrl(raw, baseUrl) {
     url.hash = '';
 
     // Remove tracking / noise params
-    for (const key of [...url.searchParams.keys()]) {
+    for (const key of stripParams ? [...url.searchParams.keys()] : []) {
       if (STRIP_PARAMS.has(key.toLowerCase())) {
         url.searchParams.delete(key);
       }
@@ -91,11 +94,24 @@ export function normalizeUrl(raw, baseUrl) {
   }
 }
 
+/**
+ * Whether a query parameter is one normalizeUrl() strips (tracking,
+ * session or cache-buster).
+ */
+export function isStrippedParam(key) {
+  return STRIP_PARAMS.has(String(key).toLowerCase());
+}
+
 /**
  * Check if a URL matches the default deny patterns or custom deny regex list.
  * Returns true if the URL should be blocked.
+ *
+ * `useDefaultPatterns: false` skips the built-in trap patterns — used when
+ * the URLs were chosen explicitly (list mode) rather than discovered.
+ * `ignoreQuery: true` tests the built-in patterns against the URL without
+ * its query string, so parameterized URLs are crawled (facet analysis).
  */
-export function shouldDenyUrl(urlString, { denyPatterns = [], allowPatterns = [] } = {}) {
+export function shouldDenyUrl(urlString, { denyPatterns = [], allowPatterns = [], useDefaultPatterns = true, ignoreQuery = false } = {}) {
   // If allow patterns are specified, the URL must match at least one
   if (allowPatterns.length > 0) {
     const allowed = allowPatterns.some(p => {
@@ -111,56 +127,13 @@ export function shouldDenyUrl(urlString, { denyPatterns = [], allowPatterns = []
     if (re.test(urlString)) return true;
   }
 
+  if (!useDefaultPatterns) return false;
+
   // Check default deny patterns
+  const target = ignoreQuery ? urlString.split('?')[0] : urlString;
   for (const re of DEFAULT_DENY_PATTERNS) {
-    if (re.test(urlString)) return true;
+    if (re.test(target)) return true;
   }
 
   return false;
 }
-
-/**
- * Simple robots.txt parser. Returns a function that checks if a path is allowed
- * for the given user-agent.
- */
-export function parseRobotsTxt(robotsTxt, userAgent = '*') {
-  const lines = robotsTxt.split('\n').map(l => l.trim());
-  const rules = [];       // { type: 'allow'|'disallow', path: string }
-  let capturing = false;
-  const ua = userAgent.toLowerCase();
-
-  for (const line of lines) {
-    const lower = line.toLowerCase();
-
-    if (lower.startsWith('user-agent:')) {
-      const agent = lower.replace('user-agent:', '').trim();
-      // Check if this section targets our user-agent or *
-      capturing = (agent === '*' || agent === ua || ua.includes(agent));
-      continue;
-    }
-
-    if (!capturing) continue;
-
-    if (lower.startsWith('disallow:')) {
-      const path = line.replace(/^disallow:\s*/i, '').trim();
-      if (path) rules.push({ type: 'disallow', path });
-    } else if (lower.startsWith('allow:')) {
-      const path = line.replace(/^allow:\s*/i, '').trim();
-      if (path) rules.push({ type: 'allow', path });
-    }
-  }
-
-  return function isAllowed(urlPath) {
-    // Longest match wins (like Google's interpretation)
-    let bestMatch = { type: 'allow', length: 0 }; // default allow
-
-    for (const rule of rules) {
-      // Simple prefix match (robots.txt wildcard/$ not fully supported for simplicity)
-      if (urlPath.startsWith(rule.path) && rule.path.length > bestMatch.length) {
-        bestMatch = { type: rule.type, length: rule.path.length };
-      }
-    }
-
-    return bestMatch.type === 'allow';
-  };
-}
@@ -0,0 +1,29 @@
+/**
+ * HAR download — the outbound requests of one audit or crawl as a
+ * HAR 1.2 file (see har-export.js).
+ *
+ * GET /api/har/:id
+ *
+ * Audit and crawl responses link here (`har_url`); for a crawl job the
+ * id is the job id and the file grows while the crawl runs.
+ */
+import { Router } from 'express';
+import { getHarRecording, buildHar } from '../lib/har-export.js';
+
+export const harRouter = Router();
+
+harRouter.get('/:id', (req, res) => {
+  try {
+    const recording = getHarRecording(req.params.id);
+    if (!recording) return res.status(404).json({ error: `Unknown or expired HAR recording: ${req.params.id}` });
+
+    res.set({
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="requests-${recording.id}.har"`,
+    });
+    return res.send(JSON.stringify(buildHar(recording), null, 2));
+  } catch (error) {
+    console.error('har export error:', error);
+    return res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
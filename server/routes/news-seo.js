@@ -1,10 +1,12 @@
 /**
  * News SEO API route — orchestrates all single-page News SEO modules.
  *
- * POST /api/news-seo  { url: string }
+ * POST /api/news-seo  { url: string, user_agent?: string, request_headers?: object }
  *
  * Runs modules 1-5, 8, 9 (single-page) in parallel where possible.
  * Modules 6-7 (crawl-level) are handled by the crawler route.
+ * All fetches share one HTTP context; its request log is returned as
+ * `request_log` and `har_url` downloads every request as a HAR file.
  */
 import { Router } from 'express';
 import { analyzeNewsSitemap } from '../lib/modules/news-sitemap.js';
@@ -13,31 +15,16 @@ import { analyzeCanonicalConsistency } from '../lib/modules/canonical-consistenc
 import { analyzeCoreWebVitals } from '../lib/modules/core-web-vitals.js';
 import { analyzeAmp } from '../lib/modules/amp-validator.js';
 import { analyzeFreshness } from '../lib/modules/freshness-analyzer.js';
+import { httpFetch, withHttpContext } from '../lib/http-client.js';
+import { auditRecording } from '../lib/har-export.js';
 
 export const newsSeoRouter = Router();
 
 const FETCH_TIMEOUT = 15000;
 
-async function fetchPage(url) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+const recording = req => auditRecording(req.httpContext, `news-seo ${req.body?.url || ''}`);
 
-  try {
-    const res = await fetch(url, {
-      redirect: 'follow',
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; SEO-Analyzer/1.0)',
-        'Accept': 'text/html,application/xhtml+xml',
-      },
-    });
-    return res;
-  } finally {
-    clearTimeout(timer);
-  }
-}
-
-newsSeoRouter.post('/', async (req, res) => {
+newsSeoRouter.post('/', withHttpContext(), async (req, res) => {
   const startTime = Date.now();
 
   try {
@@ -58,7 +45,11 @@ newsSeoRouter.post('/', async (req, res) => {
     let fetchError = null;
 
     try {
-      const response = await fetchPage(url);
+      const response = await httpFetch(url, {
+        module: 'news_seo',
+        timeoutMs: FETCH_TIMEOUT,
+        headers: { 'Accept': 'text/html,application/xhtml+xml' },
+      });
       if (!response.ok) {
         fetchError = `HTTP ${response.status}`;
       } else {
@@ -81,6 +72,7 @@ newsSeoRouter.post('/', async (req, res) => {
         error: `Failed to fetch page: ${fetchError}`,
         modules: {},
         duration_ms: Date.now() - startTime,
+        ...recording(req),
       });
     }
 
@@ -145,6 +137,7 @@ newsSeoRouter.post('/', async (req, res) => {
       overall_score: avgScore,
       modules,
       duration_ms: Date.now() - startTime,
+      ...recording(req),
     });
   } catch (error) {
     console.error('news-seo error:', error);
@@ -154,6 +147,7 @@ newsSeoRouter.post('/', async (req, res) => {
       error: error.message,
       modules: {},
       duration_ms: Date.now() - startTime,
+      ...recording(req),
     });
   }
 });
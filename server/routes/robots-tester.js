@@ -0,0 +1,122 @@
+/**
+ * robots.txt tester — answers "may crawler X fetch URL Y?" for a set of
+ * well-known crawlers plus an optional custom agent.
+ *
+ * POST /api/robots-tester
+ *   { site?: string, robots_txt?: string, urls: string[], user_agent?: string }
+ *
+ * Either `site` (robots.txt is fetched from its origin) or `robots_txt`
+ * (pasted content) is required. Relative URLs are resolved against `site`
+ * when given. Each verdict names the group and the exact rule + line that
+ * decided it.
+ */
+import { Router } from 'express';
+import { parseRobotsTxt, disallowAllRobots, matchRobots, getCrawlDelay } from '../lib/robots-txt.js';
+import { httpFetch } from '../lib/http-client.js';
+
+export const robotsTesterRouter = Router();
+
+const FETCH_TIMEOUT = 15000;
+const MAX_URLS = 100;
+
+const STANDARD_AGENTS = ['Googlebot', 'Googlebot-News', 'Googlebot-Image', 'Bingbot'];
+
+/**
+ * Fetch robots.txt for a site. Mirrors the crawler: 4xx → no
+ * restrictions, 5xx → everything disallowed.
+ */
+async function fetchRobots(site) {
+  const origin = new URL(site).origin;
+  const robotsUrl = `${origin}/robots.txt`;
+  const res = await httpFetch(robotsUrl, { module: 'robots_tester', timeoutMs: FETCH_TIMEOUT });
+  if (res.ok) {
+    const text = await res.text();
+    return { url: robotsUrl, http_status: res.status, status: 'found', content: text, robots: parseRobotsTxt(text) };
+  }
+  if (res.status >= 500) {
+    const robots = disallowAllRobots(`robots.txt returned HTTP ${res.status}; crawlers treat the site as disallowed`);
+    return { url: robotsUrl, http_status: res.status, status: 'unreachable', content: null, robots };
+  }
+  return { url: robotsUrl, http_status: res.status, status: 'not_found', content: null, robots: parseRobotsTxt('') };
+}
+
+function resolveTestUrl(raw, site) {
+  const value = String(raw || '').trim();
+  if (!value) return null;
+  if (/^https?:\/\//i.test(value)) return value;
+  if (site) {
+    try { return new URL(value, site).href; } catch { return null; }
+  }
+  return value.startsWith('/') ? value : `/${value}`;
+}
+
+robotsTesterRouter.post('/', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { site, robots_txt, urls, user_agent } = req.body || {};
+
+    if (!site && typeof robots_txt !== 'string') {
+      return res.status(400).json({ status: 'error', error: 'Either site or robots_txt is required', results: [] });
+    }
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return res.status(400).json({ status: 'error', error: 'urls must be a non-empty array', results: [] });
+    }
+    if (site) {
+      try { new URL(site); } catch {
+        return res.status(400).json({ status: 'error', error: 'Invalid site URL', results: [] });
+      }
+    }
+
+    let source;
+    if (typeof robots_txt === 'string') {
+      source = { url: null, http_status: null, status: 'provided', content: robots_txt, robots: parseRobotsTxt(robots_txt) };
+    } else {
+      try {
+        source = await fetchRobots(site);
+      } catch (err) {
+        const msg = err.name === 'AbortError' ? 'Timeout fetching robots.txt' : err.message;
+        return res.status(502).json({ status: 'error', error: msg, results: [] });
+      }
+    }
+
+    const agents = [...STANDARD_AGENTS];
+    if (user_agent && String(user_agent).trim()) agents.push(String(user_agent).trim());
+
+    const results = urls.slice(0, MAX_URLS).map(raw => {
+      const target = resolveTestUrl(raw, site);
+      if (!target) return { url: String(raw), error: 'Invalid URL', verdicts: {} };
+
+      const verdicts = {};
+      for (const agent of agents) {
+        const match = matchRobots(source.robots, agent, target);
+        verdicts[agent] = {
+          allowed: match.allowed,
+          group: match.agent,
+          rule: match.rule ? `${match.rule.type === 'allow' ? 'Allow' : 'Disallow'}: ${match.rule.pattern}` : null,
+          line: match.rule ? match.rule.line : null,
+        };
+      }
+      return { url: target, verdicts };
+    });
+
+    return res.json({
+      status: 'success',
+      robots_txt: {
+        url: source.url,
+        http_status: source.http_status,
+        status: source.status,
+        content: source.content ? source.content.substring(0, 5000) : null,
+        sitemaps: source.robots.sitemaps,
+        warnings: source.robots.warnings.slice(0, 50),
+        crawl_delay: Object.fromEntries(agents.map(a => [a, getCrawlDelay(source.robots, a)])),
+      },
+      agents,
+      results,
+      truncated: urls.length > MAX_URLS,
+      duration_ms: Date.now() - startTime,
+    });
+  } catch (error) {
+    return res.status(500).json({ status: 'error', error: error.message, results: [], duration_ms: Date.now() - startTime });
+  }
+});
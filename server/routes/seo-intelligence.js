@@ -1,26 +1,30 @@
 /**
  * SEO Intelligence route — backward-compatible endpoint.
  * Delegates to shared technical-checks module.
+ *
+ * POST /api/seo-intelligence  { url: string, user_agent?: string, request_headers?: object }
+ *
+ * All fetches share one HTTP context, like the other audit endpoints; its
+ * request log is returned as `request_log` and `har_url` downloads every
+ * request as a HAR file.
  */
 import { Router } from 'express';
 import { analyzeTechnical, generateRecommendations, createErrorResponse } from '../lib/technical-checks.js';
+import { httpFetch, withHttpContext } from '../lib/http-client.js';
+import { auditRecording } from '../lib/har-export.js';
 
 export const seoIntelligenceRouter = Router();
 
 const FETCH_TIMEOUT = 15000;
+const ANALYZER_USER_AGENT = 'Mozilla/5.0 (compatible; Technical-SEO-Analyzer/3.0)';
 
-async function analyzePage(url) {
+async function analyzePage(url, userAgent) {
   try {
-    const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
-    let response;
-    try {
-      response = await fetch(url, {
-        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; Technical-SEO-Analyzer/3.0)' },
-        redirect: 'follow',
-        signal: controller.signal,
-      });
-    } finally { clearTimeout(timer); }
+    const response = await httpFetch(url, {
+      module: 'seo_intelligence',
+      userAgent: userAgent || ANALYZER_USER_AGENT,
+      timeoutMs: FETCH_TIMEOUT,
+    });
 
     if (!response.ok) return createErrorResponse(url, `error: HTTP ${response.status}`);
 
@@ -33,14 +37,15 @@ async function analyzePage(url) {
   }
 }
 
-seoIntelligenceRouter.post('/', async (req, res) => {
+seoIntelligenceRouter.post('/', withHttpContext(), async (req, res) => {
+  const recording = () => auditRecording(req.httpContext, `seo-intelligence ${req.body?.url || ''}`);
   try {
     const { url } = req.body || {};
     if (!url) return res.status(400).json(createErrorResponse('', 'error: URL is required'));
-    const analysis = await analyzePage(url);
-    return res.json(analysis);
+    const analysis = await analyzePage(url, req.httpContext.userAgent);
+    return res.json({ ...analysis, ...recording() });
   } catch (error) {
     console.error('seo-intelligence error:', error);
-    return res.status(500).json(createErrorResponse('', `error: ${error.message}`));
+    return res.status(500).json({ ...createErrorResponse('', `error: ${error.message}`), ...recording() });
   }
 });
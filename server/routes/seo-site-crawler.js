@@ -9,12 +9,73 @@
  *   - Allow / deny regex patterns
  *   - Queue size cap to prevent memory blowup
  *   - Crawl summary with stats
+ *   - Async job mode with Server-Sent Events progress (POST /jobs)
+ *   - Periodic checkpoints + resume for interrupted job crawls
+ *   - Per-host politeness: RPS cap, Crawl-delay, backoff + retries on 429/503
+ *   - Optional sitemap seeding + sitemap vs. link-graph coverage report
+ *   - List mode: audit a fixed URL list (JSON, newline-delimited upload or
+ *     sitemap) without link discovery
+ *   - Optional per-page technical extraction (page_analysis) + site roll-up
+ *   - Site-wide duplicate title / description / H1 detection
+ *   - Near-duplicate content clustering (MinHash + shingle sketch per page)
+ *   - Manual redirect following: per-hop records, loop detection and a
+ *     redirect report (chains, temporary redirects, links to redirects)
+ *   - Broken link report: every <a> link with its anchor text; external
+ *     targets optionally checked after the crawl (check_external_links,
+ *     HEAD, GET on 405)
+ *   - hreflang cluster validation from <link> tags, HTTP Link headers and
+ *     sitemap xhtml:link annotations
+ *   - Site-wide anchor text analysis per target URL
+ *   - Link graph export (GraphML, GEXF, DOT, CSV) via `format` or
+ *     GET /jobs/:id/graph
+ *   - Configurable scope: origin, registrable domain, host list, path
+ *     prefix; optional off-scope edges and per-host statistics
+ *   - Facet analysis mode: parameterized URLs are crawled (up to a cap per
+ *     parameter) instead of stripped / denied, with a per-parameter
+ *     crawl-budget report and strip / canonicalize / block recommendations
+ *   - Custom extraction rules (CSS selector, regex, JSON-LD path) stored
+ *     per page, filterable via GET /jobs/:id/pages or `page_filter`
+ *   - Custom search rules (text / regex, raw HTML or visible text,
+ *     contains / not_contains) with matching URLs, counts and snippets
+ *   - Render mode: batches fetched through the Scrapling sidecar's
+ *     headless browser (/fetch-batch), each page recording its fetcher
  */
-import { Router } from 'express';
-import { normalizeUrl, shouldDenyUrl, parseRobotsTxt } from '../lib/url-utils.js';
+import { Router, text } from 'express';
+import { normalizeUrl, shouldDenyUrl } from '../lib/url-utils.js';
+import { parseRobotsTxt, disallowAllRobots, isAllowedByRobots, getCrawlDelay } from '../lib/robots-txt.js';
+import { createHostThrottle, THROTTLE_STATUSES } from '../lib/politeness.js';
+import { createCrawlScope, SCOPE_MODES } from '../lib/crawl-scope.js';
+import {
+  checkLinkStatus, detectMetaRobots, extractAnchors, extractMeta, extractPageTechnical,
+} from '../lib/technical-checks.js';
+import {
+  discoverSitemaps, extractSitemapPageUrls, extractSitemapHreflang, extractSitemapPriorities,
+  fetchSitemapPageUrls,
+} from '../lib/modules/sitemap-discovery.js';
+import { analyzeSitemapCoverage } from '../lib/modules/sitemap-coverage.js';
+import { analyzePageSummary } from '../lib/modules/page-analysis.js';
+import { contentSignature } from '../lib/content-similarity.js';
 import { analyzeInternalLinking } from '../lib/modules/internal-linking.js';
 import { analyzeCrawlDepth } from '../lib/modules/crawl-depth.js';
 import { analyzeDuplicateUrls } from '../lib/modules/duplicate-protection.js';
+import { analyzeDuplicateMeta } from '../lib/modules/duplicate-meta.js';
+import { analyzeRedirects } from '../lib/modules/redirect-report.js';
+import { analyzeBrokenLinks } from '../lib/modules/broken-links.js';
+import { analyzeHreflang } from '../lib/modules/hreflang.js';
+import { analyzeAnchorText } from '../lib/modules/anchor-text.js';
+import { analyzeFacets } from '../lib/modules/facet-analysis.js';
+import {
+  parseExtractionRules, createExtractor, parseExtractionFilter, matchesExtractionFilters,
+} from '../lib/extraction-rules.js';
+import { parseSearchRules, createSearcher, summarizeSearch } from '../lib/search-rules.js';
+import {
+  createCrawlJob, getCrawlJob, cancelCrawlJob, isCrawlJobFinished, describeCrawlJob,
+} from '../lib/crawl-jobs.js';
+import { GRAPH_FORMATS, exportLinkGraph } from '../lib/graph-export.js';
+import { saveCheckpoint, loadCheckpoint, deleteCheckpoint, listCheckpoints } from '../lib/crawl-checkpoints.js';
+import { isSidecarAvailable, scraplingFetchBatch } from '../lib/scrapling-client.js';
+import { httpFetch, createHttpContext, runWithHttpContext } from '../lib/http-client.js';
+import { saveHarRecording, harDownloadPath } from '../lib/har-export.js';
 
 export const seoCrawlerRouter = Router();
 
@@ -26,11 +87,27 @@ const DEFAULTS = {
   timeout: 15000,         // 15 s per request
   maxQueueSize: 10000,    // prevent memory blowup
   userAgent: 'Mozilla/5.0 (compatible; SEO-Crawler/1.0)',
+  checkpointIntervalMs: 15000, // persist job crawl state at most every 15 s
+  maxRps: 2,              // request starts per second per host
+  maxRetries: 2,          // extra attempts per URL on 429/503/network errors
+  maxListUrls: 10000,     // list mode: URLs accepted per crawl
+  maxRedirectHops: 10,    // longer chains are reported as redirect_chain_too_long
+  maxLinksPerPage: 500,   // <a> links kept per page for the link reports
+  maxExternalChecks: 200, // distinct external link targets checked per crawl
+  maxFacetVariants: 25,   // facet analysis: URLs enqueued per query parameter
+  maxFacetDiscovered: 1000, // facet analysis: URLs recorded per query parameter
 };
 
+const SSE_HEARTBEAT_MS = 15000; // keep reverse proxies from closing idle streams
+const MAX_HAR_REQUESTS = 10000;  // requests recorded per crawl for the HAR export
+
+// Job ids whose checkpoint is being loaded for a resume; reserved
+// synchronously so concurrent resume calls cannot start two crawls.
+const resumingJobs = new Set();
+
 // ----------- helpers -----------
 
-function extractInternalLinks(html, baseUrl, origin) {
+function extractInternalLinks(html, baseUrl, inScope, normalizeOptions = {}) {
   const hrefRegex = /href=["']([^"'#]+)["']/gi;
   const links = new Set();
 
@@ -39,20 +116,100 @@ function extractInternalLinks(html, baseUrl, origin) {
     const raw = match[1].trim();
     if (!raw || raw.startsWith('javascript:') || raw.startsWith('mailto:') || raw.startsWith('tel:')) continue;
 
-    const normalized = normalizeUrl(raw, baseUrl);
+    const normalized = normalizeUrl(raw, baseUrl, normalizeOptions);
     if (!normalized) continue;
 
-    try {
-      const url = new URL(normalized);
-      if (url.origin === origin) {
-        links.add(normalized);
-      }
-    } catch { /* ignore */ }
+    if (inScope(normalized)) links.add(normalized);
   }
 
   return Array.from(links);
 }
 
+/**
+ * Every <a href> on a page with its anchor text (or the alt text of an
+ * image-only link), rel attribute and whether it is in the crawl scope.
+ */
+function extractLinkDetails(html, baseUrl, inScope, normalizeOptions = {}) {
+  const links = [];
+  for (const { attrs, inner } of extractAnchors(html)) {
+    const href = attrs.match(/href=["']([^"'#]+)["']/i);
+    if (!href) continue;
+    const raw = href[1].trim();
+    if (!raw || raw.startsWith('javascript:') || raw.startsWith('mailto:') || raw.startsWith('tel:')) continue;
+
+    const url = normalizeUrl(raw, baseUrl, normalizeOptions);
+    if (!url || !/^https?:/.test(url)) continue;
+
+    let anchor = inner.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+    const image = !anchor && /<img\b/i.test(inner);
+    if (image) {
+      const alt = inner.match(/<img[^>]*alt=["']([^"']*)["']/i);
+      anchor = alt ? alt[1].trim() : '';
+    }
+    const rel = attrs.match(/rel=["']([^"']*)["']/i);
+
+    const internal = inScope(url);
+
+    links.push({ url, anchor: anchor.substring(0, 200), image, rel: rel ? rel[1].toLowerCase() : null, internal });
+    if (links.length >= DEFAULTS.maxLinksPerPage) break;
+  }
+  return links;
+}
+
+/**
+ * hreflang alternates declared by a page: <link rel="alternate" hreflang>
+ * tags and the HTTP Link header (the only option for non-HTML files).
+ */
+function extractHreflangLinks(html, linkHeader, baseUrl) {
+  const alternates = [];
+  const add = (hreflang, href, source) => {
+    const url = normalizeUrl(href.trim(), baseUrl);
+    if (url) alternates.push({ hreflang: hreflang.trim(), url, source });
+  };
+
+  for (const m of (html || '').matchAll(/<link\b[^>]*>/gi)) {
+    if (!/rel=["']alternate["']/i.test(m[0])) continue;
+    const hreflang = m[0].match(/hreflang=["']([^"']*)["']/i);
+    const href = m[0].match(/href=["']([^"']*)["']/i);
+    if (hreflang && href) add(hreflang[1], href[1], 'html');
+  }
+
+  // Link: <https://example.com/fr/>; rel="alternate"; hreflang="fr", <...>
+  for (const m of (linkHeader || '').matchAll(/<([^>]*)>([^,<]*)/g)) {
+    const hreflang = m[2].match(/hreflang="?([^";,\s]+)"?/i);
+    if (hreflang && /rel="?[^";,]*\balternate\b/i.test(m[2])) add(hreflang[1], m[1], 'header');
+  }
+  return alternates;
+}
+
+/**
+ * Normalize sitemap hreflang annotations (loc -> alternates) the way
+ * crawled URLs are normalized.
+ */
+function normalizeSitemapHreflang(annotations, baseUrl) {
+  const normalized = {};
+  for (const [loc, alternates] of Object.entries(annotations)) {
+    const url = normalizeUrl(loc, baseUrl);
+    if (!url) continue;
+    normalized[url] = alternates
+      .map(a => ({ hreflang: a.hreflang, url: normalizeUrl(a.href, baseUrl), source: 'sitemap' }))
+      .filter(a => a.url);
+  }
+  return normalized;
+}
+
+/**
+ * Normalize the keys of a sitemap loc -> value map.
+ */
+function normalizeSitemapKeys(entries, baseUrl) {
+  const normalized = {};
+  for (const [loc, value] of Object.entries(entries)) {
+    const url = normalizeUrl(loc, baseUrl);
+    if (url) normalized[url] = value;
+  }
+  return normalized;
+}
+
 /**
  * Extract canonical URL from HTML if present.
  */
@@ -64,31 +221,57 @@ function extractCanonical(html, baseUrl) {
   return normalizeUrl(m[1], baseUrl);
 }
 
+function extractAmpLink(html) {
+  const m =
+    html.match(/<link[^>]*rel=["']amphtml["'][^>]*href=["']([^"']*)["']/i) ||
+    html.match(/<link[^>]*href=["']([^"']*)["'][^>]*rel=["']amphtml["']/i);
+  return m ? m[1].trim() : null;
+}
+
 /**
- * Fetch a single page with timeout via AbortController.
+ * Fetch a single page through the shared HTTP client. Page fetches use
+ * `redirect: 'manual'` so each hop can be recorded; retries are left to
+ * the host throttle.
  */
-async function fetchWithTimeout(url, userAgent, timeoutMs) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
+function fetchWithTimeout(url, userAgent, timeoutMs, redirect = 'follow') {
+  return httpFetch(url, {
+    module: 'crawler',
+    userAgent,
+    timeoutMs,
+    redirect,
+    retries: 0,
+    headers: { 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8' },
+  });
+}
 
-  try {
-    const res = await fetch(url, {
-      method: 'GET',
-      redirect: 'follow',
-      signal: controller.signal,
-      headers: {
-        'User-Agent': userAgent,
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-      },
-    });
-    return res;
-  } finally {
-    clearTimeout(timer);
+const NULL_BODY_STATUSES = new Set([204, 205, 304]);
+
+/**
+ * A sidecar /fetch-batch result in the shape fetchFollowingRedirects()
+ * returns, with the HTML wrapped in a Response. The sidecar follows
+ * redirects itself, so a redirect shows up as a single hop without its
+ * status code.
+ */
+function renderedResponse(url, rendered) {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(rendered.headers || {})) {
+    try { headers.append(name, String(value)); } catch { /* invalid header from the browser */ }
   }
+  if (!headers.has('content-type')) headers.set('content-type', 'text/html');
+
+  const status = rendered.status >= 200 && rendered.status <= 599 ? rendered.status : 200;
+  const res = new Response(NULL_BODY_STATUSES.has(status) ? null : (rendered.html ?? ''), { status, headers });
+
+  const finalUrl = normalizeUrl(rendered.url || url, url) || url;
+  const hops = finalUrl !== url ? [{ url, status: null, location: finalUrl }] : [];
+  return { res, hops, finalUrl, attempts: 1, loop: false, tooLong: false };
 }
 
 /**
- * Fetch and parse robots.txt for the origin. Returns an isAllowed(path) function.
+ * Fetch and parse robots.txt for the origin. Returns an isAllowed(url) function.
+ *
+ * Per RFC 9309: a 4xx means no restrictions, a 5xx means the whole site
+ * must be treated as disallowed.
  */
 async function loadRobotsTxt(origin, userAgent, timeoutMs) {
   try {
@@ -96,16 +279,109 @@ async function loadRobotsTxt(origin, userAgent, timeoutMs) {
     const res = await fetchWithTimeout(robotsUrl, userAgent, timeoutMs);
     if (res.ok) {
       const text = await res.text();
-      return { isAllowed: parseRobotsTxt(text, userAgent), content: text.substring(0, 1000) };
+      const robots = parseRobotsTxt(text);
+      return {
+        status: 'found',
+        robots,
+        isAllowed: (url) => isAllowedByRobots(robots, userAgent, url),
+        crawlDelay: getCrawlDelay(robots, userAgent),
+        content: text.substring(0, 1000),
+      };
+    }
+    if (res.status >= 500) {
+      const robots = disallowAllRobots(`robots.txt returned HTTP ${res.status}; site treated as disallowed`);
+      return { status: 'unreachable', robots, isAllowed: () => false, crawlDelay: null, content: null };
     }
   } catch { /* ignore */ }
   // If robots.txt is missing or errored, allow everything
-  return { isAllowed: () => true, content: null };
+  return { status: 'not_found', robots: null, isAllowed: () => true, crawlDelay: null, content: null };
+}
+
+/**
+ * Discover the site's sitemaps and return their in-scope page URLs,
+ * normalized the same way as crawled links.
+ */
+async function loadSitemapSeeds(startUrl, inScope, sitemapUrl) {
+  const discovery = await discoverSitemaps(startUrl, '', sitemapUrl || null);
+  const urls = new Set();
+  for (const loc of extractSitemapPageUrls(discovery, DEFAULTS.maxQueueSize)) {
+    const normalized = normalizeUrl(loc, startUrl);
+    if (normalized && inScope(normalized)) urls.add(normalized);
+  }
+  return {
+    sitemaps: discovery.finalSitemaps,
+    urls: [...urls],
+    hreflang: normalizeSitemapHreflang(extractSitemapHreflang(discovery, DEFAULTS.maxQueueSize), startUrl),
+    priorities: normalizeSitemapKeys(extractSitemapPriorities(discovery, DEFAULTS.maxQueueSize), startUrl),
+  };
+}
+
+/**
+ * Normalize and de-duplicate a list-mode URL list. URLs from `sitemapUrl`
+ * (expanded if it is an index) are appended to the submitted ones.
+ */
+async function loadUrlList(rawUrls, sitemapUrl) {
+  const submitted = [...rawUrls];
+  let sitemaps = [];
+  let hreflang = {};
+  let priorities = {};
+  if (sitemapUrl) {
+    const fromSitemap = await fetchSitemapPageUrls(sitemapUrl, DEFAULTS.maxListUrls);
+    sitemaps = fromSitemap.sitemaps;
+    hreflang = normalizeSitemapHreflang(fromSitemap.hreflang, sitemapUrl);
+    priorities = normalizeSitemapKeys(fromSitemap.priorities, sitemapUrl);
+    submitted.push(...fromSitemap.urls);
+  }
+
+  const urls = [];
+  const seen = new Set();
+  const invalid = [];
+  let duplicates = 0;
+  for (const raw of submitted) {
+    const normalized = normalizeUrl(String(raw).trim());
+    if (!normalized) {
+      invalid.push(String(raw).substring(0, 200));
+      continue;
+    }
+    if (seen.has(normalized)) {
+      duplicates++;
+      continue;
+    }
+    seen.add(normalized);
+    if (urls.length < DEFAULTS.maxListUrls) urls.push(normalized);
+  }
+
+  return {
+    submitted: submitted.length,
+    urls,
+    invalid: invalid.slice(0, 50),
+    invalid_count: invalid.length,
+    duplicates,
+    truncated: seen.size > urls.length,
+    sitemaps,
+    hreflang,
+    priorities,
+  };
 }
 
 // ----------- main crawl logic -----------
 
-async function crawl(config) {
+/**
+ * Crawl a site breadth-first.
+ *
+ * @param {object} config
+ * @param {object} [hooks]
+ * @param {AbortSignal} [hooks.signal]   – stops the crawl after the current batch
+ * @param {Function}    [hooks.onPage]   – called with each page record as it is collected
+ * @param {Function}    [hooks.onProgress] – called after each batch with queue/counter stats
+ * @param {Function}    [hooks.onCheckpoint] – async; receives a serializable state snapshot
+ *                                             (without pages) and `{ pages, pagesFrom }`, the
+ *                                             pages recorded since the last checkpoint, at
+ *                                             most every `checkpointIntervalMs`
+ * @param {object}      [hooks.resumeState]  – snapshot with its pages from a previous run
+ *                                             to continue from
+ */
+async function crawl(config, hooks = {}) {
   const {
     startUrl,
     maxPages = DEFAULTS.maxPages,
@@ -115,9 +391,30 @@ async function crawl(config) {
     userAgent = DEFAULTS.userAgent,
     allowPatterns = [],
     denyPatterns = [],
+    checkpointIntervalMs = DEFAULTS.checkpointIntervalMs,
+    maxRps = DEFAULTS.maxRps,
+    maxRetries = DEFAULTS.maxRetries,
+    respectCrawlDelay = true,
+    seedFromSitemaps = false,
+    sitemapUrl = null,
+    mode = 'crawl',
+    urls: listUrls = [],
+    pageAnalysis = false,
+    checkExternalLinks = false,
+    scope: scopeMode = 'origin',
+    scopeHosts = [],
+    scopePathPrefix = null,
+    recordExternalLinks = false,
+    facetAnalysis = false,
+    extractionRules = [],
+    searchRules = [],
+    render = false,
   } = config;
+  const listMode = mode === 'list';
+  const { signal, onPage, onProgress, onCheckpoint, resumeState } = hooks;
 
-  const startTime = Date.now();
+  // A resumed crawl keeps counting its duration from the original start
+  const startTime = Date.now() - (resumeState?.elapsed_ms || 0);
 
   // Normalize start URL
   const normalizedStart = normalizeUrl(startUrl, startUrl);
@@ -146,25 +443,317 @@ async function crawl(config) {
     };
   }
 
+  const scope = createCrawlScope(normalizedStart, { mode: scopeMode, hosts: scopeHosts, pathPrefix: scopePathPrefix });
+  const extract = extractionRules.length > 0 ? createExtractor(extractionRules) : null;
+  const search = searchRules.length > 0 ? createSearcher(searchRules) : null;
+
   // Load robots.txt
   const robots = await loadRobotsTxt(origin, userAgent, timeout);
 
+  const throttle = createHostThrottle({
+    maxRps,
+    crawlDelay: respectCrawlDelay ? robots.crawlDelay : null,
+    stats: resumeState?.politeness,
+  });
+
+  // URL lists and domain / host-list scopes span several origins; each
+  // gets its own robots.txt and Crawl-delay.
+  const robotsByOrigin = new Map([[origin, robots]]);
+  const robotsFor = async (url) => {
+    const target = new URL(url);
+    if (!robotsByOrigin.has(target.origin)) {
+      const loaded = await loadRobotsTxt(target.origin, userAgent, timeout);
+      robotsByOrigin.set(target.origin, loaded);
+      if (respectCrawlDelay) throttle.setCrawlDelay(target.host, loaded.crawlDelay);
+    }
+    return robotsByOrigin.get(target.origin);
+  };
+
+  /**
+   * Fetch with per-host pacing. Throttling responses and network errors
+   * are retried with backoff until the URL's retry budget is used up.
+   */
+  const fetchPolitely = async (url) => {
+    const host = new URL(url).host;
+    for (let attempt = 0; ; attempt++) {
+      await throttle.acquire(host, signal);
+      const exhausted = attempt >= maxRetries || signal?.aborted;
+      try {
+        const res = await fetchWithTimeout(url, userAgent, timeout, 'manual');
+        if (!THROTTLE_STATUSES.has(res.status)) return { res, attempts: attempt + 1 };
+        throttle.recordThrottled();
+        if (exhausted) {
+          if (maxRetries > 0) throttle.recordExhausted();
+          return { res, attempts: attempt + 1 };
+        }
+        throttle.backoff(host, attempt, res.headers.get('retry-after'));
+        await res.body?.cancel().catch(() => {});
+      } catch (err) {
+        if (exhausted) {
+          if (maxRetries > 0) throttle.recordExhausted();
+          err.attempts = attempt + 1;
+          throw err;
+        }
+        throttle.backoff(host, attempt);
+      }
+      throttle.recordRetry();
+    }
+  };
+
+  /**
+   * Render mode: fetch a batch through the sidecar's headless browser in
+   * one /fetch-batch call (starts still paced per host). Returns
+   * URL -> sidecar result; URLs missing from it are fetched natively.
+   */
+  let sidecarAvailable = null;
+  const renderBatch = async (urls) => {
+    const rendered = new Map();
+    if (sidecarAvailable === null) sidecarAvailable = await isSidecarAvailable();
+    if (!sidecarAvailable) return rendered;
+    for (const url of urls) await throttle.acquire(new URL(url).host, signal);
+    try {
+      const results = await scraplingFetchBatch(urls, {
+        headless: true,
+        module: 'crawler',
+        userAgent,
+        timeout: Math.ceil(timeout / 1000),
+      });
+      results.forEach((r, i) => rendered.set(urls[i], r));
+    } catch (err) {
+      console.error('seo-site-crawler render batch error:', err.message);
+    }
+    return rendered;
+  };
+
+  /**
+   * Follow redirects hop by hop (each hop paced like any other request)
+   * the way the backend's auditSingleUrl does, so chains and loops are
+   * visible. `res` is the final non-redirect response, or null on a loop
+   * or a chain longer than maxRedirectHops.
+   */
+  const fetchFollowingRedirects = async (url) => {
+    const hops = [];
+    const seen = new Set([url]);
+    let current = url;
+    let attempts = 0;
+    for (;;) {
+      const fetched = await fetchPolitely(current);
+      const res = fetched.res;
+      attempts += fetched.attempts;
+
+      const location = res.status >= 300 && res.status < 400 ? res.headers.get('location') : null;
+      if (!location) return { res, hops, finalUrl: current, attempts, loop: false, tooLong: false };
+
+      const next = new URL(location, current).href;
+      hops.push({ url: current, status: res.status, location: next });
+      await res.body?.cancel().catch(() => {});
+
+      if (seen.has(next)) return { res: null, hops, finalUrl: next, attempts, loop: true, tooLong: false };
+      if (hops.length >= DEFAULTS.maxRedirectHops) {
+        return { res: null, hops, finalUrl: next, attempts, loop: false, tooLong: true };
+      }
+      seen.add(next);
+      current = next;
+    }
+  };
+
+  // Sitemap seeds are kept in their own queue and only consumed once the
+  // link queue is empty, so every link-reachable page is reached by a link first.
+  let sitemapSeed = resumeState?.sitemap_seed || null;
+  if (seedFromSitemaps && !sitemapSeed) {
+    try {
+      sitemapSeed = await loadSitemapSeeds(normalizedStart, scope.inScope, sitemapUrl);
+    } catch (err) {
+      console.error('sitemap seeding failed:', err.message);
+      sitemapSeed = { sitemaps: [], urls: [], hreflang: {}, priorities: {} };
+    }
+  }
+  const sitemapUrls = new Set(sitemapSeed?.urls);
+
+  // List mode: the queue is the submitted list and nothing else is enqueued
+  let urlList = resumeState?.url_list || null;
+  if (listMode && !urlList) urlList = await loadUrlList(listUrls, sitemapUrl);
+  const pageLimit = listMode ? Math.min(maxPages, urlList.urls.length) : maxPages;
+
   // Crawl state
-  const visited = new Set();        // normalized URLs already processed
-  const canonicalSeen = new Set();   // canonical URLs seen (avoid duplicate content)
-  const queue = [{ url: normalizedStart, depth: 0 }];
-  const pages = [];
-  let errorCount = 0;
-  let blockedCount = 0;
-  let duplicateCount = 0;
+  const visited = new Set(resumeState?.visited);             // normalized URLs already processed
+  const canonicalSeen = new Set(resumeState?.canonical_seen); // canonical URLs seen (avoid duplicate content)
+  const queue = resumeState
+    ? resumeState.queue
+    : listMode
+      ? urlList.urls.map(url => ({ url, depth: 0, source: 'list' }))
+      : [{ url: normalizedStart, depth: 0, source: 'start' }];
+  const seedQueue = resumeState?.seed_queue
+    || (sitemapSeed ? sitemapSeed.urls.map(url => ({ url, depth: 0, source: 'sitemap' })) : []);
+  const pages = resumeState ? resumeState.pages : [];
+  let errorCount = resumeState?.counters.errors || 0;
+  let blockedCount = resumeState?.counters.blocked || 0;
+  let duplicateCount = resumeState?.counters.duplicates || 0;
+  let redirectCount = resumeState?.counters.redirects || 0;
+  let lastCheckpointAt = 0; // first batch always checkpoints
+  let pagesSaved = pages.length; // pages already in the checkpoint
+
+  // Facet analysis: parameterized URLs discovered per query parameter and
+  // the variants actually enqueued (at most maxFacetVariants per parameter)
+  const facetParams = new Map(Object.entries(resumeState?.facet_params || {}).map(
+    ([key, f]) => [key, { discovered: new Set(f.discovered), enqueued: new Set(f.enqueued) }],
+  ));
+  const admitFacetVariant = (url) => {
+    const keys = [...new Set(new URL(url).searchParams.keys())];
+    let admit = true;
+    for (const key of keys) {
+      if (!facetParams.has(key)) facetParams.set(key, { discovered: new Set(), enqueued: new Set() });
+      const facet = facetParams.get(key);
+      if (facet.discovered.size < DEFAULTS.maxFacetDiscovered) facet.discovered.add(url);
+      if (!facet.enqueued.has(url) && facet.enqueued.size >= DEFAULTS.maxFacetVariants) admit = false;
+    }
+    if (admit) for (const key of keys) facetParams.get(key).enqueued.add(url);
+    return admit;
+  };
+
+  const recordPage = (page) => {
+    pages.push(page);
+    if (onPage) onPage(page);
+  };
+
+  const snapshotState = () => ({
+    visited: [...visited],
+    canonical_seen: [...canonicalSeen],
+    queue,
+    seed_queue: seedQueue,
+    sitemap_seed: sitemapSeed,
+    url_list: urlList,
+    counters: { errors: errorCount, blocked: blockedCount, duplicates: duplicateCount, redirects: redirectCount },
+    facet_params: Object.fromEntries([...facetParams].map(
+      ([key, f]) => [key, { discovered: [...f.discovered], enqueued: [...f.enqueued] }],
+    )),
+    politeness: throttle.stats(),
+    elapsed_ms: Date.now() - startTime,
+  });
+
+  // Checkpoints write only the pages recorded since the previous one
+  const checkpoint = async () => {
+    const newPages = pages.slice(pagesSaved);
+    try {
+      await onCheckpoint(snapshotState(), { pages: newPages, pagesFrom: pagesSaved });
+      pagesSaved += newPages.length;
+    } catch (err) {
+      console.error('crawl checkpoint failed:', err.message);
+    }
+  };
+
+  const newPageResult = (item) => ({
+    url: item.url,
+    status: 'pending',
+    http_status: undefined,
+    internal_links: [],
+    depth: item.depth,
+    error: undefined,
+    attempts: 1,
+    source: item.source,
+    in_sitemap: item.inSitemap,
+    final_url: undefined,
+    canonical: null,
+    noindex: false,
+  });
+
+  const fetchFailed = (pageResult, err) => {
+    pageResult.status = 'fetch_error';
+    pageResult.attempts = err.attempts || 1;
+    pageResult.error = err.name === 'AbortError' ? 'Timeout' : (err.message || 'Unknown fetch error');
+    errorCount++;
+  };
+
+  /**
+   * Fill in a page record from its final (non-redirect) response: status,
+   * meta, content signature, canonical and links. New links are enqueued.
+   */
+  const readPage = async (pageResult, res) => {
+    const { url } = pageResult;
+    pageResult.http_status = res.status;
+    if (/noindex/i.test(res.headers.get('x-robots-tag') || '')) pageResult.noindex = true;
+
+    if (!res.ok) {
+      pageResult.status = 'http_error';
+      pageResult.error = `HTTP ${res.status}`;
+      errorCount++;
+      return pageResult;
+    }
+
+    const contentType = res.headers.get('content-type') || '';
+    if (!contentType.includes('text/html')) {
+      pageResult.status = 'skipped_non_html';
+      const alternates = extractHreflangLinks('', res.headers.get('link'), url);
+      if (alternates.length > 0) pageResult.hreflang = alternates;
+      return pageResult;
+    }
+
+    const html = await res.text();
+    pageResult.status = 'success';
+
+    const alternates = extractHreflangLinks(html, res.headers.get('link'), url);
+    if (alternates.length > 0) pageResult.hreflang = alternates;
+
+    // Title / description / H1 are always kept for duplicate detection
+    if (pageAnalysis) Object.assign(pageResult, extractPageTechnical(html, url));
+    else pageResult.meta = extractMeta(html);
+    if (extract) pageResult.extracted = extract(html);
+    if (search) pageResult._search = search(html);
+
+    // Compact content signature for near-duplicate detection; internal
+    // (underscore) fields are stripped before the result is returned.
+    pageResult._content = { ...contentSignature(html), amp: extractAmpLink(html) };
+
+    // Check canonical – if canonical points elsewhere, note it and skip link extraction
+    const canonical = extractCanonical(html, url);
+    pageResult.canonical = canonical;
+    if (detectMetaRobots(html).noindex) pageResult.noindex = true;
+    if (canonical && canonical !== url) {
+      if (canonicalSeen.has(canonical)) {
+        pageResult.status = 'duplicate_canonical';
+        duplicateCount++;
+        return pageResult;
+      }
+      canonicalSeen.add(canonical);
+    } else if (canonical) {
+      canonicalSeen.add(canonical);
+    }
+
+    // Extract internal links (list mode: links on the page's own origin)
+    const pageOrigin = new URL(url).origin;
+    const inScope = listMode ? (link) => new URL(link).origin === pageOrigin : scope.inScope;
+    // Facet analysis keeps tracking / session parameters on discovered links
+    const normalizeOptions = { stripParams: !facetAnalysis };
+    const links = extractInternalLinks(html, url, inScope, normalizeOptions);
+    pageResult.internal_links = links;
+    pageResult._links = extractLinkDetails(html, url, inScope, normalizeOptions);
+    if (recordExternalLinks) {
+      pageResult.external_links = [...new Set(pageResult._links.filter(l => !l.internal).map(l => l.url))];
+    }
+
+    // Enqueue new links (with depth + 1); list mode never discovers
+    for (const link of listMode ? [] : links) {
+      if (facetAnalysis && !admitFacetVariant(link)) continue;
+      if (!visited.has(link) && queue.length < DEFAULTS.maxQueueSize) {
+        queue.push({ url: link, depth: pageResult.depth + 1, source: 'link' });
+      }
+    }
+    return pageResult;
+  };
 
   // Process queue with bounded concurrency
-  while (queue.length > 0 && pages.length < maxPages) {
+  const pending = () => queue.length + seedQueue.length;
+  while (pending() > 0 && pages.length < pageLimit && !signal?.aborted) {
     // Take a batch of up to `concurrency` items from the queue
     const batch = [];
-    while (batch.length < concurrency && queue.length > 0 && (pages.length + batch.length) < maxPages) {
-      const item = queue.shift();
+    while (batch.length < concurrency && pending() > 0 && (pages.length + batch.length) < pageLimit) {
+      // Seeds never share a batch with link items: links found by that
+      // batch must get the chance to reach a seed URL first.
+      if (queue.length === 0 && batch.some(b => b.source !== 'sitemap')) break;
+      const item = queue.length > 0 ? queue.shift() : seedQueue.shift();
       if (!item) break;
+      const source = item.source || 'link';
+      const inSitemap = sitemapUrls.has(item.url);
 
       // Skip if already visited
       if (visited.has(item.url)) {
@@ -176,142 +765,331 @@ async function crawl(config) {
       // Skip if exceeds max depth
       if (item.depth > maxDepth) continue;
 
-      // Check robots.txt
-      try {
-        const urlPath = new URL(item.url).pathname;
-        if (!robots.isAllowed(urlPath)) {
-          blockedCount++;
-          pages.push({ url: item.url, status: 'blocked_robots', depth: item.depth });
-          continue;
-        }
-      } catch { /* ignore */ }
+      // Check robots.txt (path + query, as robots rules see it)
+      if (!(await robotsFor(item.url)).isAllowed(item.url)) {
+        blockedCount++;
+        recordPage({ url: item.url, status: 'blocked_robots', depth: item.depth, source, in_sitemap: inSitemap });
+        continue;
+      }
 
       // Check deny/allow patterns
-      if (shouldDenyUrl(item.url, { denyPatterns, allowPatterns })) {
+      if (shouldDenyUrl(item.url, { denyPatterns, allowPatterns, useDefaultPatterns: !listMode, ignoreQuery: facetAnalysis })) {
         blockedCount++;
-        pages.push({ url: item.url, status: 'blocked_pattern', depth: item.depth });
+        recordPage({ url: item.url, status: 'blocked_pattern', depth: item.depth, source, in_sitemap: inSitemap });
         continue;
       }
 
-      batch.push(item);
+      batch.push({ ...item, source, inSitemap });
     }
 
     if (batch.length === 0) continue;
 
+    const rendered = render ? await renderBatch(batch.map(item => item.url)) : new Map();
+
+    // Redirect targets read from the redirect's final response count
+    // against the page limit like queued pages do.
+    let freeSlots = pageLimit - pages.length - batch.length;
+
     // Fetch batch concurrently
     const results = await Promise.allSettled(
       batch.map(async (item) => {
-        const pageResult = {
-          url: item.url,
-          status: 'pending',
-          http_status: undefined,
-          internal_links: [],
-          depth: item.depth,
-          error: undefined,
-        };
+        const pageResult = newPageResult(item);
 
         try {
-          const res = await fetchWithTimeout(item.url, userAgent, timeout);
-          pageResult.http_status = res.status;
+          // Pages the sidecar could not render fall back to a native fetch
+          const sidecar = rendered.get(item.url);
+          if (render) {
+            pageResult.fetcher = sidecar && !sidecar.error ? sidecar.fetcher : 'native';
+            if (sidecar?.error) pageResult.render_error = sidecar.error;
+          }
+          const { res, hops, finalUrl, attempts, loop, tooLong } = sidecar && !sidecar.error
+            ? renderedResponse(item.url, sidecar)
+            : await fetchFollowingRedirects(item.url);
+          pageResult.attempts = attempts;
+
+          if (hops.length === 0) return await readPage(pageResult, res);
 
-          if (!res.ok) {
-            pageResult.status = 'http_error';
-            pageResult.error = `HTTP ${res.status}`;
+          // The redirecting URL gets its own record; the target is
+          // crawled (once) as a page of its own.
+          redirectCount++;
+          pageResult.status = loop ? 'redirect_loop' : tooLong ? 'redirect_chain_too_long' : 'redirect';
+          pageResult.http_status = hops[0].status;
+          pageResult.redirects = hops;
+          pageResult.final_url = normalizeUrl(finalUrl, item.url) || finalUrl;
+          pageResult.final_status = res ? res.status : null;
+          if (!res) {
+            pageResult.error = loop ? 'Redirect loop' : `Too many redirects (${hops.length})`;
             errorCount++;
             return pageResult;
           }
 
-          const contentType = res.headers.get('content-type') || '';
-          if (!contentType.includes('text/html')) {
-            pageResult.status = 'skipped_non_html';
+          const target = pageResult.final_url;
+          if (listMode || !scope.inScope(target) || visited.has(target)) {
+            await res.body?.cancel().catch(() => {});
             return pageResult;
           }
 
-          const html = await res.text();
-          pageResult.status = 'success';
-
-          // Check canonical – if canonical points elsewhere, note it and skip link extraction
-          const canonical = extractCanonical(html, item.url);
-          if (canonical && canonical !== item.url) {
-            if (canonicalSeen.has(canonical)) {
-              pageResult.status = 'duplicate_canonical';
-              duplicateCount++;
-              return pageResult;
+          // The final response already is the target's page: read it now
+          // rather than fetching the target again, unless robots.txt, the
+          // deny patterns or the page limit say otherwise (then it is queued
+          // and judged like any other URL).
+          const allowed = (await robotsFor(target)).isAllowed(target)
+            && !shouldDenyUrl(target, { denyPatterns, allowPatterns, ignoreQuery: facetAnalysis });
+          if (allowed && freeSlots > 0 && !visited.has(target)) {
+            visited.add(target);
+            freeSlots--;
+            const targetResult = newPageResult({
+              url: target, depth: item.depth, source: 'redirect', inSitemap: sitemapUrls.has(target),
+            });
+            if (render) targetResult.fetcher = pageResult.fetcher;
+            try {
+              await readPage(targetResult, res);
+            } catch (err) {
+              fetchFailed(targetResult, err);
             }
-            canonicalSeen.add(canonical);
-          } else if (canonical) {
-            canonicalSeen.add(canonical);
+            return [pageResult, targetResult];
           }
 
-          // Extract internal links
-          const links = extractInternalLinks(html, item.url, origin);
-          pageResult.internal_links = links;
-
-          // Enqueue new links (with depth + 1)
-          for (const link of links) {
-            if (!visited.has(link) && queue.length < DEFAULTS.maxQueueSize) {
-              queue.push({ url: link, depth: item.depth + 1 });
-            }
+          await res.body?.cancel().catch(() => {});
+          if (!visited.has(target) && queue.length < DEFAULTS.maxQueueSize) {
+            queue.push({ url: target, depth: item.depth, source: 'redirect' });
           }
         } catch (err) {
-          pageResult.status = 'fetch_error';
-          pageResult.error = err.name === 'AbortError' ? 'Timeout' : (err.message || 'Unknown fetch error');
-          errorCount++;
+          fetchFailed(pageResult, err);
         }
 
         return pageResult;
       }),
     );
 
-    // Collect results
+    // Collect results (a redirect may come with its target's record)
     for (const r of results) {
       if (r.status === 'fulfilled' && r.value) {
-        pages.push(r.value);
+        for (const page of [].concat(r.value)) recordPage(page);
       }
     }
+
+    if (onProgress) {
+      onProgress({
+        pages_crawled: pages.length,
+        queue_size: pending(),
+        max_pages: pageLimit,
+        errors: errorCount,
+        blocked: blockedCount,
+        duplicates: duplicateCount,
+        redirects: redirectCount,
+        throttled_ms: throttle.stats().throttled_ms,
+      });
+    }
+
+    if (onCheckpoint && Date.now() - lastCheckpointAt >= checkpointIntervalMs) {
+      await checkpoint();
+      lastCheckpointAt = Date.now();
+    }
   }
 
+  // Final snapshot so a cancelled crawl can be picked up where it stopped
+  if (onCheckpoint && signal?.aborted) await checkpoint();
+
+  // External link targets are checked once, after the crawl, through the
+  // same per-host throttle. Internal targets are judged by their own records.
+  const linkStatus = {};
+  let externalTargets = 0;
+  if (checkExternalLinks && !signal?.aborted) {
+    const targets = new Set();
+    for (const page of pages) {
+      for (const link of page._links || []) {
+        if (!link.internal) targets.add(link.url);
+      }
+    }
+    externalTargets = targets.size;
+    const toCheck = [...targets].slice(0, DEFAULTS.maxExternalChecks);
+    for (let i = 0; i < toCheck.length && !signal?.aborted; i += concurrency) {
+      await Promise.all(toCheck.slice(i, i + concurrency).map(async (url) => {
+        await throttle.acquire(new URL(url).host, signal);
+        linkStatus[url] = await checkLinkStatus(url, { userAgent, timeoutMs: timeout });
+      }));
+    }
+  }
+
+  // Per-host breakdown (domain and host-list scopes cover several hosts)
+  const hosts = {};
+  for (const page of pages) {
+    let host;
+    try { host = new URL(page.url).host; } catch { continue; }
+    if (!hosts[host]) hosts[host] = { pages: 0, success: 0, errors: 0, blocked: 0, redirects: 0 };
+    const stats = hosts[host];
+    stats.pages++;
+    if (page.status === 'success') stats.success++;
+    else if (['http_error', 'fetch_error', 'redirect_loop', 'redirect_chain_too_long'].includes(page.status)) stats.errors++;
+    else if (page.status === 'blocked_robots' || page.status === 'blocked_pattern') stats.blocked++;
+    if (page.status.startsWith('redirect')) stats.redirects++;
+  }
+
+  // Pages with a non-empty value per extraction rule
+  const extraction = extract ? {
+    rules: extractionRules.map(r => r.name),
+    pages: pages.filter(p => p.extracted).length,
+    matched: Object.fromEntries(extractionRules.map(r => [
+      r.name,
+      pages.filter(p => p.extracted && matchesExtractionFilters(p, [{ name: r.name, op: 'present' }])).length,
+    ])),
+  } : null;
+
+  // Fetcher per page in render mode
+  const rendering = render ? {
+    sidecar_available: !!sidecarAvailable,
+    fetchers: pages.reduce((counts, p) => {
+      if (p.fetcher) counts[p.fetcher] = (counts[p.fetcher] || 0) + 1;
+      return counts;
+    }, {}),
+    render_errors: pages.filter(p => p.render_error).length,
+  } : null;
+
   const duration = Date.now() - startTime;
 
   return {
     start_url: normalizedStart,
-    max_pages: maxPages,
+    mode,
+    max_pages: pageLimit,
     total_pages_crawled: pages.length,
     pages,
     summary: {
       errors: errorCount,
       blocked: blockedCount,
       duplicates: duplicateCount,
+      redirects: redirectCount,
       duration_ms: duration,
-      robots_txt: robots.content ? 'found' : 'not_found',
+      scope: scope.describe(),
+      hosts,
+      robots_txt: robots.status,
+      robots_crawl_delay: robots.crawlDelay,
+      robots_warnings: robots.robots ? robots.robots.warnings.length : 0,
+      politeness: {
+        max_rps: maxRps,
+        crawl_delay_s: respectCrawlDelay ? robots.crawlDelay : null,
+        interval_ms: Math.round(throttle.intervalMs),
+        ...throttle.stats(),
+      },
+      ...(sitemapSeed ? {
+        sitemap_seed: {
+          sitemaps: sitemapSeed.sitemaps,
+          urls_in_sitemaps: sitemapSeed.urls.length,
+          not_crawled: seedQueue.length,
+        },
+      } : {}),
+      ...(extraction ? { extraction } : {}),
+      ...(rendering ? { render: rendering } : {}),
+      ...(checkExternalLinks ? {
+        link_check: {
+          external_targets: externalTargets,
+          external_checked: Object.keys(linkStatus).length,
+        },
+      } : {}),
+      ...(urlList ? {
+        url_list: {
+          submitted: urlList.submitted,
+          unique: urlList.urls.length,
+          duplicates: urlList.duplicates,
+          invalid_count: urlList.invalid_count,
+          invalid: urlList.invalid,
+          truncated: urlList.truncated,
+          sitemaps: urlList.sitemaps,
+        },
+      } : {}),
     },
+    ...(sitemapSeed ? { _sitemap_urls: sitemapSeed.urls } : {}),
+    _sitemap_hreflang: { ...urlList?.hreflang, ...sitemapSeed?.hreflang },
+    _sitemap_priorities: { ...urlList?.priorities, ...sitemapSeed?.priorities },
+    ...(search ? { search: summarizeSearch(searchRules, pages) } : {}),
+    _link_status: linkStatus,
+    ...(facetAnalysis ? {
+      _facet_params: Object.fromEntries([...facetParams].map(
+        ([key, f]) => [key, { discovered: [...f.discovered], enqueued: f.enqueued.size }],
+      )),
+    } : {}),
+    ...(signal?.aborted ? { cancelled: true } : {}),
   };
 }
 
-// ----------- route handler -----------
+// ----------- request helpers -----------
 
-seoCrawlerRouter.post('/', async (req, res) => {
-  try {
-    const body = req.body || {};
-
-    const startUrl = String(body.start_url || '').trim();
-    if (!startUrl) {
-      return res.status(400).json({
-        start_url: '',
-        max_pages: 0,
-        total_pages_crawled: 0,
-        pages: [],
-        summary: { errors: 0, blocked: 0, duplicates: 0, duration_ms: 0 },
-        error: 'start_url is required',
-      });
-    }
+function emptyResult(error) {
+  return {
+    start_url: '',
+    max_pages: 0,
+    total_pages_crawled: 0,
+    pages: [],
+    summary: { errors: 0, blocked: 0, duplicates: 0, duration_ms: 0 },
+    error,
+  };
+}
+
+/**
+ * URLs for list mode: a JSON array in `urls` or newline-delimited text in
+ * `url_list` (blank lines and # comments are skipped).
+ */
+function parseUrlList(body) {
+  if (Array.isArray(body.urls)) return body.urls.map(u => String(u).trim()).filter(Boolean);
+  if (typeof body.url_list === 'string') {
+    return body.url_list.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  }
+  return [];
+}
+
+/**
+ * Query-string options with "true" / "false" turned into booleans, so
+ * they read like the same options in a JSON body.
+ */
+function queryOptions(query) {
+  return Object.fromEntries(Object.entries(query).map(
+    ([key, value]) => [key, value === 'true' ? true : value === 'false' ? false : value],
+  ));
+}
+
+/**
+ * A plain-text upload is a newline-delimited list-mode crawl; the other
+ * options come from the query string.
+ */
+function requestBody(req) {
+  if (typeof req.body === 'string') return { ...queryOptions(req.query), mode: 'list', url_list: req.body };
+  return req.body || {};
+}
+
+/**
+ * Validate a crawl request body and turn it into a crawl() config.
+ * Returns { error } when the body is unusable.
+ */
+function buildCrawlConfig(body) {
+  const listMode = body.mode === 'list';
+  const urls = listMode ? parseUrlList(body) : [];
+  const sitemapUrl = body.sitemap_url ? String(body.sitemap_url).trim() : null;
+
+  if (listMode && urls.length === 0 && !sitemapUrl) {
+    return { error: 'List mode requires urls, url_list or sitemap_url' };
+  }
+
+  // List mode reports against the first URL's origin (or the sitemap's)
+  const startUrl = listMode
+    ? String(urls[0] || sitemapUrl).trim()
+    : String(body.start_url || '').trim();
+  if (!startUrl) return { error: 'start_url is required' };
 
-    let maxPages = Number(body.max_pages || DEFAULTS.maxPages);
-    if (isNaN(maxPages) || maxPages < 1) maxPages = 1;
-    if (maxPages > 2000) maxPages = 2000;
+  let maxPages = Number(body.max_pages || (listMode ? DEFAULTS.maxListUrls : DEFAULTS.maxPages));
+  if (isNaN(maxPages) || maxPages < 1) maxPages = 1;
+  if (maxPages > (listMode ? DEFAULTS.maxListUrls : 2000)) maxPages = listMode ? DEFAULTS.maxListUrls : 2000;
+  if (listMode && !sitemapUrl) maxPages = Math.min(maxPages, urls.length);
 
-    const config = {
+  const { rules: extractionRules, error: rulesError } = parseExtractionRules(body.extraction_rules);
+  if (rulesError) return { error: rulesError };
+  const { rules: searchRules, error: searchError } = parseSearchRules(body.search_rules);
+  if (searchError) return { error: searchError };
+
+  return {
+    config: {
       startUrl,
+      mode: listMode ? 'list' : 'crawl',
+      urls: urls.slice(0, DEFAULTS.maxListUrls),
       maxPages,
       maxDepth: Number(body.max_depth) || DEFAULTS.maxDepth,
       concurrency: Math.min(Number(body.concurrency) || DEFAULTS.concurrency, 10),
@@ -319,38 +1097,422 @@ seoCrawlerRouter.post('/', async (req, res) => {
       userAgent: body.user_agent || DEFAULTS.userAgent,
       allowPatterns: Array.isArray(body.allow_patterns) ? body.allow_patterns : [],
       denyPatterns: Array.isArray(body.deny_patterns) ? body.deny_patterns : [],
-    };
-
-    const result = await crawl(config);
+      maxRps: Math.min(Number(body.max_rps) || DEFAULTS.maxRps, 20),
+      maxRetries: body.max_retries !== undefined && !isNaN(Number(body.max_retries))
+        ? Math.max(0, Math.min(Number(body.max_retries), 5))
+        : DEFAULTS.maxRetries,
+      respectCrawlDelay: body.respect_crawl_delay !== false,
+      seedFromSitemaps: body.seed_from_sitemaps === true,
+      sitemapUrl,
+      pageAnalysis: body.page_analysis === true || body.page_analysis === 'true',
+      nearDuplicateThreshold: Math.max(0.5, Math.min(Number(body.near_duplicate_threshold) || 0.85, 1)),
+      checkExternalLinks: body.check_external_links === true || body.check_external_links === 'true',
+      pagerankDamping: Math.max(0.5, Math.min(Number(body.pagerank_damping) || 0.85, 0.95)),
+      nofollowMode: ['evaporate', 'ignore', 'follow'].includes(body.nofollow_mode) ? body.nofollow_mode : 'evaporate',
+      scope: SCOPE_MODES.includes(body.scope) ? body.scope : 'origin',
+      scopeHosts: Array.isArray(body.scope_hosts) ? body.scope_hosts.map(String) : [],
+      scopePathPrefix: body.scope_path_prefix ? String(body.scope_path_prefix) : null,
+      recordExternalLinks: body.record_external_links === true || body.record_external_links === 'true',
+      facetAnalysis: body.facet_analysis === true || body.facet_analysis === 'true',
+      extractionRules,
+      searchRules,
+      render: body.render === true || body.render === 'true',
+    },
+  };
+}
 
-    // Post-crawl analysis modules (6, 7, 9)
-    result.analysis = {};
+/**
+ * Post-crawl analysis modules (6, 7, 9, redirects, broken links,
+ * anchor text, duplicate meta, hreflang, sitemap coverage, page analysis,
+ * facets).
+ * Each module is isolated so one failure doesn't drop the others.
+ */
+function runPostCrawlAnalysis(result, config) {
+  result.analysis = {};
+  try {
+    result.analysis.internal_linking = analyzeInternalLinking(result.pages, {
+      damping: config.pagerankDamping,
+      nofollowMode: config.nofollowMode,
+      sitemapPriorities: result._sitemap_priorities || {},
+    });
+  } catch (e) {
+    result.analysis.internal_linking = { module: 'internal_linking', status: 'FAIL', error: e.message };
+  }
+  try {
+    result.analysis.crawl_depth = analyzeCrawlDepth(result.pages, config);
+  } catch (e) {
+    result.analysis.crawl_depth = { module: 'crawl_depth', status: 'FAIL', error: e.message };
+  }
+  try {
+    result.analysis.duplicate_protection = analyzeDuplicateUrls(result.pages, {
+      threshold: config.nearDuplicateThreshold,
+    });
+  } catch (e) {
+    result.analysis.duplicate_protection = { module: 'duplicate_protection', status: 'FAIL', error: e.message };
+  }
+  try {
+    result.analysis.redirects = analyzeRedirects(result.pages);
+  } catch (e) {
+    result.analysis.redirects = { module: 'redirect_report', status: 'FAIL', error: e.message };
+  }
+  try {
+    result.analysis.broken_links = analyzeBrokenLinks(result.pages, result._link_status || {});
+  } catch (e) {
+    result.analysis.broken_links = { module: 'broken_links', status: 'FAIL', error: e.message };
+  }
+  delete result._link_status;
+  try {
+    result.analysis.anchor_text = analyzeAnchorText(result.pages);
+  } catch (e) {
+    result.analysis.anchor_text = { module: 'anchor_text', status: 'FAIL', error: e.message };
+  }
+  try {
+    result.analysis.duplicate_meta = analyzeDuplicateMeta(result.pages);
+  } catch (e) {
+    result.analysis.duplicate_meta = { module: 'duplicate_meta', status: 'FAIL', error: e.message };
+  }
+  try {
+    result.analysis.hreflang = analyzeHreflang(result.pages, result._sitemap_hreflang || {});
+  } catch (e) {
+    result.analysis.hreflang = { module: 'hreflang', status: 'FAIL', error: e.message };
+  }
+  delete result._sitemap_hreflang;
+  delete result._sitemap_priorities;
+  if (result._sitemap_urls) {
     try {
-      result.analysis.internal_linking = analyzeInternalLinking(result.pages);
+      result.analysis.sitemap_coverage = analyzeSitemapCoverage(result.pages, result._sitemap_urls);
     } catch (e) {
-      result.analysis.internal_linking = { module: 'internal_linking', status: 'FAIL', error: e.message };
+      result.analysis.sitemap_coverage = { module: 'sitemap_coverage', status: 'FAIL', error: e.message };
     }
+    delete result._sitemap_urls;
+  }
+  if (config.pageAnalysis) {
     try {
-      result.analysis.crawl_depth = analyzeCrawlDepth(result.pages, config);
+      result.analysis.page_analysis = analyzePageSummary(result.pages);
     } catch (e) {
-      result.analysis.crawl_depth = { module: 'crawl_depth', status: 'FAIL', error: e.message };
+      result.analysis.page_analysis = { module: 'page_analysis', status: 'FAIL', error: e.message };
     }
+  }
+  if (result._facet_params) {
     try {
-      result.analysis.duplicate_protection = analyzeDuplicateUrls(result.pages);
+      result.analysis.facets = analyzeFacets(result.pages, result._facet_params);
     } catch (e) {
-      result.analysis.duplicate_protection = { module: 'duplicate_protection', status: 'FAIL', error: e.message };
+      result.analysis.facets = { module: 'facets', status: 'FAIL', error: e.message };
+    }
+    delete result._facet_params;
+  }
+
+  // Internal per-page data (content signatures, link details) never leaves the server
+  for (const page of result.pages) {
+    for (const key of Object.keys(page)) {
+      if (key.startsWith('_')) delete page[key];
     }
+  }
+  return result;
+}
+
+/** Small page payload for the event stream (no link lists). */
+function pageEvent(page) {
+  return {
+    url: page.url,
+    status: page.status,
+    http_status: page.http_status,
+    depth: page.depth,
+    links: page.internal_links ? page.internal_links.length : 0,
+    error: page.error,
+  };
+}
+
+/**
+ * Job runner that checkpoints crawl state under the job id. The
+ * checkpoint is removed once the crawl completes; failed and cancelled
+ * crawls keep theirs so they can be resumed.
+ */
+function checkpointedRunner(config, resumeState = null) {
+  return async (hooks) => {
+    const { http } = recordedHttpContext(config, hooks.id, { append: !!resumeState });
+    const onCheckpoint = (state, { pages, pagesFrom }) => saveCheckpoint(hooks.id, {
+      config,
+      status: hooks.signal.aborted ? 'cancelled' : 'running',
+      state,
+      pages,
+      pagesFrom,
+    });
+
+    const result = await runWithHttpContext(http, () => crawl(config, { ...hooks, onCheckpoint, resumeState }));
+    if (!hooks.signal.aborted) await deleteCheckpoint(hooks.id);
+
+    result.crawl_id = hooks.id;
+    result.har_url = harDownloadPath(hooks.id);
+    return runPostCrawlAnalysis(result, config);
+  };
+}
+
+/**
+ * HTTP context recording a crawl's requests (no response cache: pages are
+ * fetched once), downloadable as a HAR file under `harId` (the job id
+ * for crawl jobs). A resumed job appends to the original run's recording.
+ */
+function recordedHttpContext(config, id, { append = false } = {}) {
+  const http = createHttpContext({ cache: false, maxEntries: MAX_HAR_REQUESTS });
+  const harId = saveHarRecording(http, { id, title: `crawl ${config.startUrl || ''}`, append });
+  return { http, harId };
+}
 
+/**
+ * Send a crawl result's link graph as a file download.
+ */
+function sendLinkGraph(res, result, format) {
+  const graph = exportLinkGraph(result.pages, format);
+  let host = 'crawl';
+  try { host = new URL(result.start_url).hostname; } catch { /* ignore */ }
+  res.set({
+    'Content-Type': graph.contentType,
+    'Content-Disposition': `attachment; filename="crawl-${host}.${graph.extension}"`,
+  });
+  return res.send(graph.body);
+}
+
+/**
+ * Page records matching a status list and extraction filters
+ * (see parseExtractionFilter). Returns { error } on a bad filter.
+ */
+function filterPages(pages, { filter, status } = {}) {
+  let filters;
+  try {
+    filters = [].concat(filter || []).map(parseExtractionFilter);
+  } catch (e) {
+    return { error: e.message };
+  }
+  const statuses = status ? String(status).split(',') : null;
+  return {
+    pages: pages.filter(p => (!statuses || statuses.includes(p.status)) && matchesExtractionFilters(p, filters)),
+  };
+}
+
+function jobResponse(req, job) {
+  const base = `${req.baseUrl}/jobs/${job.id}`;
+  return {
+    ...describeCrawlJob(job),
+    status_url: base,
+    events_url: `${base}/events`,
+    cancel_url: `${base}/cancel`,
+    resume_url: `${base}/resume`,
+    har_url: harDownloadPath(job.id),
+  };
+}
+
+function writeSse(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// ----------- route handlers -----------
+
+// Newline-delimited URL uploads (list mode)
+const textBody = text({ type: 'text/plain', limit: '5mb' });
+
+seoCrawlerRouter.post('/', textBody, async (req, res) => {
+  try {
+    const body = requestBody(req);
+    const { config, error } = buildCrawlConfig(body);
+    if (error) return res.status(400).json(emptyResult(error));
+
+    // Optional graph export instead of the JSON result
+    const format = req.query.format || body.format || 'json';
+    if (format !== 'json' && !GRAPH_FORMATS[format]) {
+      return res.status(400).json(emptyResult(`format must be json, ${Object.keys(GRAPH_FORMATS).join(', ')}`));
+    }
+
+    // Optional page filter on extracted values, applied after the analysis
+    const pageFilter = body.page_filter ? { filter: body.page_filter, status: body.page_status } : null;
+    if (pageFilter) {
+      const { error: filterError } = filterPages([], pageFilter);
+      if (filterError) return res.status(400).json(emptyResult(filterError));
+    }
+
+    const { http, harId } = recordedHttpContext(config);
+    const result = await runWithHttpContext(http, () => crawl(config));
+    result.har_url = harDownloadPath(harId);
+    runPostCrawlAnalysis(result, config);
+
+    if (format !== 'json') return sendLinkGraph(res, result, format);
+    if (pageFilter) {
+      result.pages = filterPages(result.pages, pageFilter).pages;
+      result.pages_matched = result.pages.length;
+    }
     return res.json(result);
   } catch (error) {
     console.error('seo-site-crawler error:', error);
-    return res.status(500).json({
-      start_url: '',
-      max_pages: 0,
-      total_pages_crawled: 0,
-      pages: [],
-      summary: { errors: 0, blocked: 0, duplicates: 0, duration_ms: 0 },
-      error: error.message || 'Internal server error',
+    return res.status(500).json(emptyResult(error.message || 'Internal server error'));
+  }
+});
+
+// Start an asynchronous crawl job. Returns immediately with the job id.
+seoCrawlerRouter.post('/jobs', textBody, (req, res) => {
+  try {
+    const { config, error } = buildCrawlConfig(requestBody(req));
+    if (error) return res.status(400).json({ error });
+
+    const job = createCrawlJob(config, checkpointedRunner(config));
+    return res.status(202).json(jobResponse(req, job));
+  } catch (error) {
+    console.error('seo-site-crawler job error:', error);
+    return res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Crawls with a stored checkpoint that can be resumed.
+seoCrawlerRouter.get('/checkpoints', async (_req, res) => {
+  try {
+    return res.json({ checkpoints: await listCheckpoints() });
+  } catch (error) {
+    console.error('seo-site-crawler checkpoints error:', error);
+    return res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Resume a crawl from its last checkpoint, under the same id and config.
+seoCrawlerRouter.post('/jobs/:id/resume', async (req, res) => {
+  const { id } = req.params;
+  if (resumingJobs.has(id)) return res.status(409).json({ error: 'Job is already being resumed' });
+  try {
+    const existing = getCrawlJob(id);
+    if (existing && !isCrawlJobFinished(existing)) {
+      return res.status(409).json({ ...describeCrawlJob(existing), error: 'Job is still running' });
+    }
+
+    resumingJobs.add(id);
+    const checkpoint = await loadCheckpoint(id);
+    if (!checkpoint) {
+      return res.status(404).json({ error: `No checkpoint for crawl: ${id}` });
+    }
+
+    const { config, state } = checkpoint;
+    const job = createCrawlJob(config, checkpointedRunner(config, state), { id: checkpoint.id });
+    job.progress = {
+      ...job.progress,
+      pages_crawled: state.pages.length,
+      queue_size: state.queue.length + (state.seed_queue?.length || 0),
+      errors: state.counters.errors,
+      blocked: state.counters.blocked,
+      duplicates: state.counters.duplicates,
+      redirects: state.counters.redirects || 0,
+    };
+    return res.status(202).json({ ...jobResponse(req, job), resumed_from: checkpoint.saved_at });
+  } catch (error) {
+    console.error('seo-site-crawler resume error:', error);
+    return res.status(500).json({ error: error.message || 'Internal server error' });
+  } finally {
+    resumingJobs.delete(id);
+  }
+});
+
+// Job status; includes the crawl result once the job has finished.
+seoCrawlerRouter.get('/jobs/:id', (req, res) => {
+  const job = getCrawlJob(req.params.id);
+  if (!job) return res.status(404).json({ error: `Unknown crawl job: ${req.params.id}` });
+  return res.json(describeCrawlJob(job, { includeResult: isCrawlJobFinished(job) }));
+});
+
+// Link graph of a finished job as GraphML, GEXF, DOT or CSV (?format=).
+seoCrawlerRouter.get('/jobs/:id/graph', (req, res) => {
+  try {
+    const job = getCrawlJob(req.params.id);
+    if (!job) return res.status(404).json({ error: `Unknown crawl job: ${req.params.id}` });
+    if (!job.result) {
+      return res.status(409).json({ ...describeCrawlJob(job), error: 'Job has no result yet' });
+    }
+
+    const format = String(req.query.format || 'graphml');
+    if (!GRAPH_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of ${Object.keys(GRAPH_FORMATS).join(', ')}` });
+    }
+    return sendLinkGraph(res, job.result, format);
+  } catch (error) {
+    console.error('seo-site-crawler graph export error:', error);
+    return res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Pages of a finished job, filtered by ?status=success,http_error and
+// repeatable ?filter= expressions on extracted values; ?offset= / ?limit= page.
+seoCrawlerRouter.get('/jobs/:id/pages', (req, res) => {
+  try {
+    const job = getCrawlJob(req.params.id);
+    if (!job) return res.status(404).json({ error: `Unknown crawl job: ${req.params.id}` });
+    if (!job.result) {
+      return res.status(409).json({ ...describeCrawlJob(job), error: 'Job has no result yet' });
+    }
+
+    const { pages, error } = filterPages(job.result.pages, req.query);
+    if (error) return res.status(400).json({ error });
+
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    const limit = Math.max(1, Math.min(Number(req.query.limit) || 100, 1000));
+    return res.json({
+      job_id: job.id,
+      total_pages: job.result.pages.length,
+      matched: pages.length,
+      offset,
+      limit,
+      pages: pages.slice(offset, offset + limit),
     });
+  } catch (error) {
+    console.error('seo-site-crawler pages error:', error);
+    return res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Server-Sent Events stream: progress, per-page results and a final done event.
+seoCrawlerRouter.get('/jobs/:id/events', (req, res) => {
+  const job = getCrawlJob(req.params.id);
+  if (!job) return res.status(404).json({ error: `Unknown crawl job: ${req.params.id}` });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  writeSse(res, 'status', describeCrawlJob(job));
+  if (isCrawlJobFinished(job)) {
+    writeSse(res, 'done', describeCrawlJob(job));
+    return res.end();
+  }
+
+  const onStatus = () => writeSse(res, 'status', describeCrawlJob(job));
+  const onProgress = (progress) => writeSse(res, 'progress', progress);
+  const onPage = (page) => writeSse(res, 'page', pageEvent(page));
+  const onDone = (summary) => {
+    writeSse(res, 'done', summary);
+    cleanup();
+    res.end();
+  };
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    job.events.off('status', onStatus);
+    job.events.off('progress', onProgress);
+    job.events.off('page', onPage);
+    job.events.off('done', onDone);
+  }
+
+  job.events.on('status', onStatus);
+  job.events.on('progress', onProgress);
+  job.events.on('page', onPage);
+  job.events.on('done', onDone);
+  req.on('close', cleanup);
+});
+
+// Cancel a running job. The partial result is kept and returned by GET /jobs/:id.
+seoCrawlerRouter.post('/jobs/:id/cancel', (req, res) => {
+  const job = getCrawlJob(req.params.id);
+  if (!job) return res.status(404).json({ error: `Unknown crawl job: ${req.params.id}` });
+  if (!cancelCrawlJob(job.id)) {
+    return res.status(409).json({ ...describeCrawlJob(job), error: `Job already ${job.status}` });
   }
+  return res.status(202).json(describeCrawlJob(job));
 });
@@ -3,7 +3,20 @@
  * and (optionally) all News SEO modules, returning a structured
  * sections-based report.
  *
- * POST /api/unified-audit  { url: string, mode: "technical" | "news" }
+ * POST /api/unified-audit  { url: string, mode: "technical" | "news", crawl_job_id?: string, render?: boolean,
+ *                           render_diff?: boolean, user_agent?: string, request_headers?: object }
+ * (`crawlJobId` and `renderDiff` are accepted as aliases.)
+ *
+ * With `crawl_job_id` (a finished crawl job) the site-wide duplicate
+ * title / description / H1 flags are filled in from that crawl.
+ * With `render: true` the page is fetched through the Scrapling
+ * sidecar's headless browser and the response names the fetcher used.
+ * With `render` or `render_diff` a JavaScript SEO section compares the raw
+ * and rendered HTML.
+ * Every fetch of one audit goes through one HTTP context (shared cache,
+ * `user_agent` / `request_headers` applied); its log is returned as
+ * `request_log` and `har_url` downloads every request as a HAR file, as
+ * for the other audit endpoints.
  */
 import { Router } from 'express';
 import { analyzeTechnical, generateRecommendations } from '../lib/technical-checks.js';
@@ -16,10 +29,17 @@ import { analyzeAmp } from '../lib/modules/amp-validator.js';
 import { analyzeFreshness } from '../lib/modules/freshness-analyzer.js';
 import { analyzeMigrationIntegrity } from '../lib/modules/migration-checks.js';
 import { normalizeUrl } from '../lib/url-utils.js';
+import { getCrawlJob } from '../lib/crawl-jobs.js';
+import { duplicateMetaFlags } from '../lib/modules/duplicate-meta.js';
+import { smartFetch } from '../lib/scrapling-client.js';
+import { analyzeRenderDiff } from '../lib/modules/render-diff.js';
+import { httpFetch, withHttpContext, DEFAULT_USER_AGENT } from '../lib/http-client.js';
+import { auditRecording } from '../lib/har-export.js';
 
 export const unifiedAuditRouter = Router();
 
 const FETCH_TIMEOUT = 15000;
+const RENDER_TIMEOUT_S = 30; // headless rendering waits for the network to go idle
 
 // ── helpers ─────────────────────────────────────────────────────
 
@@ -47,6 +67,34 @@ function sectionStatus(score) {
   return 'FAIL';
 }
 
+/**
+ * Copy duplicate-meta flags for `url` from a crawl job into the technical
+ * result. Returns the crawl context for the response, or null.
+ */
+function applyCrawlContext(technical, url, crawlJobId) {
+  if (!crawlJobId) return null;
+  const job = getCrawlJob(crawlJobId);
+  if (!job || !job.result?.pages) {
+    return { crawl_id: crawlJobId, status: job ? job.status : 'not_found', matched: false };
+  }
+
+  const flags = duplicateMetaFlags(job.result.pages, url);
+  if (flags.found) {
+    technical.technical_seo.duplicate_title = flags.duplicate_title;
+    technical.technical_seo.duplicate_description = flags.duplicate_description;
+    technical.technical_seo.duplicate_h1 = flags.duplicate_h1;
+  }
+  return {
+    crawl_id: crawlJobId,
+    status: job.status,
+    pages: job.result.pages.length,
+    matched: flags.found,
+    title_duplicates: flags.title_duplicates,
+    description_duplicates: flags.description_duplicates,
+    h1_duplicates: flags.h1_duplicates,
+  };
+}
+
 // ── Section builders ────────────────────────────────────────────
 
 function buildIndexabilitySection(t) {
@@ -368,7 +416,7 @@ function buildFreshnessSection(freshnessModule) {
   return { id: 'freshness', title: 'Freshness Signals', tooltip: 'Date signals across JSON-LD, meta tags, HTTP headers, and sitemaps.', score, status: sectionStatus(score), checks };
 }
 
-function buildContentSection(t) {
+function buildContentSection(t, crawlContext) {
   const checks = [];
   const titleLen = t.meta.title?.length || 0;
   checks.push(ck('title_tag', 'Title tag', !!t.meta.title && titleLen >= 10 && titleLen <= 70, titleLen === 0 ? 'critical' : 'high',
@@ -389,6 +437,20 @@ function buildContentSection(t) {
       `${t.content_analysis.headings.h1.length} H1 tags found`, 'Use only one H1 per page'));
   }
 
+  // Site-wide duplicates are only known with crawl context
+  if (crawlContext?.matched) {
+    const dupEvidence = (urls) => `Also used on ${urls.length} page(s): ${urls.slice(0, 3).join(', ')}`;
+    checks.push(ck('duplicate_title', 'Unique title', !t.technical_seo.duplicate_title, 'high',
+      t.technical_seo.duplicate_title ? dupEvidence(crawlContext.title_duplicates) : `Unique across ${crawlContext.pages} crawled pages`,
+      t.technical_seo.duplicate_title ? 'Rewrite the title so it is unique on the site' : null));
+    checks.push(ck('duplicate_description', 'Unique meta description', !t.technical_seo.duplicate_description, 'medium',
+      t.technical_seo.duplicate_description ? dupEvidence(crawlContext.description_duplicates) : `Unique across ${crawlContext.pages} crawled pages`,
+      t.technical_seo.duplicate_description ? 'Write a page-specific meta description' : null));
+    checks.push(ck('duplicate_h1', 'Unique H1', !t.technical_seo.duplicate_h1, 'low',
+      t.technical_seo.duplicate_h1 ? dupEvidence(crawlContext.h1_duplicates) : `Unique across ${crawlContext.pages} crawled pages`,
+      t.technical_seo.duplicate_h1 ? 'Differentiate the H1 from other pages' : null));
+  }
+
   checks.push(ck('word_count', 'Word count', t.meta.word_count >= 300, 'medium',
     `${t.meta.word_count} words`, t.meta.word_count < 300 ? 'Add more content (min 300 words)' : null));
 
@@ -414,13 +476,16 @@ function buildLinksSection(t) {
     t.site_structure.internal_link_count < 3 ? 'Add more internal links' : null));
   checks.push(ck('external_links', 'External links', null, 'low',
     `${t.site_structure.external_link_count} external link(s)`, null));
+  const brokenList = (internal) => (t.technical_seo.broken_links || [])
+    .filter(l => l.internal === internal).slice(0, 5)
+    .map(l => `${l.url} (${l.status || l.error})`).join(', ');
   if (t.technical_seo.broken_internal_links > 0) {
     checks.push(ck('broken_internal', 'Broken internal links', false, 'high',
-      `${t.technical_seo.broken_internal_links} broken internal link(s)`, 'Fix or remove broken links'));
+      `${t.technical_seo.broken_internal_links} broken internal link(s): ${brokenList(true)}`, 'Fix or remove broken links'));
   }
   if (t.technical_seo.broken_external_links > 0) {
     checks.push(ck('broken_external', 'Broken external links', false, 'medium',
-      `${t.technical_seo.broken_external_links} broken external link(s)`, 'Fix or remove broken links'));
+      `${t.technical_seo.broken_external_links} broken external link(s): ${brokenList(false)}`, 'Fix or remove broken links'));
   }
   checks.push(ck('orphan_risk', 'Orphan risk', t.site_structure.orphan_risk_score <= 50, t.site_structure.orphan_risk_score > 50 ? 'high' : 'low',
     `Orphan risk score: ${t.site_structure.orphan_risk_score}%`,
@@ -430,6 +495,63 @@ function buildLinksSection(t) {
   return { id: 'links', title: 'Links & Structure', tooltip: 'Internal/external links, broken links, and orphan page risk.', score, status: sectionStatus(score), checks };
 }
 
+// ── JavaScript SEO section (raw vs. rendered HTML) ─────────────
+
+const RENDER_DIFF_ELEMENTS = [
+  ['canonical', 'Canonical', 'critical'],
+  ['robots', 'Meta robots', 'critical'],
+  ['title', 'Title', 'high'],
+  ['description', 'Meta description', 'medium'],
+  ['h1', 'H1', 'high'],
+  ['json_ld', 'JSON-LD', 'high'],
+  ['internal_links', 'Internal links', 'medium'],
+  ['word_count', 'Word count', 'medium'],
+];
+
+function renderDiffEvidence(key, e) {
+  if (key === 'json_ld') {
+    return `Raw: ${e.raw_types.join(', ') || 'none'} · Rendered: ${e.rendered_types.join(', ') || 'none'}`;
+  }
+  if (key === 'internal_links') {
+    return `${e.raw} in raw HTML, ${e.rendered} rendered, ${e.rendered_only} only after rendering`;
+  }
+  if (key === 'word_count') return `${e.raw} words in raw HTML vs. ${e.rendered} rendered`;
+  if (key === 'h1') return `Raw: ${e.raw.join(' | ') || 'none'} · Rendered: ${e.rendered.join(' | ') || 'none'}`;
+  return `Raw: ${e.raw ?? 'none'} · Rendered: ${e.rendered ?? 'none'}`;
+}
+
+function buildRenderDiffSection(renderDiff) {
+  if (!renderDiff) return null;
+  const checks = [];
+
+  if (!renderDiff.rendered) {
+    checks.push(ck('render_available', 'Rendered HTML', null, 'medium',
+      renderDiff.issues[0]?.message || 'Rendered HTML unavailable', 'Run the Scrapling sidecar with headless browser support'));
+  } else {
+    for (const [key, label, severity] of RENDER_DIFF_ELEMENTS) {
+      const e = renderDiff.elements[key];
+      const renderedOnly = e.change === 'rendered_only'
+        || (key === 'internal_links' && e.rendered_only > 0)
+        || (key === 'json_ld' && e.rendered_only_types.length > 0);
+      const changed = e.change === 'changed' || e.change === 'removed_by_rendering';
+      // A canonical or robots directive rewritten by JavaScript is a conflicting signal
+      const pass = renderedOnly ? false : changed ? (severity === 'critical' ? false : null) : true;
+      checks.push(ck(`render_${key}`, `${label} in raw HTML`, pass, severity, renderDiffEvidence(key, e),
+        pass === true ? null : 'Serve this element in the server-rendered HTML instead of injecting or changing it with JavaScript'));
+    }
+  }
+
+  const score = sectionScore(checks);
+  return {
+    id: 'javascript_seo',
+    title: 'JavaScript SEO',
+    tooltip: `Raw HTML vs. HTML rendered by ${renderDiff.fetcher || 'a headless browser'}: elements injected or changed client-side.`,
+    score,
+    status: sectionStatus(score),
+    checks,
+  };
+}
+
 // ── Migration Integrity section (Module J) ─────────────────────
 
 function buildMigrationSection(migrationData) {
@@ -800,28 +922,49 @@ function computeEligibility(technical, newsModules, html, discoveryData) {
   };
 }
 
+/**
+ * Fetch through the sidecar's headless browser (native fetch when the
+ * sidecar is down) and wrap the result in a Response.
+ */
+async function fetchRendered(url, userAgent) {
+  const fetched = await smartFetch(url, { headless: true, timeout: RENDER_TIMEOUT_S, userAgent, module: 'unified_audit' });
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(fetched.headers || {})) {
+    try { headers.append(name, String(value)); } catch { /* invalid header from the browser */ }
+  }
+  const status = fetched.status >= 200 && fetched.status <= 599 ? fetched.status : 200;
+  return {
+    response: new Response([204, 205, 304].includes(status) ? null : (fetched.html ?? ''), { status, headers }),
+    fetcher: fetched.source === 'scrapling' ? fetched.fetcher || 'StealthyFetcher' : 'native',
+  };
+}
+
 // ── Route handler ───────────────────────────────────────────────
 
-unifiedAuditRouter.post('/', async (req, res) => {
+unifiedAuditRouter.post('/', withHttpContext(), async (req, res) => {
   const startTime = Date.now();
+  const recording = () => auditRecording(req.httpContext, `unified-audit ${req.body?.url || ''}`);
   try {
-    const { url, mode = 'technical', sitemapOverrideUrl = null } = req.body || {};
+    const body = req.body || {};
+    const { url, mode = 'technical', sitemapOverrideUrl = null, render = false } = body;
+    // camelCase spellings are kept as aliases
+    const crawlJobId = body.crawl_job_id ?? body.crawlJobId ?? null;
+    const renderDiff = body.render_diff ?? body.renderDiff ?? false;
     if (!url) {
       return res.status(400).json({ url: '', mode, status: 'error', error: 'URL is required', summary: {}, sections: [] });
     }
 
-    // 1. Fetch the page once
-    let html = '', httpHeaders = {};
-    const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+    // 1. Fetch the page once (rendered by the sidecar when asked)
+    let html = '', httpHeaders = {}, fetcher = 'native';
     try {
-      const response = await fetch(url, {
-        redirect: 'follow', signal: controller.signal,
-        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; SEO-Analyzer/1.0)', Accept: 'text/html,application/xhtml+xml' },
-      });
-      clearTimeout(timer);
+      let response;
+      if (render) {
+        ({ response, fetcher } = await fetchRendered(url, req.httpContext.userAgent || DEFAULT_USER_AGENT));
+      } else {
+        response = await httpFetch(url, { module: 'unified_audit', timeoutMs: FETCH_TIMEOUT, headers: { Accept: 'text/html,application/xhtml+xml' } });
+      }
       if (!response.ok) {
-        return res.status(502).json({ url, mode, status: 'error', error: `HTTP ${response.status}`, summary: {}, sections: [], duration_ms: Date.now() - startTime });
+        return res.status(502).json({ url, mode, status: 'error', error: `HTTP ${response.status}`, summary: {}, sections: [], duration_ms: Date.now() - startTime, ...recording() });
       }
       html = await response.text();
       httpHeaders = {
@@ -830,9 +973,8 @@ unifiedAuditRouter.post('/', async (req, res) => {
         'x-robots-tag': response.headers.get('x-robots-tag'),
       };
     } catch (err) {
-      clearTimeout(timer);
       let msg = err.message || 'Unknown fetch error';
-      if (err.name === 'AbortError') msg = 'Request timed out — the target server did not respond within 15 seconds.';
+      if (err.name === 'AbortError') msg = `Request timed out — the target server did not respond within ${render ? RENDER_TIMEOUT_S : FETCH_TIMEOUT / 1000} seconds.`;
       else if (err.cause?.code === 'EAI_AGAIN' || err.cause?.code === 'ENOTFOUND')
         msg = `DNS resolution failed for "${new URL(url).hostname}". Check the URL or your network/DNS settings.`;
       else if (err.cause?.code === 'ECONNREFUSED')
@@ -840,11 +982,12 @@ unifiedAuditRouter.post('/', async (req, res) => {
       else if (err.cause?.code === 'ECONNRESET' || err.cause?.code === 'UND_ERR_SOCKET')
         msg = `Connection reset by ${new URL(url).hostname}. Possible TLS or firewall issue.`;
       else if (msg === 'fetch failed' && err.cause) msg = err.cause.message || msg;
-      return res.status(502).json({ url, mode, status: 'error', error: msg, summary: {}, sections: [], duration_ms: Date.now() - startTime });
+      return res.status(502).json({ url, mode, status: 'error', error: msg, summary: {}, sections: [], duration_ms: Date.now() - startTime, ...recording() });
     }
 
     // 2. Run technical analysis (always)
     const technical = await analyzeTechnical(html, url);
+    const crawlContext = applyCrawlContext(technical, url, crawlJobId);
     technical.recommendations = generateRecommendations(technical);
 
     // 3. Run multi-strategy sitemap discovery (both modes)
@@ -915,9 +1058,22 @@ unifiedAuditRouter.post('/', async (req, res) => {
       if (dupSection) sections.push(dupSection);
     }
 
-    sections.push(buildContentSection(technical));
+    sections.push(buildContentSection(technical, crawlContext));
     sections.push(buildLinksSection(technical));
 
+    // JavaScript SEO: the page already fetched is one side of the comparison
+    if (render || renderDiff) {
+      let renderDiffData;
+      try {
+        renderDiffData = await analyzeRenderDiff(url, fetcher === 'native'
+          ? { rawHtml: html }
+          : { renderedHtml: html, fetcher });
+      } catch (err) {
+        renderDiffData = { module: 'render_diff', status: 'FAIL', rendered: false, issues: [{ level: 'high', message: err.message }] };
+      }
+      sections.push(buildRenderDiffSection(renderDiffData));
+    }
+
     // 6. Summary
     let pass = 0, warning = 0, fail = 0;
     for (const s of sections) {
@@ -948,10 +1104,13 @@ unifiedAuditRouter.post('/', async (req, res) => {
       summary: { score: overallScore, pass, warning, fail, duration_ms: Date.now() - startTime },
       ...(eligibilityData ? { eligibility: eligibilityData } : {}),
       ...(sitemapDiscovery ? { sitemapDiscovery } : {}),
+      ...(crawlContext ? { crawlContext } : {}),
+      ...(render ? { fetcher } : {}),
       sections,
+      ...recording(),
     });
   } catch (error) {
     console.error('unified-audit error:', error);
-    return res.status(500).json({ url: req.body?.url || '', mode: req.body?.mode || 'technical', status: 'error', error: error.message, summary: {}, sections: [], duration_ms: Date.now() - startTime });
+    return res.status(500).json({ url: req.body?.url || '', mode: req.body?.mode || 'technical', status: 'error', error: error.message, summary: {}, sections: [], duration_ms: Date.now() - startTime, ...recording() });
   }
 });
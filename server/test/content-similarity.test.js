@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractMainContent, contentSignature, sketchSimilarity, findSimilarPairs,
+} from '../lib/content-similarity.js';
+
+// Deterministic pseudo-random words
+function wordList(count, seed) {
+  let s = seed;
+  return Array.from({ length: count }, () => {
+    s = (s * 1103515245 + 12345) % 2147483648;
+    return `w${s % 50000}`;
+  });
+}
+
+function page(words) {
+  return `<html><body><nav>Home About</nav><main>${words.join(' ')}</main><footer>Footer</footer></body></html>`;
+}
+
+/** Exact Jaccard of two pages' 5-word shingle sets. */
+function shingleJaccard(a, b) {
+  const shingles = (words) => new Set(words.map((_, i) => words.slice(i, i + 5).join(' ')).slice(0, words.length - 4));
+  const sa = shingles(a);
+  const sb = shingles(b);
+  const both = [...sa].filter(s => sb.has(s)).length;
+  return both / (sa.size + sb.size - both);
+}
+
+test('extractMainContent prefers <main> and drops boilerplate', () => {
+  const text = extractMainContent('<body><nav>Menu</nav><main><p>Hello <b>world</b></p></main><script>x()</script></body>');
+  assert.equal(text, 'Hello world');
+});
+
+test('contentSignature skips short pages', () => {
+  const sig = contentSignature(page(['too', 'short']));
+  assert.equal(sig.minhash, null);
+  assert.equal(sig.sketch, null);
+  assert.equal(sig.words, 2);
+});
+
+test('identical content gives similarity 1 and the same hash', () => {
+  const words = wordList(300, 1);
+  const a = contentSignature(page(words));
+  const b = contentSignature(`<article>${words.join(' ')}</article>`);
+  assert.equal(a.hash, b.hash);
+  assert.equal(sketchSimilarity(a.sketch, b.sketch), 1);
+});
+
+test('sketch similarity is the exact shingle Jaccard for pages within the sketch', () => {
+  const base = wordList(400, 7);
+  const edited = base.slice();
+  for (const i of [20, 120, 220, 320]) edited[i] = `edit${i}`;
+  const a = contentSignature(page(base));
+  const b = contentSignature(page(edited));
+  assert.ok(Math.abs(sketchSimilarity(a.sketch, b.sketch) - shingleJaccard(base, edited)) < 1e-9);
+});
+
+test('pairs just above the threshold are always found', () => {
+  for (let seed = 1; seed <= 40; seed++) {
+    const base = wordList(600, seed);
+    const edited = base.slice();
+    edited[100] = 'changed';
+    edited[400] = 'changed';
+    const jaccard = shingleJaccard(base, edited);
+    assert.ok(jaccard > 0.85 && jaccard < 0.99);
+
+    const items = [
+      { id: 'a', ...contentSignature(page(base)) },
+      { id: 'b', ...contentSignature(page(edited)) },
+      { id: 'c', ...contentSignature(page(wordList(600, seed + 1000))) },
+    ];
+    const pairs = findSimilarPairs(items, 0.85);
+    assert.deepEqual(pairs.map(p => [p.a, p.b]), [['a', 'b']]);
+    assert.ok(Math.abs(pairs[0].similarity - jaccard) < 1e-9);
+  }
+});
+
+test('signatures without a sketch fall back to the MinHash estimate', () => {
+  const words = wordList(300, 3);
+  const { minhash } = contentSignature(page(words));
+  const pairs = findSimilarPairs([{ id: 'a', minhash }, { id: 'b', minhash: minhash.slice() }], 0.85);
+  assert.equal(pairs.length, 1);
+  assert.equal(pairs[0].similarity, 1);
+});
@@ -0,0 +1,60 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFile, mkdtemp, readdir, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const dir = await mkdtemp(join(tmpdir(), 'crawl-checkpoints-'));
+process.env.CRAWL_CHECKPOINT_DIR = dir;
+const { saveCheckpoint, loadCheckpoint, deleteCheckpoint, listCheckpoints } = await import('../lib/crawl-checkpoints.js');
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+const config = { startUrl: 'https://example.com/', maxPages: 10 };
+const page = (n) => ({ url: `https://example.com/${n}`, status: 'success', internal_links: [] });
+const state = (queue) => ({ visited: [], queue, counters: { errors: 0, blocked: 0, duplicates: 0, redirects: 0 } });
+
+test('checkpoints append new pages and rewrite only the crawl state', async () => {
+  await saveCheckpoint('job-a', { config, status: 'running', state: state(['/1', '/2']), pages: [page(0), page(1)], pagesFrom: 0 });
+  const { size } = await stat(join(dir, 'job-a.pages.ndjson'));
+  await saveCheckpoint('job-a', { config, status: 'running', state: state(['/3']), pages: [page(2)], pagesFrom: 2 });
+  await saveCheckpoint('job-a', { config, status: 'cancelled', state: state([]), pages: [], pagesFrom: 3 });
+
+  assert.ok((await stat(join(dir, 'job-a.pages.ndjson'))).size > size);
+  const checkpoint = await loadCheckpoint('job-a');
+  assert.equal(checkpoint.status, 'cancelled');
+  assert.deepEqual(checkpoint.state.queue, []);
+  assert.equal(checkpoint.state.pages_saved, 3);
+  assert.deepEqual(checkpoint.state.pages.map(p => p.url), [0, 1, 2].map(n => `https://example.com/${n}`));
+});
+
+test('pages from a checkpoint that never completed are dropped on load', async () => {
+  await saveCheckpoint('job-b', { config, status: 'running', state: state([]), pages: [page(0)], pagesFrom: 0 });
+  const pagesFile = join(dir, 'job-b.pages.ndjson');
+  const { size } = await stat(pagesFile);
+  await appendFile(pagesFile, `${JSON.stringify(page(1))}\n{"url":"https://exa`);
+
+  const checkpoint = await loadCheckpoint('job-b');
+  assert.deepEqual(checkpoint.state.pages.map(p => p.url), ['https://example.com/0']);
+  assert.equal((await stat(pagesFile)).size, size);
+
+  // The resumed crawl appends right after the pages it started from
+  await saveCheckpoint('job-b', { config, status: 'running', state: state([]), pages: [page(2)], pagesFrom: 1 });
+  assert.deepEqual((await loadCheckpoint('job-b')).state.pages.map(p => p.url), ['https://example.com/0', 'https://example.com/2']);
+});
+
+test('a new crawl starts a new page file', async () => {
+  await saveCheckpoint('job-c', { config, status: 'running', state: state([]), pages: [page(0), page(1)], pagesFrom: 0 });
+  await saveCheckpoint('job-c', { config, status: 'running', state: state([]), pages: [page(5)], pagesFrom: 0 });
+  assert.deepEqual((await loadCheckpoint('job-c')).state.pages.map(p => p.url), ['https://example.com/5']);
+});
+
+test('listing reads page counts without loading pages, and delete removes both files', async () => {
+  const listed = await listCheckpoints();
+  assert.deepEqual(listed.map(c => [c.crawl_id, c.pages_crawled]).sort(), [['job-a', 3], ['job-b', 2], ['job-c', 1]]);
+  assert.equal(listed.find(c => c.crawl_id === 'job-a').start_url, 'https://example.com/');
+
+  for (const id of ['job-a', 'job-b', 'job-c']) await deleteCheckpoint(id);
+  assert.deepEqual(await readdir(dir), []);
+  assert.equal(await loadCheckpoint('job-a'), null);
+});
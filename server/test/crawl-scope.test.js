@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registrableDomain, createCrawlScope } from '../lib/crawl-scope.js';
+import { shouldDenyUrl } from '../lib/url-utils.js';
+
+test('registrableDomain strips subdomains down to the public suffix plus one label', () => {
+  assert.equal(registrableDomain('www.example.com'), 'example.com');
+  assert.equal(registrableDomain('news.bbc.co.uk'), 'bbc.co.uk');
+  assert.equal(registrableDomain('M.Example.COM.'), 'example.com');
+  assert.equal(registrableDomain('example.com'), 'example.com');
+  assert.equal(registrableDomain('127.0.0.1'), '127.0.0.1');
+  assert.equal(registrableDomain('localhost'), 'localhost');
+});
+
+test('origin scope is the exact scheme, host and port', () => {
+  const { inScope } = createCrawlScope('https://www.example.com/news/');
+  assert.ok(inScope('https://www.example.com/'));
+  assert.ok(inScope('https://www.example.com:443/sports'));
+  assert.equal(inScope('http://www.example.com/'), false);
+  assert.equal(inScope('https://example.com/'), false);
+  assert.equal(inScope('https://www.example.com:8443/'), false);
+});
+
+test('domain scope covers every subdomain and either scheme', () => {
+  const scope = createCrawlScope('https://www.example.co.uk/', { mode: 'domain' });
+  assert.ok(scope.inScope('http://example.co.uk/'));
+  assert.ok(scope.inScope('https://m.example.co.uk/a'));
+  assert.ok(scope.inScope('https://a.b.example.co.uk/'));
+  assert.equal(scope.inScope('https://notexample.co.uk/'), false);
+  assert.equal(scope.inScope('https://example.co.uk.evil.com/'), false);
+  assert.equal(scope.inScope('https://other.co.uk/'), false);
+  assert.deepEqual(scope.describe(), { mode: 'domain', domain: 'example.co.uk', path_prefix: null });
+});
+
+test('hosts scope is the start host plus the listed hosts', () => {
+  const scope = createCrawlScope('https://example.com/', { mode: 'hosts', hosts: [' CDN.example.net ', 'localhost:8080', ''] });
+  assert.ok(scope.inScope('http://example.com/'));
+  assert.ok(scope.inScope('https://cdn.example.net/a'));
+  assert.ok(scope.inScope('http://localhost:8080/'));
+  assert.equal(scope.inScope('http://localhost:9090/'), false);
+  assert.equal(scope.inScope('https://www.example.com/'), false);
+  assert.deepEqual(scope.describe().hosts, ['example.com', 'cdn.example.net', 'localhost:8080']);
+});
+
+test('a path prefix narrows any scope', () => {
+  const { inScope } = createCrawlScope('https://www.example.com/', { mode: 'domain', pathPrefix: 'sports/' });
+  assert.ok(inScope('https://m.example.com/sports/football'));
+  assert.equal(inScope('https://www.example.com/news/'), false);
+  assert.equal(inScope('https://www.example.com/sports'), false);
+  assert.equal(createCrawlScope('https://example.com/', { pathPrefix: 'sports/' }).describe().path_prefix, '/sports/');
+});
+
+test('unknown modes fall back to origin and non-http URLs are never in scope', () => {
+  const scope = createCrawlScope('https://example.com/', { mode: 'everything' });
+  assert.equal(scope.mode, 'origin');
+  assert.deepEqual(scope.describe(), { mode: 'origin', origin: 'https://example.com', path_prefix: null });
+  assert.equal(scope.inScope('ftp://example.com/'), false);
+  assert.equal(scope.inScope('mailto:a@example.com'), false);
+  assert.equal(scope.inScope('not a url'), false);
+});
+
+test('include and exclude patterns apply on top of the scope', () => {
+  const deny = (url, opts) => shouldDenyUrl(url, { useDefaultPatterns: false, ...opts });
+  const allowPatterns = ['/news/', '/SPORTS/'];
+  assert.equal(deny('https://example.com/news/a', { allowPatterns }), false);
+  assert.equal(deny('https://example.com/sports/b', { allowPatterns }), false);
+  assert.equal(deny('https://example.com/about', { allowPatterns }), true);
+  assert.equal(deny('https://example.com/news/a?print=1', { allowPatterns, denyPatterns: ['[?&]print='] }), true);
+  assert.equal(deny('https://example.com/about', { denyPatterns: ['/news/'] }), false);
+});
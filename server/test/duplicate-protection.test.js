@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeDuplicateUrls } from '../lib/modules/duplicate-protection.js';
+
+const LONG_TEXT = Array.from({ length: 200 }, (_, i) => `word${i}`).join(' ');
+
+function page(url, text, extra = {}) {
+  return { url, status: 'success', _html: `<html><body><main><p>${text}</p></main></body></html>`, ...extra };
+}
+
+test('identical short pages are reported as one exact duplicate cluster', () => {
+  const result = analyzeDuplicateUrls([
+    page('https://example.com/tag/a', 'No articles found'),
+    page('https://example.com/tag/b', 'No articles found'),
+    page('https://example.com/tag/c', 'No articles found'),
+    page('https://example.com/tag/d', 'Two articles tagged d'),
+  ]);
+  assert.equal(result.content_compared, 4);
+  assert.equal(result.duplicate_clusters.length, 1);
+  const [cluster] = result.duplicate_clusters;
+  assert.deepEqual([...cluster.urls].sort(), ['https://example.com/tag/a', 'https://example.com/tag/b', 'https://example.com/tag/c']);
+  assert.equal(cluster.min_similarity, 1);
+  assert.equal(cluster.max_similarity, 1);
+  assert.equal(result.canonical_suggestions.length, 2);
+  assert.ok(result.canonical_suggestions.every(s => s.reason === 'Duplicate content detected'));
+});
+
+test('short pages never cluster with long pages that start the same way', () => {
+  const result = analyzeDuplicateUrls([
+    page('https://example.com/short', 'word0 word1 word2'),
+    page('https://example.com/long', LONG_TEXT),
+  ]);
+  assert.deepEqual(result.duplicate_clusters, []);
+});
+
+test('long duplicates still cluster through MinHash', () => {
+  const result = analyzeDuplicateUrls([
+    page('https://example.com/story', LONG_TEXT),
+    page('https://example.com/story?ref=home', LONG_TEXT),
+  ]);
+  assert.equal(result.duplicate_clusters.length, 1);
+  assert.equal(result.duplicate_clusters[0].count, 2);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseExtractionRules, createExtractor, parseExtractionFilter, matchesExtractionFilters,
+} from '../lib/extraction-rules.js';
+
+const PAGE = `<html><head>
+<meta name="author" content=" Jane Doe ">
+<script type="application/ld+json">{"@context":"https://schema.org","@graph":[
+  {"@type":"WebSite","name":"Example"},
+  {"@type":"NewsArticle","articleSection":["Politics","Local"],"author":[{"@type":"Person","name":"Jane"},{"@type":"Person","name":"Omar"}]}
+]}</script>
+<script>gtag('config', 'G-ABC1234'); gtag('config', 'G-XYZ9876');</script>
+</head><body>
+<p class="byline">By <a rel="author" href="/jane">Jane</a> and <a rel="author" href="/omar">Omar</a></p>
+<div class="ad-slot"></div><div class="ad-slot"></div>
+</body></html>`;
+
+function extract(rules) {
+  const { rules: parsed, error } = parseExtractionRules(rules);
+  assert.equal(error, undefined);
+  return createExtractor(parsed)(PAGE);
+}
+
+test('css rules read text or an attribute', () => {
+  assert.deepEqual(extract([
+    { name: 'byline', selector: '.byline a[rel=author]', output: 'all' },
+    { name: 'author', selector: 'meta[name=author]', attribute: 'content' },
+    { name: 'ad_slots', selector: '.ad-slot', output: 'count' },
+    { name: 'paywall', selector: '.paywall', output: 'exists' },
+    { name: 'missing', selector: '.paywall' },
+  ]), { byline: ['Jane', 'Omar'], author: 'Jane Doe', ad_slots: 2, paywall: false, missing: null });
+});
+
+test('regex rules return the first capture group when there is one', () => {
+  assert.deepEqual(extract([
+    { name: 'ga_id', type: 'regex', pattern: 'G-[A-Z0-9]{6,}', output: 'all' },
+    { name: 'first_ga', type: 'regex', pattern: "config', '(G-[A-Z0-9]+)'" },
+    { name: 'gtag_calls', type: 'regex', pattern: 'GTAG\\(', flags: 'i', output: 'count' },
+  ]), { ga_id: ['G-ABC1234', 'G-XYZ9876'], first_ga: 'G-ABC1234', gtag_calls: 2 });
+});
+
+test('jsonld rules follow paths through @graph, arrays and indexes', () => {
+  assert.deepEqual(extract([
+    { name: 'section', type: 'jsonld', path: 'articleSection', schema_type: 'NewsArticle', output: 'all' },
+    { name: 'authors', type: 'jsonld', path: 'author.name', output: 'all' },
+    { name: 'second_author', type: 'jsonld', path: 'author[1].name' },
+    { name: 'site', type: 'jsonld', path: 'name', schema_type: 'WebSite' },
+  ]), { section: ['Politics', 'Local'], authors: ['Jane', 'Omar'], second_author: 'Omar', site: 'Example' });
+});
+
+test('invalid rules are rejected with the offending index', () => {
+  const error = (rules) => parseExtractionRules(rules).error;
+  assert.equal(error(undefined), undefined);
+  assert.equal(error({}), 'extraction_rules must be an array');
+  assert.match(error([{ name: 'bad name', selector: 'a' }]), /extraction_rules\[0\]\.name/);
+  assert.equal(error([{ name: 'a', selector: 'a' }, { name: 'a', selector: 'b' }]), 'Duplicate extraction rule name: a');
+  assert.match(error([{ name: 'a', type: 'xpath' }]), /\.type must be one of css, regex, jsonld/);
+  assert.match(error([{ name: 'a', selector: 'a', output: 'sum' }]), /\.output must be one of/);
+  assert.match(error([{ name: 'a', selector: 'a:hover' }]), /^extraction_rules\[0\]: Invalid selector/);
+  assert.match(error([{ name: 'a', type: 'regex', pattern: '(' }]), /^extraction_rules\[0\]: Invalid regular expression/);
+  assert.match(error([{ name: 'a', type: 'regex', pattern: 'x', flags: 'g' }]), /flags may only contain/);
+  assert.match(error([{ name: 'a', type: 'jsonld', path: 'author[x]' }]), /Invalid JSON-LD path/);
+});
+
+test('filters on extracted values', () => {
+  const page = { extracted: { author: 'Jane Doe', tags: ['News', 'Local'], ad_slots: 2, paywall: false } };
+  const matches = (...expressions) => matchesExtractionFilters(page, expressions.map(parseExtractionFilter));
+  assert.ok(matches('author', '!paywall', '!missing'));
+  assert.ok(matches('author=jane doe', 'tags=local', 'tags!=sport', 'author~DOE'));
+  assert.ok(matches('ad_slots>1', 'ad_slots<=2', 'tags>=2'));
+  assert.equal(matches('paywall'), false);
+  assert.equal(matches('ad_slots<2'), false);
+  assert.throws(() => parseExtractionFilter('!author=x'), /only applies to a bare name/);
+  assert.throws(() => parseExtractionFilter('bad name'), /Invalid filter/);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeFacets } from '../lib/modules/facet-analysis.js';
+
+const BASE = 'https://shop.example.com/shoes';
+
+function page(url, hash, fields = {}) {
+  return { url, status: 'success', _content: { hash }, ...fields };
+}
+
+// /shoes?sort=… renders the listing unchanged, /shoes?color=… filters it,
+// /shoes?size=… has too many values to crawl and utm_source is tracking.
+const SIZES = Array.from({ length: 25 }, (_, i) => `${BASE}?size=${36 + i}`);
+const PAGES = [
+  page(BASE, 'all-shoes'),
+  page(`${BASE}?sort=price`, 'all-shoes'),
+  page(`${BASE}?sort=name`, 'all-shoes'),
+  page(`${BASE}?color=red`, 'red-shoes'),
+  page(`${BASE}?color=blue`, 'blue-shoes', { canonical: BASE }),
+  page(`${BASE}?utm_source=mail`, 'all-shoes'),
+  ...SIZES.slice(0, 3).map((url, i) => page(url, `size-${i}`)),
+];
+const FACETS = {
+  sort: { discovered: [`${BASE}?sort=price`, `${BASE}?sort=name`], enqueued: 2 },
+  color: { discovered: [`${BASE}?color=red`, `${BASE}?color=blue`], enqueued: 2 },
+  size: { discovered: SIZES, enqueued: 3 },
+  utm_source: { discovered: [`${BASE}?utm_source=mail`], enqueued: 1 },
+};
+
+const result = analyzeFacets(PAGES, FACETS);
+const byName = Object.fromEntries(result.parameters.map(p => [p.parameter, p]));
+
+test('variants are compared with the URL without the parameter by content hash', () => {
+  const { sort, color } = byName;
+  assert.equal(sort.same_content, 2);
+  assert.equal(sort.changed_content, 0);
+  assert.equal(color.same_content, 0);
+  assert.equal(color.changed_content, 2);
+  assert.deepEqual(color.examples[0], { url: `${BASE}?color=red`, base: BASE, same_content: false, canonical: null });
+  assert.deepEqual(sort.sample_values, ['price', 'name']);
+});
+
+test('each parameter gets a strip, canonicalize or block recommendation', () => {
+  assert.deepEqual(
+    result.parameters.map(p => [p.parameter, p.recommendation]),
+    [['size', 'block'], ['sort', 'strip'], ['color', 'canonicalize'], ['utm_source', 'strip']],
+  );
+  assert.match(byName.utm_source.reason, /^Tracking/);
+  assert.match(byName.sort.reason, /^Does not change the page content/);
+  assert.match(byName.size.reason, /Produces 25 variants/);
+});
+
+test('canonicalized and robots-blocked variants count as handled', () => {
+  assert.equal(byName.color.canonicalized, 1);
+  assert.equal(byName.color.already_handled, false);
+
+  const handled = (canonical) => analyzeFacets([
+    page(BASE, 'all-shoes'),
+    { url: `${BASE}?color=red`, status: 'blocked_robots' },
+    page(`${BASE}?color=blue`, 'blue-shoes', { canonical }),
+  ], { color: FACETS.color }).parameters[0];
+  assert.equal(handled(BASE).blocked_robots, 1);
+  assert.equal(handled(BASE).already_handled, true);
+  // A canonical that keeps the parameter does not consolidate the variant
+  assert.equal(handled(`${BASE}?color=blue&page=1`).canonicalized, 0);
+  assert.equal(handled(`${BASE}?color=blue&page=1`).already_handled, false);
+});
+
+test('redundant variants are reported as wasted crawl budget', () => {
+  assert.deepEqual(result.counts, {
+    parameters: 4,
+    parameterized_urls: 30,
+    parameterized_fetched: 8,
+    wasted_fetches: 4, // two sort variants, the canonicalized color and the tracking URL
+    unhandled_parameters: 4,
+    capped_parameters: 1,
+  });
+  assert.equal(result.crawl_budget_waste, 44);
+  assert.equal(byName.size.capped, true);
+  assert.equal(result.status, 'FAIL');
+});
+
+test('a crawl without parameterized URLs passes', () => {
+  const empty = analyzeFacets([page(BASE, 'all-shoes')], {});
+  assert.equal(empty.status, 'PASS');
+  assert.equal(empty.issues[0].message, 'No parameterized internal URLs found');
+});
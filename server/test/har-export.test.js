@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createHttpContext, runWithHttpContext, httpFetch, recordExternalFetch } from '../lib/http-client.js';
+import { saveHarRecording, getHarRecording, buildHar, harDownloadPath, auditRecording } from '../lib/har-export.js';
+
+let server;
+let base;
+
+before(async () => {
+  server = createServer((req, res) => {
+    if (req.url === '/moved') {
+      res.writeHead(301, { Location: '/page' });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html', 'Set-Cookie': 'session=secret' });
+    res.end('<html>hello</html>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function recordedContext(fn) {
+  const context = createHttpContext({ headers: { Authorization: 'Bearer token' } });
+  await runWithHttpContext(context, fn);
+  return context;
+}
+
+test('each redirect hop is an entry, with credentials masked', async () => {
+  const context = await recordedContext(async () => {
+    await (await httpFetch(`${base}/moved`, { module: 'test' })).text();
+  });
+  const id = saveHarRecording(context, { title: 'audit' });
+  const har = buildHar(getHarRecording(id));
+
+  assert.equal(har.log.version, '1.2');
+  assert.equal(har.log.pages[0].title, 'audit');
+  assert.deepEqual(har.log.entries.map(e => [e.request.url, e.response.status, e.response.redirectURL]), [
+    [`${base}/moved`, 301, `${base}/page`],
+    [`${base}/page`, 200, ''],
+  ]);
+  const [, page] = har.log.entries;
+  assert.equal(page._module, 'test');
+  assert.equal(page.response.content.size, 18);
+  assert.equal(page.response.content.mimeType, 'text/html');
+  assert.equal(page.request.headers.find(h => h.name === 'authorization').value, 'REDACTED');
+  assert.equal(page.response.headers.find(h => h.name === 'set-cookie').value, 'REDACTED');
+});
+
+test('cached responses are marked as coming from memory', async () => {
+  const context = await recordedContext(async () => {
+    await (await httpFetch(`${base}/page`)).text();
+    await (await httpFetch(`${base}/page`)).text();
+  });
+  const har = buildHar(getHarRecording(saveHarRecording(context)));
+  assert.deepEqual(har.log.entries.map(e => e._fromCache || null), [null, 'memory']);
+  assert.equal(har.log.entries[1].response.bodySize, 0);
+});
+
+test('sidecar fetches are entries with their fetcher', async () => {
+  const context = await recordedContext(async () => {
+    recordExternalFetch({
+      url: `${base}/rendered`,
+      via: 'StealthyFetcher',
+      module: 'crawler',
+      startedAt: Date.now(),
+      durationMs: 120,
+      status: 200,
+      headers: { 'Content-Type': 'text/html' },
+      bodySize: 42,
+    });
+  });
+  const [entry] = buildHar(getHarRecording(saveHarRecording(context))).log.entries;
+  assert.equal(entry._fetcher, 'StealthyFetcher');
+  assert.equal(entry._module, 'crawler');
+  assert.equal(entry.time, 120);
+  assert.equal(entry.response.content.size, 42);
+  assert.equal(entry.response.content.mimeType, 'text/html');
+});
+
+test('a resumed crawl appends to the original recording', async () => {
+  const first = await recordedContext(() => httpFetch(`${base}/page`).then(r => r.text()));
+  const id = saveHarRecording(first, { id: 'job-1', title: 'crawl' });
+  const resumed = await recordedContext(() => httpFetch(`${base}/page?after=resume`).then(r => r.text()));
+  assert.equal(saveHarRecording(resumed, { id: 'job-1', append: true }), id);
+
+  const har = buildHar(getHarRecording(id));
+  assert.equal(har.log.pages[0].title, 'crawl');
+  assert.deepEqual(har.log.entries.map(e => e.request.url), [`${base}/page`, `${base}/page?after=resume`]);
+
+  // Without append the recording is replaced
+  saveHarRecording(resumed, { id: 'job-1' });
+  assert.equal(buildHar(getHarRecording(id)).log.entries.length, 1);
+});
+
+test('auditRecording returns the request log and download path', async () => {
+  const context = await recordedContext(() => httpFetch(`${base}/page`).then(r => r.text()));
+  const { request_log: log, har_url: url } = auditRecording(context, 'news-seo');
+  assert.equal(log.total, 1);
+  assert.equal(log.network, 1);
+  assert.match(url, /^\/api\/har\/[\w-]+$/);
+  assert.equal(harDownloadPath('a b'), '/api/har/a%20b');
+});
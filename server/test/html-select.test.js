@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHtml, parseSelector, selectAll, textContent } from '../lib/html-select.js';
+
+const DOC = parseHtml(`<!doctype html>
+<html><head><title>A &amp; B</title><script>if (a < b) x();</script></head>
+<body>
+  <!-- <p class="hidden">comment</p> -->
+  <div id="main" class="story lead" data-kind="Article">
+    <p>First<p>Second <b>bold</b></p>
+    <ul><li>One<li>Two<li class=last>Three</ul>
+    <img src="a.png" alt="A"><br/>
+    <span></span>
+  </div>
+  <a href="/x" rel="nofollow author">X</a> <a href="https://example.com/y" hreflang="en-GB">Y</a>
+</body></html>`);
+
+const names = (selector) => selectAll(DOC, selector).map(el => el.name + (el.attrs.id ? `#${el.attrs.id}` : ''));
+const texts = (selector) => selectAll(DOC, selector).map(el => textContent(el));
+
+test('parsing closes implied and unclosed elements like a browser', () => {
+  assert.deepEqual(texts('#main > p'), ['First', 'Second bold']);
+  assert.deepEqual(texts('ul > li'), ['One', 'Two', 'Three']);
+  assert.deepEqual(names('img + br'), ['br']);
+  assert.deepEqual(texts('p.hidden'), []);
+});
+
+test('raw text elements keep their content and entities are decoded', () => {
+  assert.deepEqual(texts('title'), ['A & B']);
+  assert.equal(selectAll(DOC, 'script')[0].children[0].text, 'if (a < b) x();');
+  assert.equal(textContent(selectAll(DOC, 'head')[0]), 'A & B');
+});
+
+test('type, id, class and attribute selectors', () => {
+  assert.deepEqual(names('div.story.lead'), ['div#main']);
+  assert.deepEqual(names('.story.missing'), []);
+  assert.deepEqual(texts('a[rel~=author]'), ['X']);
+  assert.deepEqual(texts('a[href^="https:"]'), ['Y']);
+  assert.deepEqual(texts('a[href$=y]'), ['Y']);
+  assert.deepEqual(texts('a[href*=""]'), []);
+  assert.deepEqual(texts('[hreflang|=en]'), ['Y']);
+  assert.deepEqual(names('[data-kind=article i]'), ['div#main']);
+  assert.deepEqual(names('[data-kind=article]'), []);
+});
+
+test('pseudo-classes and combinators', () => {
+  assert.deepEqual(texts('li:first-child, li:last-child'), ['One', 'Three']);
+  assert.deepEqual(texts('li:nth-child(2)'), ['Two']);
+  assert.deepEqual(texts('li:nth-child(odd)'), ['One', 'Three']);
+  assert.deepEqual(texts('li:not(.last)'), ['One', 'Two']);
+  assert.deepEqual(names('#main :empty'), ['img', 'br', 'span']);
+  assert.deepEqual(names('b:only-child, li:only-child'), ['b']);
+  assert.deepEqual(texts('a ~ a'), ['Y']);
+  assert.deepEqual(texts('body li'), ['One', 'Two', 'Three']);
+  assert.deepEqual(texts('body > li'), []);
+});
+
+test('selectAll returns matches in document order without duplicates', () => {
+  assert.deepEqual(texts('a, a[href]'), ['X', 'Y']);
+});
+
+test('invalid selectors throw a SyntaxError naming the problem', () => {
+  assert.throws(() => parseSelector(''), /empty selector/);
+  assert.throws(() => parseSelector('a,'), /trailing ","/);
+  assert.throws(() => parseSelector('a >'), /nothing after ">"/);
+  assert.throws(() => parseSelector('a:hover'), /unsupported pseudo-class :hover/);
+  assert.throws(() => parseSelector('[href="x]'), /unterminated string/);
+  assert.throws(() => parseSelector('li:nth-child(2n+1)'), SyntaxError);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+
+// The fixture mode is read when the clients are loaded. The fixtures in
+// fixtures/http were recorded from a local site on 127.0.0.1:4180 and a
+// sidecar stand-in that rendered its pages; neither runs during the test.
+process.env.HTTP_FIXTURES_MODE = 'replay';
+process.env.HTTP_FIXTURES_DIR = fileURLToPath(new URL('./fixtures/http', import.meta.url));
+process.env.SCRAPLING_SIDECAR_URL = 'http://127.0.0.1:9';
+
+const { createHttpContext, runWithHttpContext, httpFetch } = await import('../lib/http-client.js');
+const { isSidecarAvailable, smartFetch, scraplingFetchBatch } = await import('../lib/scrapling-client.js');
+
+const BASE = 'http://127.0.0.1:4180';
+const MOBILE_UA = 'Mozilla/5.0 (iPhone; Mobile) FixtureBot/1.0';
+
+function inContext(fn) {
+  const context = createHttpContext();
+  return runWithHttpContext(context, fn).then(result => ({ result, context }));
+}
+
+test('redirects are replayed hop by hop', async () => {
+  const { result: res, context } = await inContext(() => httpFetch(`${BASE}/moved`));
+  assert.equal(res.status, 200);
+  assert.equal(res.url, `${BASE}/`);
+  assert.match(await res.text(), /<h1>Home<\/h1>/);
+  assert.deepEqual(context.log[0]._exchanges.map(e => e.status), [301, 200]);
+});
+
+test('the user agent is part of the fixture key', async () => {
+  const { result: res } = await inContext(() => httpFetch(`${BASE}/`, { userAgent: MOBILE_UA }));
+  assert.match(await res.text(), /<h1>Mobile home<\/h1>/);
+
+  await assert.rejects(
+    inContext(() => httpFetch(`${BASE}/robots.txt`, { userAgent: MOBILE_UA, retries: 0 })),
+    err => err.cause?.code === 'ENOFIXTURE',
+  );
+});
+
+test('sidecar renders are replayed without the sidecar running', async () => {
+  assert.equal(await isSidecarAvailable(), true);
+  const { result, context } = await inContext(() => smartFetch(`${BASE}/`, { headless: true }));
+  assert.equal(result.source, 'scrapling');
+  assert.equal(result.fetcher, 'StealthyFetcher');
+  assert.match(result.html, /Rendered by script/);
+  assert.equal(context.log[0].via, 'StealthyFetcher');
+});
+
+test('batch results without a fixture are per-URL errors', async () => {
+  const { result: results } = await inContext(() => scraplingFetchBatch([`${BASE}/moved`, `${BASE}/other`], { headless: true }));
+  assert.deepEqual(results.map(r => [r.requested_url, r.url, r.status]), [
+    [`${BASE}/moved`, `${BASE}/`, 200],
+    [`${BASE}/other`, `${BASE}/other`, undefined],
+  ]);
+  assert.match(results[1].error, /no fixture/);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeInternalLinking } from '../lib/modules/internal-linking.js';
+
+const A = 'https://example.com/';
+const B = 'https://example.com/b';
+const C = 'https://example.com/c';
+
+function page(url, links, fields = {}) {
+  return {
+    url,
+    status: 'success',
+    depth: url === A ? 0 : 1,
+    source: url === A ? 'start' : 'link',
+    internal_links: links.map(l => l.url),
+    _links: links.map(l => ({ rel: null, ...l, internal: true })),
+    ...fields,
+  };
+}
+
+// A links to B and (nofollow) to C; B links to itself and back to A; C is
+// dangling. The self-link takes its share of B's rank but passes nothing.
+const PAGES = [
+  page(A, [{ url: B }, { url: C, rel: 'nofollow' }]),
+  page(B, [{ url: B }, { url: A }]),
+  page(C, []),
+];
+
+function ranks(options) {
+  const { link_equity: equity } = analyzeInternalLinking(PAGES, { damping: 0.5, ...options });
+  return Object.fromEntries(equity.top_pages.map(p => [p.url, p]));
+}
+
+function assertRanks(actual, expected) {
+  for (const [url, pagerank] of Object.entries(expected)) {
+    assert.ok(Math.abs(actual[url].pagerank - pagerank) < 1e-6, `${url}: ${actual[url].pagerank} != ${pagerank}`);
+  }
+}
+
+// With d = 0.5 and n = 3 every page gets (1 - d) / n = 1/6 plus d/n of the
+// dangling page's rank (C / 6), plus what its inbound links pass.
+
+test('nofollow links evaporate their share by default', () => {
+  // C = 1/6 + C/6 → 1/5;  A = 1/5 + B/4, B = 1/5 + A/4 → A = B = 4/15
+  const result = ranks();
+  assertRanks(result, { [A]: 4 / 15, [B]: 4 / 15, [C]: 1 / 5 });
+  // Equity is relative to the 11/15 that stays in the graph
+  assert.equal(result[B].equity, 1.091);
+  assert.equal(result[C].equity, 0.818);
+});
+
+test('ignored nofollow links do not count toward the split', () => {
+  // A passes everything to B: A = 1/5 + B/4, B = 1/5 + A/2 → A = 2/7, B = 12/35
+  const result = ranks({ nofollowMode: 'ignore' });
+  assertRanks(result, { [A]: 2 / 7, [B]: 12 / 35, [C]: 1 / 5 });
+  assert.equal(result[B].rank, 1);
+});
+
+test('followed nofollow links pass equity like any other link', () => {
+  // A splits between B and C, so B = C: A = B = C = 2/7
+  const result = ranks({ nofollowMode: 'follow' });
+  assertRanks(result, { [A]: 2 / 7, [B]: 2 / 7, [C]: 2 / 7 });
+  assert.equal(result[C].equity, 1);
+});
+
+test('links to a redirect pass through to its target', () => {
+  const pages = [
+    page(A, [{ url: 'https://example.com/old' }]),
+    page(B, [{ url: A }]),
+    { url: 'https://example.com/old', status: 'redirect', final_url: B },
+  ];
+  const { link_equity: equity } = analyzeInternalLinking(pages, { damping: 0.5 });
+  // A = 1/4 + B/2, B = 1/4 + A/2 → A = B = 1/2; nothing leaks
+  assert.deepEqual(equity.top_pages.map(p => [p.url, p.pagerank]), [[A, 0.5], [B, 0.5]]);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRetryAfter, createHostThrottle } from '../lib/politeness.js';
+
+test('parseRetryAfter reads delta-seconds and HTTP dates', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  assert.equal(parseRetryAfter('120', now), 120000);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT', now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+});
+
+test('the interval is the slower of maxRps and a capped Crawl-delay', () => {
+  assert.equal(createHostThrottle().intervalMs, 500);
+  assert.equal(createHostThrottle({ maxRps: 4 }).intervalMs, 250);
+  assert.equal(createHostThrottle({ maxRps: 4, crawlDelay: 1.5 }).intervalMs, 1500);
+  assert.equal(createHostThrottle({ crawlDelay: 3600 }).intervalMs, 30000);
+});
+
+test('acquire spaces request starts per host', async () => {
+  const throttle = createHostThrottle({ maxRps: 20 });
+  const started = Date.now();
+  await throttle.acquire('a.example');
+  await throttle.acquire('b.example');
+  await throttle.acquire('a.example');
+  await throttle.acquire('a.example');
+  const elapsed = Date.now() - started;
+  assert.ok(elapsed >= 95, `took ${elapsed} ms`);
+  const { throttled_ms: throttled } = throttle.stats();
+  assert.ok(throttled > 0 && throttled <= 100, `waited ${throttled} ms`);
+});
+
+test('a host Crawl-delay only slows that host', async () => {
+  const throttle = createHostThrottle({ maxRps: 100 });
+  throttle.setCrawlDelay('slow.example', 0.05);
+  await throttle.acquire('fast.example');
+  await throttle.acquire('fast.example');
+  const started = Date.now();
+  await throttle.acquire('slow.example');
+  await throttle.acquire('slow.example');
+  const elapsed = Date.now() - started;
+  assert.ok(elapsed >= 45, `took ${elapsed} ms`);
+  const { throttled_ms: throttled } = throttle.stats();
+  assert.ok(throttled <= 60, `waited ${throttled} ms`);
+});
+
+test('backoff honours Retry-After up to the cap, otherwise jitters exponentially', () => {
+  const throttle = createHostThrottle({ backoffBaseMs: 100, backoffMaxMs: 1000 });
+  assert.equal(throttle.backoff('a.example', 0, '0'), 0);
+  assert.equal(throttle.backoff('a.example', 0, '5'), 1000);
+  for (let attempt = 0; attempt < 6; attempt++) {
+    const delay = throttle.backoff('b.example', attempt);
+    assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * 2 ** attempt));
+  }
+});
+
+test('stats count throttling and carry over on resume', () => {
+  const throttle = createHostThrottle({ stats: { retries: 2, throttled_ms: 500 } });
+  throttle.recordThrottled();
+  throttle.recordRetry();
+  throttle.recordExhausted();
+  throttle.backoff('a.example', 0, '1');
+  assert.deepEqual(throttle.stats(), {
+    throttled_ms: 500, backoff_ms: 1000, throttled_responses: 1, retries: 3, retries_exhausted: 1,
+  });
+});
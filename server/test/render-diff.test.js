@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Nothing listens here, so the sidecar reads as unavailable
+process.env.SCRAPLING_SIDECAR_URL = 'http://127.0.0.1:9';
+const { analyzeRenderDiff } = await import('../lib/modules/render-diff.js');
+
+const PAGE_URL = 'https://example.com/story';
+const WORDS = 'word '.repeat(50);
+
+const RAW = `<html><head><title>Story</title>
+<link rel="canonical" href="/story">
+<script type="application/ld+json">{"@type":"WebPage"}</script>
+</head><body><h1>Story</h1><p>${WORDS}</p><a href="/a">A</a><a href="/b?x=1">B</a></body></html>`;
+
+test('identical versions pass with every element unchanged', async () => {
+  const result = await analyzeRenderDiff(PAGE_URL, { rawHtml: RAW, renderedHtml: RAW });
+  assert.equal(result.status, 'PASS');
+  assert.equal(result.score, 100);
+  assert.equal(result.rendered, true);
+  assert.equal(result.fetcher, 'StealthyFetcher');
+  assert.deepEqual(result.rendered_only, []);
+  assert.deepEqual(result.changed, []);
+  assert.deepEqual(result.elements.canonical, { raw: PAGE_URL, rendered: PAGE_URL, change: 'same' });
+  assert.equal(result.elements.title.change, 'same');
+  assert.equal(result.elements.description.change, 'absent');
+  assert.equal(result.elements.internal_links.raw, 2);
+});
+
+test('elements injected or changed by rendering are flagged', async () => {
+  const rendered = RAW
+    .replace('<title>Story</title>', '<title>Story | Site</title><meta name="description" content="JS description"><meta name="robots" content="noindex, follow">')
+    .replace('{"@type":"WebPage"}', '{"@graph":[{"@type":"WebPage"},{"@type":"NewsArticle"}]}')
+    .replace('</body>', `<p>${WORDS.repeat(2)}</p><a href="/c">C</a><a href="/d">D</a></body>`);
+  const result = await analyzeRenderDiff(PAGE_URL, { rawHtml: RAW, renderedHtml: rendered, fetcher: 'DynamicFetcher' });
+
+  assert.equal(result.fetcher, 'DynamicFetcher');
+  assert.deepEqual(result.rendered_only, ['description', 'robots']);
+  assert.deepEqual(result.changed, ['title', 'json_ld', 'internal_links', 'word_count']);
+  assert.equal(result.elements.robots.rendered, 'noindex,follow');
+  assert.deepEqual(result.elements.json_ld.rendered_only_types, ['NewsArticle']);
+  assert.deepEqual(result.elements.internal_links.rendered_only_sample, ['https://example.com/c', 'https://example.com/d']);
+  assert.ok(result.elements.word_count.difference >= 100);
+
+  assert.deepEqual(result.issues.map(i => i.level), ['critical', 'medium', 'medium', 'high', 'high', 'high']);
+  assert.match(result.issues[0].message, /meta robots to "noindex,follow"/);
+  assert.equal(result.score, 100 - 25 - 8 - 8 - 15 - 15 - 15);
+  assert.equal(result.status, 'FAIL');
+});
+
+test('a canonical changed by rendering is critical', async () => {
+  const rendered = RAW.replace('href="/story"', 'href="https://example.com/other"');
+  const result = await analyzeRenderDiff(PAGE_URL, { rawHtml: RAW, renderedHtml: rendered });
+  assert.equal(result.elements.canonical.change, 'changed');
+  assert.deepEqual(result.issues, [
+    { level: 'critical', message: 'Rendering changes the canonical from https://example.com/story to https://example.com/other' },
+  ]);
+  assert.equal(result.status, 'WARNING');
+});
+
+test('without a rendered version the comparison is skipped', async () => {
+  const result = await analyzeRenderDiff(PAGE_URL, { rawHtml: RAW });
+  assert.equal(result.rendered, false);
+  assert.equal(result.status, 'WARNING');
+  assert.match(result.issues[0].message, /rendering sidecar unavailable/);
+});
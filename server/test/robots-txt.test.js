@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  robotsProductToken, parseRobotsTxt, disallowAllRobots, selectRobotsGroup, matchRobots, getCrawlDelay,
+} from '../lib/robots-txt.js';
+
+const ROBOTS = `
+User-agent: *
+Disallow: /private
+Allow: /private/ok$
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: Googlebot
+User-agent: bingbot
+Disallow: /no-bots
+
+User-agent: googlebot-image
+Disallow: /images
+
+User-agent: googlebot
+Allow: /no-bots/except
+
+Sitemap: https://example.com/sitemap.xml
+Sitemap: https://example.com/sitemap.xml
+`;
+
+const robots = parseRobotsTxt(ROBOTS);
+
+test('robotsProductToken reads the token from full User-Agent strings', () => {
+  assert.equal(robotsProductToken('Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)'), 'googlebot');
+  assert.equal(robotsProductToken('Bingbot/2.0'), 'bingbot');
+  assert.equal(robotsProductToken(), '*');
+});
+
+test('consecutive user-agent lines share a group and sitemaps are de-duplicated', () => {
+  assert.deepEqual(robots.groups.map(g => g.agents), [['*'], ['googlebot', 'bingbot'], ['googlebot-image'], ['googlebot']]);
+  assert.deepEqual(robots.sitemaps, ['https://example.com/sitemap.xml']);
+  assert.deepEqual(robots.warnings, []);
+});
+
+test('the most specific group applies and groups naming the same agent merge', () => {
+  const group = selectRobotsGroup(robots, 'Googlebot/2.1');
+  assert.equal(group.agent, 'googlebot');
+  assert.deepEqual(group.rules.map(r => r.pattern), ['/no-bots', '/no-bots/except']);
+  assert.equal(selectRobotsGroup(robots, 'Googlebot-Image/1.0').agent, 'googlebot-image');
+  assert.equal(selectRobotsGroup(robots, 'Googlebot-News').agent, 'googlebot');
+  assert.equal(selectRobotsGroup(robots, 'SomeCrawler/1.0').agent, '*');
+});
+
+test('the longest matching pattern wins, allow on ties', () => {
+  const ua = 'SomeCrawler/1.0';
+  assert.equal(matchRobots(robots, ua, '/private/page').allowed, false);
+  assert.deepEqual(matchRobots(robots, ua, 'https://example.com/private/ok'), {
+    allowed: true, rule: { type: 'allow', pattern: '/private/ok$', line: 4 }, agent: '*',
+  });
+  assert.equal(matchRobots(robots, ua, '/private/ok/more').allowed, false);
+  assert.equal(matchRobots(robots, 'Googlebot', '/no-bots/except/this').allowed, true);
+  assert.equal(matchRobots(robots, 'Googlebot', '/private').allowed, true);
+
+  const tie = parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page');
+  assert.equal(matchRobots(tie, ua, '/page').allowed, true);
+});
+
+test('wildcards, end anchors, queries and percent-encoding', () => {
+  const ua = 'SomeCrawler';
+  assert.equal(matchRobots(robots, ua, '/docs/file.pdf').allowed, false);
+  assert.equal(matchRobots(robots, ua, '/docs/file.pdf?x=1').allowed, true);
+
+  const encoded = parseRobotsTxt('User-agent: *\nDisallow: /café\nDisallow: /*?sort=');
+  assert.equal(matchRobots(encoded, ua, '/caf%C3%A9/menu').allowed, false);
+  assert.equal(matchRobots(encoded, ua, 'https://example.com/list?sort=asc').allowed, false);
+  assert.equal(matchRobots(encoded, ua, '/list').allowed, true);
+});
+
+test('robots.txt itself is always allowed', () => {
+  assert.equal(matchRobots(disallowAllRobots('robots.txt returned 503'), '*', '/robots.txt').allowed, true);
+  assert.equal(matchRobots(disallowAllRobots('robots.txt returned 503'), '*', '/').allowed, false);
+});
+
+test('crawl-delay comes from the selected group', () => {
+  assert.equal(getCrawlDelay(robots, 'SomeCrawler'), 2);
+  assert.equal(getCrawlDelay(robots, 'Googlebot'), null);
+});
+
+test('parse warnings carry line numbers', () => {
+  const { groups, warnings } = parseRobotsTxt('Disallow: /early\nUseragent: *\nDisalow: /x\nCrawl-delay: soon\nHost: example.com\nnonsense\nSitemap: /relative.xml');
+  assert.deepEqual(groups[0].rules.map(r => r.pattern), ['/x']);
+  assert.deepEqual(warnings.map(w => w.line), [1, 2, 3, 4, 5, 6, 7]);
+  assert.match(warnings[1].message, /Misspelled directive "useragent"/);
+  assert.match(warnings[4].message, /Non-standard directive "host"/);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchRules, createSearcher, summarizeSearch } from '../lib/search-rules.js';
+
+const OLD_GTM = '<html><head><script src="https://www.googletagmanager.com/gtm.js?id=GTM-ABC123"></script></head><body><p>Lorem ipsum dolor</p></body></html>';
+const CONSENT = '<html><head><script src="https://cdn.cookielaw.org/consent.js"></script></head><body><p>LOREM IPSUM again, lorem ipsum</p></body></html>';
+
+function rules(raw) {
+  const { rules: parsed, error } = parseSearchRules(raw);
+  assert.equal(error, undefined);
+  return parsed;
+}
+
+test('rules default to a case-insensitive plain-text search of the HTML', () => {
+  assert.deepEqual(rules([{ query: 'a.b' }]), [
+    { name: 'rule_1', query: 'a.b', regex: false, caseSensitive: false, mode: 'contains', target: 'html' },
+  ]);
+  const search = createSearcher(rules([{ name: 'dot', query: 'a.b' }]));
+  assert.equal(search('a.b axb A.B').dot.count, 2);
+});
+
+test('regex, case-sensitive and visible-text searches', () => {
+  const search = createSearcher(rules([
+    { name: 'gtm', query: 'GTM-[A-Z0-9]+', regex: 'true' },
+    { name: 'lorem_text', query: 'lorem ipsum', target: 'text' },
+    { name: 'lorem_exact', query: 'lorem ipsum', case_sensitive: true },
+    { name: 'script_text', query: 'googletagmanager', target: 'text' },
+  ]));
+  const hits = search(CONSENT);
+  assert.equal(hits.lorem_text.count, 2);
+  assert.equal(hits.lorem_exact.count, 1);
+  assert.equal(search(OLD_GTM).gtm.count, 1);
+  assert.equal(search(OLD_GTM).script_text.count, 0);
+});
+
+test('snippets show the match in context, at most three per page', () => {
+  const search = createSearcher(rules([{ name: 'x', query: 'needle' }]));
+  const html = `${'a'.repeat(100)} needle\n\n${'b'.repeat(100)} needle needle needle`;
+  const { count, snippets } = search(html).x;
+  assert.equal(count, 4);
+  assert.equal(snippets.length, 3);
+  assert.equal(snippets[0], `…${'a'.repeat(59)} needle ${'b'.repeat(58)}…`);
+});
+
+test('the report lists matching pages, or pages without a match for not_contains', () => {
+  const parsed = rules([
+    { name: 'lorem', query: 'lorem ipsum', target: 'text' },
+    { name: 'no_consent', query: 'cdn\\.cookielaw\\.org', regex: true, mode: 'not_contains' },
+  ]);
+  const search = createSearcher(parsed);
+  const pages = [
+    { url: '/gtm', _search: search(OLD_GTM) },
+    { url: '/consent', _search: search(CONSENT) },
+    { url: '/skipped' },
+  ];
+  const [lorem, noConsent] = summarizeSearch(parsed, pages);
+  assert.equal(lorem.pages_searched, 2);
+  assert.equal(lorem.matched_pages, 2);
+  assert.equal(lorem.total_matches, 3);
+  assert.deepEqual(lorem.pages.map(p => [p.url, p.count]), [['/consent', 2], ['/gtm', 1]]);
+  assert.equal(noConsent.matched_pages, 1);
+  assert.deepEqual(noConsent.pages, [{ url: '/gtm' }]);
+});
+
+test('the page list is the top pages by match count when it is capped', () => {
+  const [rule] = rules([{ name: 'x', query: 'x' }]);
+  // Counts rise with crawl order, so the busiest pages come last
+  const pages = Array.from({ length: 600 }, (_, i) => ({ url: `/p${i}`, _search: { x: { count: i + 1, snippets: [] } } }));
+  const [report] = summarizeSearch([rule], pages);
+  assert.equal(report.matched_pages, 600);
+  assert.equal(report.pages.length, 500);
+  assert.equal(report.pages[0].url, '/p599');
+  assert.equal(report.pages[499].url, '/p100');
+});
+
+test('invalid rules are rejected with the offending index', () => {
+  const error = (raw) => parseSearchRules(raw).error;
+  assert.equal(error('x'), 'search_rules must be an array');
+  assert.equal(error([{ query: '' }]), 'search_rules[0].query must be 1-500 characters');
+  assert.equal(error([{ query: 'a', name: 'x' }, { query: 'b', name: 'x' }]), 'Duplicate search rule name: x');
+  assert.match(error([{ query: 'a', mode: 'starts_with' }]), /\.mode must be one of contains, not_contains/);
+  assert.match(error([{ query: 'a', target: 'url' }]), /\.target must be one of html, text/);
+  assert.match(error([{ query: '(', regex: true }]), /^search_rules\[0\]: Invalid regular expression/);
+  assert.equal(error([{ query: '(' }]), undefined);
+});
@@ -0,0 +1,151 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import express from 'express';
+import { analyzeSitemapCoverage } from '../lib/modules/sitemap-coverage.js';
+import { seoCrawlerRouter } from '../routes/seo-site-crawler.js';
+
+// A small site: the home page links to /a, /linked-only and /noindex; the
+// sitemap lists /a, /noindex, /orphan, /gone and /old (a redirect to /a).
+const SITE = {
+  '/': '<a href="/a">A</a> <a href="/linked-only">Linked only</a> <a href="/noindex">Hidden</a>',
+  '/a': '<p>A</p>',
+  '/linked-only': '<p>Not in the sitemap</p>',
+  '/noindex': '<meta name="robots" content="noindex"><p>Hidden</p>',
+  '/orphan': '<p>Only in the sitemap</p>',
+};
+const SITEMAP_PATHS = ['/a', '/noindex', '/orphan', '/gone', '/old'];
+
+let site;
+let base;
+let api;
+
+before(async () => {
+  site = createServer((req, res) => {
+    const { pathname } = new URL(req.url, base);
+    if (pathname === '/robots.txt') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      return res.end(`User-agent: *\nAllow: /\nSitemap: ${base}/sitemap.xml\n`);
+    }
+    if (pathname === '/sitemap.xml') {
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      const urls = SITEMAP_PATHS.map(path => `<url><loc>${base}${path}</loc></url>`).join('');
+      return res.end(`<?xml version="1.0" encoding="UTF-8"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}</urlset>`);
+    }
+    if (pathname === '/old') {
+      res.writeHead(301, { Location: '/a' });
+      return res.end();
+    }
+    if (!SITE[pathname]) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      return res.end('<p>Not found</p>');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(`<html><head><title>${pathname}</title></head><body>${SITE[pathname]}</body></html>`);
+  });
+  await new Promise(resolve => site.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${site.address().port}`;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/crawl', seoCrawlerRouter);
+  api = createServer(app);
+  await new Promise(resolve => api.listen(0, '127.0.0.1', resolve));
+});
+
+after(async () => {
+  await new Promise(resolve => site.close(resolve));
+  await new Promise(resolve => api.close(resolve));
+});
+
+function page(url, fields = {}) {
+  return { url, status: 'success', http_status: 200, internal_links: [], ...fields };
+}
+
+test('sitemap URLs without an internal link are orphans', () => {
+  const result = analyzeSitemapCoverage([
+    page('https://example.com/', { source: 'start', internal_links: ['https://example.com/a'] }),
+    page('https://example.com/a'),
+    page('https://example.com/orphan', { source: 'sitemap', internal_links: ['https://example.com/orphan'] }),
+  ], ['https://example.com/', 'https://example.com/a', 'https://example.com/orphan', 'https://example.com/never-crawled']);
+
+  assert.equal(result.crawled_sitemap_urls, 3);
+  assert.deepEqual(result.orphans, [
+    { url: 'https://example.com/orphan', crawled: true, status: 'success' },
+    { url: 'https://example.com/never-crawled', crawled: false, status: 'not_crawled' },
+  ]);
+  assert.equal(result.issues[0].level, 'critical');
+  assert.match(result.issues.at(-1).message, /Only 3 of 4 sitemap URLs were crawled/);
+});
+
+test('linked indexable pages outside the sitemap are missing from it', () => {
+  const result = analyzeSitemapCoverage([
+    page('https://example.com/', {
+      source: 'start',
+      depth: 0,
+      internal_links: ['https://example.com/a', 'https://example.com/b', 'https://example.com/private'],
+    }),
+    page('https://example.com/a', { depth: 1 }),
+    page('https://example.com/b', { depth: 1 }),
+    page('https://example.com/private', { depth: 1, noindex: true }),
+    page('https://example.com/unlinked', { depth: 1 }),
+  ], ['https://example.com/a']);
+
+  assert.deepEqual(result.missing_from_sitemap, [
+    { url: 'https://example.com/', depth: 0 },
+    { url: 'https://example.com/b', depth: 1 },
+  ]);
+  assert.equal(result.orphan_count, 0);
+});
+
+test('sitemap URLs that should not be listed are problems, with the reason', () => {
+  const urls = ['/404', '/moved', '/hidden', '/copy', '/blocked', '/ok'].map(path => `https://example.com${path}`);
+  const result = analyzeSitemapCoverage([
+    page('https://example.com/', { source: 'start', internal_links: urls }),
+    page(urls[0], { http_status: 404 }),
+    page(urls[1], { final_url: 'https://example.com/new' }),
+    page(urls[2], { noindex: true }),
+    page(urls[3], { canonical: 'https://example.com/original' }),
+    page(urls[4], { status: 'blocked_robots', http_status: null }),
+    page(urls[5]),
+  ], urls);
+
+  assert.deepEqual(result.problem_urls.map(({ url, reason, target }) => [url.slice(19), reason, target]), [
+    ['/404', 'http_404', undefined],
+    ['/moved', 'redirect', 'https://example.com/new'],
+    ['/hidden', 'noindex', undefined],
+    ['/copy', 'canonicalized', 'https://example.com/original'],
+    ['/blocked', 'blocked_robots', undefined],
+  ]);
+  assert.equal(result.issues[0].level, 'high');
+});
+
+test('no sitemap URLs is a warning rather than a clean pass', () => {
+  const result = analyzeSitemapCoverage([page('https://example.com/', { source: 'start' })], []);
+  assert.equal(result.status, 'WARNING');
+  assert.equal(result.orphan_count, 0);
+});
+
+test('seed_from_sitemaps crawls sitemap-only URLs and reports coverage', async () => {
+  const res = await fetch(`http://127.0.0.1:${api.address().port}/crawl`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ start_url: `${base}/`, seed_from_sitemaps: true, max_pages: 20, max_rps: 20 }),
+  });
+  assert.equal(res.status, 200);
+  const result = await res.json();
+
+  const crawled = new Map(result.pages.map(p => [p.url.slice(base.length), p]));
+  assert.equal(crawled.get('/orphan').source, 'sitemap');
+  assert.equal(crawled.get('/a').source, 'link');
+
+  const coverage = result.analysis.sitemap_coverage;
+  assert.equal(coverage.sitemap_urls, SITEMAP_PATHS.length);
+  assert.deepEqual(coverage.orphans.map(o => o.url.slice(base.length)).sort(), ['/gone', '/old', '/orphan']);
+  assert.deepEqual(coverage.missing_from_sitemap.map(p => p.url.slice(base.length)).sort(), ['/', '/linked-only']);
+  assert.deepEqual(coverage.problem_urls.map(p => [p.url.slice(base.length), p.reason]).sort(), [
+    ['/gone', 'http_404'],
+    ['/noindex', 'noindex'],
+    ['/old', 'redirect'],
+  ]);
+});
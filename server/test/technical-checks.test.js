@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { extractAnchors, checkBrokenLinks, checkLinkStatus } from '../lib/technical-checks.js';
+
+let server;
+let base;
+
+before(async () => {
+  server = createServer((req, res) => {
+    if (req.url === '/gone') res.writeHead(404);
+    else if (req.url === '/no-head') res.writeHead(req.method === 'HEAD' ? 405 : 200);
+    else res.writeHead(200);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('extractAnchors returns attributes and inner HTML of closed anchors', () => {
+  const anchors = extractAnchors('<p><a href="/a" rel="nofollow">First <b>link</b></a> <abbr>x</abbr><A HREF="/b">B</A></p>');
+  assert.deepEqual(anchors, [
+    { attrs: ' href="/a" rel="nofollow"', inner: 'First <b>link</b>' },
+    { attrs: ' HREF="/b"', inner: 'B' },
+  ]);
+});
+
+test('extractAnchors keeps anchors that are never closed', () => {
+  const anchors = extractAnchors('<a href="/one">One <a href="/two">Two</a><a href="/three">Three');
+  assert.deepEqual(anchors.map(a => a.inner), ['One ', 'Two', 'Three']);
+  assert.equal(anchors.length, 3);
+});
+
+test('extractAnchors caps the inner HTML of an unclosed last anchor', () => {
+  const [anchor] = extractAnchors(`<a href="/x">${'word '.repeat(1000)}`);
+  assert.equal(anchor.inner.length, 1000);
+});
+
+test('checkLinkStatus falls back to GET when HEAD is not allowed', async () => {
+  assert.deepEqual(await checkLinkStatus(`${base}/no-head`), { status: 200, ok: true, method: 'GET', error: null });
+  assert.equal((await checkLinkStatus(`${base}/gone`)).ok, false);
+});
+
+test('checkBrokenLinks finds broken links inside unclosed anchors', async () => {
+  const html = `<a href="${base}/ok">Fine</a><a href="/gone">Missing page<p>more</p><a href="#top">Top</a>`;
+  const result = await checkBrokenLinks(html, `${base}/`);
+  assert.equal(result.internal, 1);
+  assert.equal(result.external, 0);
+  assert.deepEqual(result.links.map(l => [l.url, l.status, l.anchor]), [[`${base}/gone`, 404, 'Missing page more']]);
+});
@@ -1,5 +1,5 @@
-import { useState } from 'react';
-import { Globe, AlertCircle, CheckCircle, Loader2, AlertTriangle, Link2, Layers } from 'lucide-react';
+import { useEffect, useRef, useState } from 'react';
+import { Globe, AlertCircle, CheckCircle, Loader2, AlertTriangle, Link2, Layers, XCircle } from 'lucide-react';
 
 interface AnalysisModule {
   module: string;
@@ -21,6 +21,7 @@ interface CrawlerResult {
     duration_ms: number;
     robots_txt: string;
   };
+  cancelled?: boolean;
   analysis?: {
     internal_linking?: AnalysisModule;
     crawl_depth?: AnalysisModule;
@@ -28,6 +29,34 @@ interface CrawlerResult {
   };
 }
 
+interface CrawlProgress {
+  pages_crawled: number;
+  queue_size: number;
+  errors: number;
+  blocked: number;
+  duplicates: number;
+  max_pages: number;
+}
+
+interface CrawlPageEvent {
+  url: string;
+  status: string;
+  http_status?: number;
+  depth: number;
+  links: number;
+  error?: string;
+}
+
+interface CrawlJobStatus {
+  job_id: string;
+  status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+  progress: CrawlProgress;
+  error: string | null;
+  result?: CrawlerResult;
+}
+
+const RECENT_PAGES_LIMIT = 8;
+
 function StatusBadge({ status }: { status: string }) {
   if (status === 'PASS') return <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-700">PASS</span>;
   if (status === 'WARNING') return <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-amber-100 text-amber-700">WARNING</span>;
@@ -88,6 +117,38 @@ export default function SiteCrawler() {
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState<CrawlerResult | null>(null);
   const [error, setError] = useState('');
+  const [jobId, setJobId] = useState<string | null>(null);
+  const [progress, setProgress] = useState<CrawlProgress | null>(null);
+  const [recentPages, setRecentPages] = useState<CrawlPageEvent[]>([]);
+  const eventSourceRef = useRef<EventSource | null>(null);
+
+  const apiBase = import.meta.env.VITE_API_BASE_URL || '';
+  const jobsUrl = `${apiBase}/api/seo-site-crawler/jobs`;
+
+  const closeStream = () => {
+    eventSourceRef.current?.close();
+    eventSourceRef.current = null;
+  };
+
+  // Close the stream if the component unmounts mid-crawl
+  useEffect(() => closeStream, []);
+
+  const loadJobResult = async (id: string) => {
+    try {
+      const response = await fetch(`${jobsUrl}/${id}`);
+      const job: CrawlJobStatus = await response.json();
+      if (job.status === 'failed') {
+        setError(job.error || 'Crawl failed. Please try again.');
+      } else if (job.result) {
+        setResult(job.result);
+      }
+    } catch {
+      setError('Crawl finished but the result could not be loaded.');
+    } finally {
+      setLoading(false);
+      setJobId(null);
+    }
+  };
 
   const startCrawl = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -97,15 +158,15 @@ export default function SiteCrawler() {
       return;
     }
 
+    closeStream();
     setLoading(true);
     setError('');
     setResult(null);
+    setProgress(null);
+    setRecentPages([]);
 
     try {
-      const apiBase = import.meta.env.VITE_API_BASE_URL || '';
-      const apiUrl = `${apiBase}/api/seo-site-crawler`;
-
-      const response = await fetch(apiUrl, {
+      const response = await fetch(jobsUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -113,15 +174,52 @@ export default function SiteCrawler() {
         body: JSON.stringify({ start_url: url.trim(), max_pages: maxPages }),
       });
 
-      const data = await response.json();
-      setResult(data);
-    } catch (err) {
+      const job = await response.json();
+      if (!response.ok) {
+        setError(job.error || 'Failed to start crawl. Please try again.');
+        setLoading(false);
+        return;
+      }
+
+      setJobId(job.job_id);
+      setProgress(job.progress);
+
+      const source = new EventSource(`${apiBase}${job.events_url}`);
+      eventSourceRef.current = source;
+
+      source.addEventListener('progress', (ev) => {
+        setProgress(JSON.parse((ev as MessageEvent).data));
+      });
+      source.addEventListener('page', (ev) => {
+        const page: CrawlPageEvent = JSON.parse((ev as MessageEvent).data);
+        setRecentPages(prev => [page, ...prev].slice(0, RECENT_PAGES_LIMIT));
+      });
+      source.addEventListener('done', () => {
+        closeStream();
+        loadJobResult(job.job_id);
+      });
+      source.onerror = () => {
+        // The browser reconnects on its own; only give up if the stream is closed for good
+        if (source.readyState === EventSource.CLOSED) {
+          closeStream();
+          loadJobResult(job.job_id);
+        }
+      };
+    } catch {
       setError('Failed to crawl site. Please try again.');
-    } finally {
       setLoading(false);
     }
   };
 
+  const cancelCrawl = async () => {
+    if (!jobId) return;
+    try {
+      await fetch(`${jobsUrl}/${jobId}/cancel`, { method: 'POST' });
+    } catch {
+      setError('Failed to cancel crawl.');
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-emerald-50 to-teal-100">
       <div className="max-w-6xl mx-auto px-4 py-12">
@@ -195,6 +293,59 @@ export default function SiteCrawler() {
               )}
             </button>
           </form>
+
+          {loading && progress && (
+            <div className="mt-6 space-y-4">
+              <div>
+                <div className="flex justify-between text-sm text-slate-600 mb-1">
+                  <span>{progress.pages_crawled} / {progress.max_pages} pages</span>
+                  <span>Queue: {progress.queue_size}</span>
+                </div>
+                <div className="w-full bg-slate-100 rounded-full h-2">
+                  <div
+                    className="bg-emerald-500 h-2 rounded-full transition-all"
+                    style={{ width: `${Math.min(100, Math.round((progress.pages_crawled / Math.max(1, progress.max_pages)) * 100))}%` }}
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-3 gap-2">
+                <div className="bg-slate-50 rounded p-2 text-center">
+                  <p className="text-xs text-slate-500">Errors</p>
+                  <p className="text-lg font-bold text-slate-900">{progress.errors}</p>
+                </div>
+                <div className="bg-slate-50 rounded p-2 text-center">
+                  <p className="text-xs text-slate-500">Blocked</p>
+                  <p className="text-lg font-bold text-slate-900">{progress.blocked}</p>
+                </div>
+                <div className="bg-slate-50 rounded p-2 text-center">
+                  <p className="text-xs text-slate-500">Duplicates</p>
+                  <p className="text-lg font-bold text-slate-900">{progress.duplicates}</p>
+                </div>
+              </div>
+              {recentPages.length > 0 && (
+                <div className="space-y-1">
+                  {recentPages.map((page, i) => (
+                    <p key={`${page.url}-${i}`} className="text-xs text-slate-600 truncate">
+                      <span className={page.status === 'success' ? 'text-green-600' : 'text-red-600'}>
+                        {page.http_status ?? page.status}
+                      </span>{' '}
+                      {page.url}
+                    </p>
+                  ))}
+                </div>
+              )}
+              {jobId && (
+                <button
+                  type="button"
+                  onClick={cancelCrawl}
+                  className="w-full border border-slate-300 hover:bg-slate-50 text-slate-700 font-medium py-2 px-6 rounded-lg transition-colors flex items-center justify-center gap-2"
+                >
+                  <XCircle className="w-4 h-4" />
+                  Cancel Crawl
+                </button>
+              )}
+            </div>
+          )}
         </div>
 
         {result && (
@@ -202,7 +353,7 @@ export default function SiteCrawler() {
             <div className="bg-white rounded-2xl shadow-lg p-8">
               <div className="flex items-center gap-2 mb-4">
                 <CheckCircle className="w-6 h-6 text-emerald-600" />
-                <h2 className="text-2xl font-bold text-slate-900">Crawl Complete</h2>
+                <h2 className="text-2xl font-bold text-slate-900">{result.cancelled ? 'Crawl Cancelled' : 'Crawl Complete'}</h2>
               </div>
               <div className="grid grid-cols-3 gap-4 mb-4">
                 <div className="bg-emerald-50 rounded-lg p-4">
@@ -11,6 +11,7 @@ export interface SEOAnalysis {
   technical_seo: {
     robots_txt_content: string | null;
     robots_txt_valid: boolean;
+    robots_txt_warnings?: Array<{ line: number; message: string }>;
     sitemap_xml_valid: boolean;
     sitemap_xml_location: string | null;
     canonical_url: string | null;
@@ -23,10 +24,12 @@ export interface SEOAnalysis {
     structured_data_valid: boolean;
     duplicate_title: boolean;
     duplicate_description: boolean;
+    duplicate_h1?: boolean;
     missing_title: boolean;
     missing_description: boolean;
     broken_internal_links: number;
     broken_external_links: number;
+    broken_links?: Array<{ url: string; status: number | null; error: string | null; internal: boolean; anchor: string }>;
     missing_alt_tags: number;
   };
   content_analysis: {